@@ -0,0 +1,62 @@
+import fs from "fs";
+import path from "path";
+import { prisma } from "../src/config/db.js";
+import "../src/config/dotenv.js";
+import { logger } from "../src/utils/logger.js";
+import { importExchangeRates } from "../src/services/currencyService.js";
+
+/**
+ * Load exchange rates from a CSV file with the columns date, base, quote
+ * and rate. Usage: npm run load-rates -- <file.csv> [dateFormat]
+ */
+async function loadExchangeRates(filePath, dateFormat) {
+  try {
+    logger.info("Loading exchange rates", { filePath });
+
+    const content = fs.readFileSync(filePath);
+    const result = await importExchangeRates(content, {
+      source: path.basename(filePath),
+      dateFormat: dateFormat || null,
+    });
+
+    result.errors.forEach((error) => {
+      logger.warn("Skipped exchange rate row", error);
+    });
+
+    logger.info("Exchange rates loaded", {
+      imported: result.imported,
+      skipped: result.errors.length,
+    });
+    return true;
+  } catch (error) {
+    logger.error("Error loading exchange rates", {
+      filePath,
+      error: error.message,
+      stack: error.stack,
+    });
+    return false;
+  } finally {
+    try {
+      await prisma.$disconnect();
+    } catch (disconnectError) {
+      logger.error("Error disconnecting from database", {
+        error: disconnectError.message,
+      });
+    }
+  }
+}
+
+async function run() {
+  const [filePath, dateFormat] = process.argv.slice(2);
+
+  if (!filePath) {
+    logger.error("No CSV file provided");
+    process.exit(1);
+  }
+
+  const success = await loadExchangeRates(filePath, dateFormat);
+  process.exit(success ? 0 : 1);
+}
+
+// Execute the script
+run();
@@ -2,6 +2,14 @@ import app from "./src/app.js";
 import { connectDB } from "./src/config/database.js";
 import { initRedisClient } from "./src/config/redis.js";
 import { logger } from "./src/config/logger.js";
+import {
+  startRecurringScheduler,
+  stopRecurringScheduler,
+} from "./src/jobs/recurringTransactionScheduler.js";
+import {
+  startDigestScheduler,
+  stopDigestScheduler,
+} from "./src/jobs/digestScheduler.js";
 
 // Try different ports if the default is in use
 const PORT = process.env.PORT || 5000;
@@ -74,9 +82,17 @@ async function startServer() {
       }
     }
 
+    // Generate due recurring transactions (catches up on missed occurrences)
+    startRecurringScheduler();
+
+    // Email due report digests (sends any that came due while down)
+    startDigestScheduler();
+
     // Handle graceful shutdown
     const shutdown = async (signal) => {
       logger.info(`${signal} received, shutting down gracefully`);
+      stopRecurringScheduler();
+      stopDigestScheduler();
       server.close(() => {
         logger.info("HTTP server closed");
         process.exit(0);
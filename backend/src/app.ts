@@ -10,6 +10,15 @@ import testRoutes from "./routes/testRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import transactionRoutes from "./routes/transactionRoutes.js";
 import categoryRoutes from "./routes/categoryRoutes.js";
+import accountRoutes from "./routes/accountRoutes.js";
+import exchangeRateRoutes from "./routes/exchangeRateRoutes.js";
+import budgetRoutes from "./routes/budgetRoutes.js";
+import goalRoutes from "./routes/goalRoutes.js";
+import reportRoutes from "./routes/reportRoutes.js";
+import reportScheduleRoutes from "./routes/reportScheduleRoutes.js";
+import forecastRoutes from "./routes/forecastRoutes.js";
+import tagRoutes from "./routes/tagRoutes.js";
+import payeeRoutes from "./routes/payeeRoutes.js";
 import httpLogger, { errorHandler, logger } from "./config/logger.js";
 import rotateLog from "./utils/rotateLog.js";
 import { asyncLogger } from "./utils/asyncLogger.js";
@@ -70,6 +79,15 @@ app.use("/api/users", userRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/transactions", transactionRoutes);
 app.use("/api/categories", categoryRoutes);
+app.use("/api/accounts", accountRoutes);
+app.use("/api/exchange-rates", exchangeRateRoutes);
+app.use("/api/budgets", budgetRoutes);
+app.use("/api/goals", goalRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/report-schedules", reportScheduleRoutes);
+app.use("/api/forecast", forecastRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/payees", payeeRoutes);
 
 // Default route
 app.get("/", (req, res) => {
@@ -0,0 +1,258 @@
+import {
+  ACCOUNT_TYPES,
+  getAccounts,
+  getAccountById,
+  createAccount,
+  updateAccount,
+  softDeleteAccount,
+  restoreAccount,
+  getAccountBalance,
+  getAccountBalances,
+  getAccountLedger,
+  recalculateAccountBalance
+} from '../services/accountService.js';
+import { validateRequest } from '../utils/requestValidator.js';
+
+/**
+ * Get all accounts for the authenticated user
+ */
+export const getAccountsController = async (req, res, next) => {
+  try {
+    const { page, limit, type, includeDeleted } = req.query;
+
+    const options = {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10,
+      type: type || null,
+      includeDeleted: includeDeleted === 'true'
+    };
+
+    const result = await getAccounts(req.user.id, options);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Accounts retrieved successfully',
+      data: result.accounts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get account by ID
+ */
+export const getAccountByIdController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const account = await getAccountById(id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Account retrieved successfully',
+      data: account
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new account
+ */
+export const createAccountController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, {
+      name: { type: 'string', required: true, maxLength: 100 },
+      type: { type: 'enum', values: ACCOUNT_TYPES, required: true },
+      currency: { type: 'string', minLength: 3, maxLength: 3 },
+      institution: { type: 'string' },
+      openingBalance: { type: 'number' }
+    });
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const account = await createAccount(req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Account created successfully',
+      data: account
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an existing account
+ */
+export const updateAccountController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = validateRequest(req.body, {
+      name: { type: 'string', maxLength: 100 },
+      type: { type: 'enum', values: ACCOUNT_TYPES },
+      currency: { type: 'string', minLength: 3, maxLength: 3 },
+      institution: { type: 'string' },
+      openingBalance: { type: 'number' },
+      isActive: { type: 'boolean' }
+    });
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'At least one field must be provided for update'
+      });
+    }
+
+    const updatedAccount = await updateAccount(id, req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Account updated successfully',
+      data: updatedAccount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an account (soft delete)
+ */
+export const deleteAccountController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await softDeleteAccount(id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a soft-deleted account
+ */
+export const restoreAccountController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const restoredAccount = await restoreAccount(id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Account restored successfully',
+      data: restoredAccount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get balances for all of the user's accounts
+ */
+export const getAccountBalancesController = async (req, res, next) => {
+  try {
+    const balances = await getAccountBalances(req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Account balances retrieved successfully',
+      data: balances
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the balance of a single account, optionally as of a date
+ */
+export const getAccountBalanceController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = validateRequest(req.query, {
+      asOf: { type: 'date' }
+    });
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const balance = await getAccountBalance(id, req.user.id, value.asOf);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Account balance retrieved successfully',
+      data: balance
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an account's transactions with running balances
+ */
+export const getAccountLedgerController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await getAccountLedger(id, req.user.id, page, limit);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Account ledger retrieved successfully',
+      data: result.entries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Recalculate an account's stored balance from its transactions
+ */
+export const recalculateAccountBalanceController = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const account = await recalculateAccountBalance(id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Account balance recalculated successfully',
+      data: account
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,113 @@
+import {
+  getAttachments,
+  createAttachment,
+  getAttachmentContent,
+  deleteAttachment
+} from '../services/attachmentService.js';
+
+/**
+ * Content-Disposition value with an ASCII fallback and the UTF-8 filename
+ */
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+/**
+ * Send a stored file. Only the accepted attachment types are ever stored,
+ * so showing one inline cannot run script in the API's origin.
+ */
+const sendFile = (res, file, inline) => {
+  res.status(200);
+  res.setHeader('Content-Type', file.mimeType);
+  res.setHeader('Content-Length', file.content.length);
+  res.setHeader('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', file.filename));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.end(file.content);
+};
+
+/**
+ * List the attachments of a transaction
+ */
+export const getAttachmentsController = async (req, res, next) => {
+  try {
+    const attachments = await getAttachments(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Attachments retrieved successfully',
+      data: attachments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload a receipt or document in the "file" field
+ */
+export const createAttachmentController = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: true,
+        message: 'A file is required in the "file" field'
+      });
+    }
+
+    const attachment = await createAttachment(req.params.id, req.user.id, req.file);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Attachment uploaded successfully',
+      data: attachment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download an attachment; `inline=true` lets browsers display it
+ */
+export const downloadAttachmentController = async (req, res, next) => {
+  try {
+    const file = await getAttachmentContent(req.params.id, req.params.attachmentId, req.user.id);
+
+    return sendFile(res, file, req.query.inline === 'true');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the JPEG thumbnail of an image attachment
+ */
+export const getAttachmentThumbnailController = async (req, res, next) => {
+  try {
+    const file = await getAttachmentContent(req.params.id, req.params.attachmentId, req.user.id, {
+      thumbnail: true
+    });
+
+    return sendFile(res, file, true);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an attachment and its stored file
+ */
+export const deleteAttachmentController = async (req, res, next) => {
+  try {
+    await deleteAttachment(req.params.id, req.params.attachmentId, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
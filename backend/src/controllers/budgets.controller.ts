@@ -0,0 +1,223 @@
+import {
+  BUDGET_PERIODS,
+  getBudgets,
+  getBudgetById,
+  createBudget,
+  updateBudget,
+  softDeleteBudget,
+  restoreBudget,
+  getBudgetReport,
+  getBudgetAlerts,
+  markBudgetAlertRead
+} from '../services/budgetService.js';
+import { validateRequest } from '../utils/requestValidator.js';
+
+/**
+ * Validation schema for budgets; `required` is dropped for updates
+ */
+const budgetSchema = (isUpdate = false) => ({
+  categoryId: { type: 'uuid', required: !isUpdate },
+  amount: { type: 'number', required: !isUpdate, min: 0.01 },
+  currency: { type: 'string', minLength: 3, maxLength: 3 },
+  period: { type: 'enum', values: BUDGET_PERIODS },
+  rollover: { type: 'boolean' },
+  alertThresholds: { type: 'array', itemType: 'number', minLength: 1 },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' }
+});
+
+/**
+ * Get all budgets for the authenticated user
+ */
+export const getBudgetsController = async (req, res, next) => {
+  try {
+    const { page, limit, period, includeDeleted } = req.query;
+
+    const options = {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10,
+      period: BUDGET_PERIODS.includes(period) ? period : null,
+      includeDeleted: includeDeleted === 'true'
+    };
+
+    const result = await getBudgets(req.user.id, options);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Budgets retrieved successfully',
+      data: result.budgets,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get budget by ID
+ */
+export const getBudgetByIdController = async (req, res, next) => {
+  try {
+    const budget = await getBudgetById(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Budget retrieved successfully',
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new budget
+ */
+export const createBudgetController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, budgetSchema());
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const budget = await createBudget(req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Budget created successfully',
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a budget
+ */
+export const updateBudgetController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, budgetSchema(true));
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'At least one field must be provided for update'
+      });
+    }
+
+    const budget = await updateBudget(req.params.id, req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Budget updated successfully',
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a budget (soft delete)
+ */
+export const deleteBudgetController = async (req, res, next) => {
+  try {
+    await softDeleteBudget(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Budget deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a soft-deleted budget
+ */
+export const restoreBudgetController = async (req, res, next) => {
+  try {
+    const budget = await restoreBudget(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Budget restored successfully',
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Budgeted, spent and remaining per category for a month (?month=YYYY-MM)
+ */
+export const getBudgetReportController = async (req, res, next) => {
+  try {
+    const report = await getBudgetReport(req.user.id, req.query.month || null);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Budget report generated successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get budget alerts, optionally only unread ones
+ */
+export const getBudgetAlertsController = async (req, res, next) => {
+  try {
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10,
+      unreadOnly: req.query.unread === 'true'
+    };
+
+    const result = await getBudgetAlerts(req.user.id, options);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Budget alerts retrieved successfully',
+      data: result.alerts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a budget alert as read
+ */
+export const markBudgetAlertReadController = async (req, res, next) => {
+  try {
+    const alert = await markBudgetAlertRead(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Budget alert marked as read',
+      data: alert
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,122 @@
+import {
+  bulkUpdateTransactions,
+  BULK_ACTIONS,
+  MAX_BULK_TRANSACTIONS
+} from '../services/bulkTransactionService.js';
+import { validateRequest } from '../utils/requestValidator.js';
+
+const bulkSchema = {
+  action: { type: 'enum', values: BULK_ACTIONS, required: true },
+  ids: {
+    type: 'array',
+    itemType: 'uuid',
+    validate: (ids) => (ids.length >= 1 && ids.length <= MAX_BULK_TRANSACTIONS) ||
+      `ids must contain between 1 and ${MAX_BULK_TRANSACTIONS} transaction IDs`
+  },
+  filter: {
+    type: 'object',
+    validate: (filter) => Object.keys(filter).length > 0 || 'filter must contain at least one criterion'
+  },
+  categoryId: { type: 'uuid' },
+  tagIds: {
+    type: 'array',
+    itemType: 'uuid',
+    validate: (tagIds) => tagIds.length > 0 || 'tagIds must contain at least one tag ID'
+  },
+  date: { type: 'date' },
+  accountId: { type: 'uuid' }
+};
+
+// The criteria of GET /transactions/filter
+const filterSchema = {
+  type: { type: 'enum', values: ['INCOME', 'EXPENSE', 'TRANSFER', 'INVESTMENT'] },
+  categoryId: { type: 'uuid' },
+  accountId: { type: 'uuid' },
+  payeeId: { type: 'uuid' },
+  tagIds: { type: 'array', itemType: 'uuid' },
+  tagMatch: { type: 'enum', values: ['any', 'all'] },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+  minAmount: { type: 'number' },
+  maxAmount: { type: 'number' },
+  keyword: { type: 'string', maxLength: 200 }
+};
+
+// The argument each action needs
+const ACTION_ARGUMENTS = {
+  recategorize: 'categoryId',
+  tag: 'tagIds',
+  untag: 'tagIds',
+  setDate: 'date',
+  setAccount: 'accountId'
+};
+
+/**
+ * Recategorize, tag, untag, re-date, move, delete or restore many
+ * transactions at once, selected by ids or by filter
+ */
+export const bulkUpdateTransactionsController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, bulkSchema);
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    if (!value.ids === !value.filter) {
+      return res.status(400).json({
+        error: true,
+        message: 'Select transactions with either ids or filter'
+      });
+    }
+
+    if (value.filter) {
+      const unknown = Object.keys(value.filter).filter(key => !filterSchema[key]);
+      const { error: filterError, value: filter } = validateRequest(value.filter, filterSchema);
+
+      if (filterError || unknown.length > 0) {
+        return res.status(400).json({
+          error: true,
+          message: 'Invalid filter',
+          details: {
+            ...filterError,
+            ...Object.fromEntries(unknown.map(key => [key, `${key} is not a filter criterion`]))
+          }
+        });
+      }
+
+      value.filter = filter;
+    }
+
+    const requiredArgument = ACTION_ARGUMENTS[value.action];
+    if (requiredArgument && value[requiredArgument] === undefined) {
+      return res.status(400).json({
+        error: true,
+        message: `${requiredArgument} is required for the ${value.action} action`
+      });
+    }
+
+    const result = await bulkUpdateTransactions(req.user.id, value);
+
+    // Nothing was changed when one of the transactions failed; the results say which
+    if (!result.applied) {
+      return res.status(409).json({
+        error: true,
+        message: 'Bulk operation rolled back because a transaction could not be changed',
+        data: result
+      });
+    }
+
+    return res.status(200).json({
+      error: false,
+      message: `${result.updated} of ${result.matched} transactions updated`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
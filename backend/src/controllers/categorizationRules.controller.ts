@@ -0,0 +1,235 @@
+import {
+  MAX_RULE_TAGS,
+  getCategorizationRules,
+  getCategorizationRuleById,
+  createCategorizationRule,
+  updateCategorizationRule,
+  softDeleteCategorizationRule,
+  restoreCategorizationRule,
+  reapplyCategorizationRules
+} from '../services/categorizationRuleService.js';
+import { getStandardTransactionTypes } from '../services/categoryService.js';
+import { validateRequest } from '../utils/requestValidator.js';
+import { MAX_PATTERN_LENGTH } from '../utils/descriptionPattern.js';
+
+const TRANSACTION_TYPES = Object.values(getStandardTransactionTypes());
+
+/**
+ * Validation schema for categorization rules; `required` is dropped for updates
+ */
+const ruleSchema = (isUpdate = false) => ({
+  name: { type: 'string', required: !isUpdate, minLength: 1, maxLength: 100 },
+  priority: { type: 'integer', min: 0, max: 10000 },
+  isActive: { type: 'boolean' },
+  stopProcessing: { type: 'boolean' },
+  descriptionContains: { type: 'string', minLength: 1, maxLength: 100 },
+  descriptionPattern: { type: 'string', minLength: 1, maxLength: MAX_PATTERN_LENGTH },
+  minAmount: { type: 'number', min: 0 },
+  maxAmount: { type: 'number', min: 0 },
+  accountId: { type: 'uuid' },
+  type: { type: 'enum', values: TRANSACTION_TYPES },
+  categoryId: { type: 'uuid' },
+  tagIds: { type: 'array', itemType: 'uuid', maxLength: MAX_RULE_TAGS },
+  payeeId: { type: 'uuid' }
+});
+
+/**
+ * Validation schema for re-applying rules to existing transactions
+ */
+const reapplySchema = {
+  dryRun: { type: 'boolean' },
+  overwrite: { type: 'boolean' },
+  ruleIds: { type: 'array', itemType: 'uuid' },
+  accountId: { type: 'uuid' },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' }
+};
+
+/**
+ * Null clears an optional condition or action on update; the validator
+ * only checks values that are present
+ */
+const CLEARABLE_FIELDS = [
+  'descriptionContains',
+  'descriptionPattern',
+  'minAmount',
+  'maxAmount',
+  'accountId',
+  'type',
+  'categoryId',
+  'payeeId'
+];
+
+/**
+ * Get all categorization rules for the authenticated user
+ */
+export const getCategorizationRulesController = async (req, res, next) => {
+  try {
+    const { page, limit, isActive, includeDeleted } = req.query;
+
+    const options = {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10,
+      isActive: isActive === undefined ? null : isActive === 'true',
+      includeDeleted: includeDeleted === 'true'
+    };
+
+    const result = await getCategorizationRules(req.user.id, options);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Categorization rules retrieved successfully',
+      data: result.rules,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get categorization rule by ID
+ */
+export const getCategorizationRuleByIdController = async (req, res, next) => {
+  try {
+    const rule = await getCategorizationRuleById(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Categorization rule retrieved successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new categorization rule
+ */
+export const createCategorizationRuleController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, ruleSchema());
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const rule = await createCategorizationRule(req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Categorization rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a categorization rule
+ */
+export const updateCategorizationRuleController = async (req, res, next) => {
+  try {
+    const cleared = CLEARABLE_FIELDS.filter(field => req.body[field] === null);
+    const body = { ...req.body };
+    cleared.forEach(field => { delete body[field]; });
+
+    const { error, value } = validateRequest(body, ruleSchema(true));
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    cleared.forEach(field => { value[field] = null; });
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'At least one field must be provided for update'
+      });
+    }
+
+    const rule = await updateCategorizationRule(req.params.id, req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Categorization rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a categorization rule (soft delete)
+ */
+export const deleteCategorizationRuleController = async (req, res, next) => {
+  try {
+    await softDeleteCategorizationRule(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Categorization rule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a soft-deleted categorization rule
+ */
+export const restoreCategorizationRuleController = async (req, res, next) => {
+  try {
+    const rule = await restoreCategorizationRule(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Categorization rule restored successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-apply rules to existing transactions. Previews the changes unless
+ * dryRun is false.
+ */
+export const reapplyCategorizationRulesController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body || {}, reapplySchema);
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const result = await reapplyCategorizationRules(req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: result.dryRun
+        ? 'Categorization preview generated successfully'
+        : 'Categorization rules applied successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,105 @@
+import {
+  getExchangeRates,
+  getExchangeRate,
+  getBaseCurrency,
+  importExchangeRates,
+  normalizeCurrency
+} from '../services/currencyService.js';
+
+/**
+ * List stored exchange rates
+ */
+export const getExchangeRatesController = async (req, res, next) => {
+  try {
+    const { base, quote, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const result = await getExchangeRates(
+      { baseCurrency: base, quoteCurrency: quote, startDate, endDate },
+      page,
+      limit
+    );
+
+    return res.status(200).json({
+      error: false,
+      message: 'Exchange rates retrieved successfully',
+      data: result.rates,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Convert an amount using the rate for a date.
+ * The target currency defaults to the user's base currency.
+ */
+export const convertCurrencyController = async (req, res, next) => {
+  try {
+    const amount = parseFloat(req.query.amount);
+
+    if (isNaN(amount) || !req.query.from) {
+      return res.status(400).json({
+        error: true,
+        message: 'amount and from are required'
+      });
+    }
+
+    const from = normalizeCurrency(req.query.from);
+    const to = req.query.to ? normalizeCurrency(req.query.to) : await getBaseCurrency(req.user.id);
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid date'
+      });
+    }
+
+    const rate = await getExchangeRate(from, to, date);
+
+    if (rate === null) {
+      return res.status(404).json({
+        error: true,
+        message: `No exchange rate from ${from} to ${to} on or before ${date.toISOString().slice(0, 10)}`
+      });
+    }
+
+    return res.status(200).json({
+      error: false,
+      message: 'Amount converted successfully',
+      data: { amount, from, to, date, rate, converted: amount * rate }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load exchange rates from an uploaded CSV file (admin only)
+ */
+export const importExchangeRatesController = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: true,
+        message: 'A CSV file is required in the "file" field'
+      });
+    }
+
+    const result = await importExchangeRates(req.file.buffer, {
+      source: req.body.source || req.file.originalname,
+      dateFormat: req.body.dateFormat || null
+    });
+
+    return res.status(200).json({
+      error: false,
+      message: 'Exchange rates imported successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,73 @@
+import { logger } from '../utils/logger.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  streamTransactionExport
+} from '../services/exportService.js';
+
+/**
+ * Export every transaction matching the filter parameters as a download.
+ * Accepts the same query parameters as /transactions/filter, without paging.
+ */
+export const exportTransactionsController = async (req, res, next) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: true,
+      message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  const {
+    type,
+    categoryId,
+    accountId,
+    payeeId,
+    startDate,
+    endDate,
+    minAmount,
+    maxAmount,
+    keyword,
+    tagIds,
+    tagMatch
+  } = req.query;
+
+  const filters = {
+    userId: req.user.id,
+    type: type || undefined,
+    categoryId: categoryId || undefined,
+    accountId: accountId || undefined,
+    payeeId: payeeId || undefined,
+    tagIds: tagIds ? String(tagIds).split(',').map(id => id.trim()).filter(Boolean) : undefined,
+    tagMatch: tagMatch === 'all' ? 'all' : undefined,
+    startDate: startDate || undefined,
+    endDate: endDate || undefined,
+    minAmount: minAmount || undefined,
+    maxAmount: maxAmount || undefined,
+    keyword: keyword || undefined
+  };
+
+  const filename = `transactions-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200);
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    await streamTransactionExport(res, format, filters);
+  } catch (error) {
+    // Once the body has started, the only way to signal failure is to abort it
+    if (res.headersSent) {
+      logger.error('Transaction export failed mid-stream', {
+        error: error.message,
+        userId: req.user.id,
+        format
+      });
+      return res.destroy(error);
+    }
+
+    next(error);
+  }
+};
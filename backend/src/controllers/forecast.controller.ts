@@ -0,0 +1,51 @@
+import {
+  FORECAST_HORIZONS,
+  DEFAULT_HISTORY_DAYS,
+  MIN_HISTORY_DAYS,
+  MAX_HISTORY_DAYS,
+  getCashFlowForecast
+} from '../services/forecastService.js';
+import { validateRequest } from '../utils/requestValidator.js';
+
+/**
+ * Validation schema for forecast query parameters
+ */
+const forecastQuerySchema = {
+  days: {
+    type: 'integer',
+    validate: (days) => FORECAST_HORIZONS.includes(days) || `days must be one of: ${FORECAST_HORIZONS.join(', ')}`
+  },
+  accountId: { type: 'uuid' },
+  historyDays: { type: 'integer', min: MIN_HISTORY_DAYS, max: MAX_HISTORY_DAYS }
+};
+
+/**
+ * Project daily account balances over the next 30, 90 or 180 days
+ */
+export const getCashFlowForecastController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.query, forecastQuerySchema);
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const forecast = await getCashFlowForecast(req.user.id, {
+      days: value.days || FORECAST_HORIZONS[0],
+      accountId: value.accountId || null,
+      historyDays: value.historyDays || DEFAULT_HISTORY_DAYS
+    });
+
+    return res.status(200).json({
+      error: false,
+      message: 'Forecast generated successfully',
+      data: forecast
+    });
+  } catch (error) {
+    next(error);
+  }
+};
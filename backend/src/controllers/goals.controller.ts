@@ -0,0 +1,299 @@
+import {
+  getGoals,
+  getGoalById,
+  createGoal,
+  updateGoal,
+  softDeleteGoal,
+  restoreGoal,
+  addGoalContribution,
+  addGoalWithdrawal,
+  deleteGoalContribution,
+  getGoalContributions,
+  getGoalForecast
+} from '../services/goalService.js';
+import { validateRequest } from '../utils/requestValidator.js';
+
+/**
+ * Validation schema for saving goals; `required` is dropped for updates.
+ * Progress (currentAmount, isAchieved) is not accepted: it comes from
+ * contributions.
+ */
+const goalSchema = (isUpdate = false) => ({
+  name: { type: 'string', required: !isUpdate, minLength: 1, maxLength: 100 },
+  description: { type: 'string', maxLength: 500 },
+  targetAmount: { type: 'number', required: !isUpdate, min: 0.01 },
+  deadline: { type: 'date', required: !isUpdate },
+  currency: { type: 'string', minLength: 3, maxLength: 3 }
+});
+
+/**
+ * Validation schema for contributions and withdrawals. The amount may be
+ * left out when allocating a transaction: what is left of it is used.
+ */
+const contributionSchema = {
+  amount: { type: 'number', min: 0.01 },
+  date: { type: 'date' },
+  note: { type: 'string', maxLength: 255 },
+  transactionId: { type: 'uuid' }
+};
+
+/**
+ * Validate a contribution or withdrawal body
+ * @returns {Object} { error, value }
+ */
+const validateContribution = (body) => {
+  const result = validateRequest(body, contributionSchema);
+
+  if (!result.error && result.value.amount === undefined && !result.value.transactionId) {
+    return { error: { amount: 'amount is required unless a transactionId is given' }, value: body };
+  }
+
+  return result;
+};
+
+/**
+ * Get all saving goals for the authenticated user
+ */
+export const getGoalsController = async (req, res, next) => {
+  try {
+    const { page, limit, isAchieved, includeDeleted } = req.query;
+
+    const options = {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10,
+      isAchieved: isAchieved === undefined ? null : isAchieved === 'true',
+      includeDeleted: includeDeleted === 'true'
+    };
+
+    const result = await getGoals(req.user.id, options);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Saving goals retrieved successfully',
+      data: result.goals,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get saving goal by ID
+ */
+export const getGoalByIdController = async (req, res, next) => {
+  try {
+    const goal = await getGoalById(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Saving goal retrieved successfully',
+      data: goal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the savings forecast for a goal
+ */
+export const getGoalForecastController = async (req, res, next) => {
+  try {
+    const forecast = await getGoalForecast(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Goal forecast retrieved successfully',
+      data: forecast
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new saving goal
+ */
+export const createGoalController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, goalSchema());
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const goal = await createGoal(req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Saving goal created successfully',
+      data: goal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a saving goal
+ */
+export const updateGoalController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, goalSchema(true));
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'At least one field must be provided for update'
+      });
+    }
+
+    const goal = await updateGoal(req.params.id, req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Saving goal updated successfully',
+      data: goal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a saving goal (soft delete)
+ */
+export const deleteGoalController = async (req, res, next) => {
+  try {
+    await softDeleteGoal(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Saving goal deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a soft-deleted saving goal
+ */
+export const restoreGoalController = async (req, res, next) => {
+  try {
+    const goal = await restoreGoal(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Saving goal restored successfully',
+      data: goal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the contribution history of a saving goal
+ */
+export const getGoalContributionsController = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const result = await getGoalContributions(req.params.id, req.user.id, page, limit);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Goal contributions retrieved successfully',
+      data: result.contributions,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a contribution to a saving goal
+ */
+export const addGoalContributionController = async (req, res, next) => {
+  try {
+    const { error, value } = validateContribution(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const result = await addGoalContribution(req.params.id, req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Contribution recorded successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraw money from a saving goal
+ */
+export const addGoalWithdrawalController = async (req, res, next) => {
+  try {
+    const { error, value } = validateContribution(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const result = await addGoalWithdrawal(req.params.id, req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Withdrawal recorded successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an entry from a saving goal's ledger
+ */
+export const deleteGoalContributionController = async (req, res, next) => {
+  try {
+    const goal = await deleteGoalContribution(req.params.id, req.params.contributionId, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Contribution removed successfully',
+      data: goal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,93 @@
+import path from 'path';
+import { importTransactions, IMPORT_FORMATS } from '../services/importService.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Multipart fields arrive as strings; the mapping may be sent as JSON text
+ */
+const parseMapping = (mapping) => {
+  if (!mapping) {
+    return {};
+  }
+
+  if (typeof mapping === 'object') {
+    return mapping;
+  }
+
+  const parsed = JSON.parse(mapping);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Mapping must be a JSON object');
+  }
+
+  return parsed;
+};
+
+/**
+ * Without an explicit format, use the file extension (.txt is read as CSV)
+ */
+const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  return IMPORT_FORMATS.includes(extension) ? extension : 'csv';
+};
+
+/**
+ * Import transactions from an uploaded bank statement.
+ * Defaults to a dry run that previews the rows and flags duplicates;
+ * send dryRun=false to create the transactions.
+ */
+export const importTransactionsController = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: true,
+        message: 'A statement file is required in the "file" field'
+      });
+    }
+
+    const format = (req.body.format || detectFormat(req.file)).toLowerCase();
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: true,
+        message: `Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const { accountId } = req.body;
+    if (accountId && !UUID_PATTERN.test(accountId)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid accountId'
+      });
+    }
+
+    let mapping;
+    try {
+      mapping = parseMapping(req.body.mapping);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: true,
+        message: `Invalid mapping: ${parseError.message}`
+      });
+    }
+
+    const result = await importTransactions(req.user.id, {
+      format,
+      content: req.file.buffer,
+      mapping,
+      accountId: accountId || null,
+      dryRun: req.body.dryRun !== 'false' && req.body.dryRun !== false,
+      includeDuplicates: req.body.includeDuplicates === 'true' || req.body.includeDuplicates === true
+    });
+
+    return res.status(result.dryRun ? 200 : 201).json({
+      error: false,
+      message: result.dryRun
+        ? 'Import preview generated successfully'
+        : 'Transactions imported successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,203 @@
+import {
+  getPayees,
+  getPayeeById,
+  createPayee,
+  updatePayee,
+  softDeletePayee,
+  restorePayee,
+  mergePayees,
+  MAX_PAYEE_ALIASES,
+  MAX_MERGE_SOURCES
+} from '../services/payeeService.js';
+import { validateRequest } from '../utils/requestValidator.js';
+
+/**
+ * Validation schema for payees; `required` is dropped for updates
+ */
+const payeeSchema = (isUpdate = false) => ({
+  name: { type: 'string', required: !isUpdate, minLength: 1, maxLength: 100 },
+  aliases: {
+    type: 'array',
+    itemType: 'string',
+    maxLength: MAX_PAYEE_ALIASES,
+    validate: (aliases) => aliases.every(alias => alias.length <= 100) || 'Aliases can be at most 100 characters'
+  }
+});
+
+/**
+ * Validation schema for merging payees into another
+ */
+const mergeSchema = {
+  sourceIds: {
+    type: 'array',
+    itemType: 'uuid',
+    required: true,
+    validate: (ids) => (ids.length >= 1 && ids.length <= MAX_MERGE_SOURCES) ||
+      `sourceIds must contain between 1 and ${MAX_MERGE_SOURCES} payee IDs`
+  }
+};
+
+/**
+ * Get all payees for the authenticated user
+ */
+export const getPayeesController = async (req, res, next) => {
+  try {
+    const { page, limit, search, includeDeleted } = req.query;
+
+    const options = {
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 50, 100),
+      search: search ? String(search).trim() : null,
+      includeDeleted: includeDeleted === 'true'
+    };
+
+    const result = await getPayees(req.user.id, options);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Payees retrieved successfully',
+      data: result.payees,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get payee by ID
+ */
+export const getPayeeByIdController = async (req, res, next) => {
+  try {
+    const payee = await getPayeeById(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Payee retrieved successfully',
+      data: payee
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new payee
+ */
+export const createPayeeController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, payeeSchema());
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const payee = await createPayee(req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Payee created successfully',
+      data: payee
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a payee
+ */
+export const updatePayeeController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, payeeSchema(true));
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'At least one field must be provided for update'
+      });
+    }
+
+    const payee = await updatePayee(req.params.id, req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Payee updated successfully',
+      data: payee
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a payee (soft delete)
+ */
+export const deletePayeeController = async (req, res, next) => {
+  try {
+    await softDeletePayee(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Payee deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a soft-deleted payee
+ */
+export const restorePayeeController = async (req, res, next) => {
+  try {
+    const payee = await restorePayee(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Payee restored successfully',
+      data: payee
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge other payees into this one
+ */
+export const mergePayeesController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, mergeSchema);
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const result = await mergePayees(req.params.id, req.user.id, value.sourceIds);
+
+    return res.status(200).json({
+      error: false,
+      message: `Payees merged into ${result.payee.name}`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
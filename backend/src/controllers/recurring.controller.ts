@@ -0,0 +1,212 @@
+import {
+  getRecurringRules,
+  getRecurringRuleById,
+  createRecurringRule,
+  updateRecurringRule,
+  softDeleteRecurringRule,
+  restoreRecurringRule,
+  getUpcomingRuleOccurrences,
+  getRuleTransactions
+} from '../services/recurringRuleService.js';
+import { getStandardTransactionTypes } from '../services/categoryService.js';
+import { RECURRENCE_FREQUENCIES } from '../utils/recurrence.js';
+import { validateRequest } from '../utils/requestValidator.js';
+
+const TRANSACTION_TYPES = Object.values(getStandardTransactionTypes());
+
+/**
+ * Validation schema for recurring rules; `required` is dropped for updates
+ */
+const ruleSchema = (isUpdate = false) => ({
+  type: { type: 'enum', values: TRANSACTION_TYPES, required: !isUpdate },
+  amount: { type: 'number', required: !isUpdate, min: 0.01 },
+  description: { type: 'string', required: !isUpdate, minLength: 3, maxLength: 100 },
+  notes: { type: 'string' },
+  accountId: { type: 'uuid' },
+  toAccountId: { type: 'uuid' },
+  categoryIds: { type: 'array', itemType: 'uuid' },
+  frequency: { type: 'enum', values: RECURRENCE_FREQUENCIES, required: !isUpdate },
+  interval: { type: 'integer', min: 1, max: 365 },
+  dayOfMonth: { type: 'integer', min: 1, max: 31 },
+  startDate: { type: 'date', required: !isUpdate },
+  endDate: { type: 'date' },
+  maxOccurrences: { type: 'integer', min: 1 },
+  ...(isUpdate && { isActive: { type: 'boolean' } })
+});
+
+/**
+ * Get all recurring rules for the authenticated user
+ */
+export const getRecurringRulesController = async (req, res, next) => {
+  try {
+    const { page, limit, isActive, includeDeleted } = req.query;
+
+    const options = {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10,
+      isActive: isActive === undefined ? null : isActive === 'true',
+      includeDeleted: includeDeleted === 'true'
+    };
+
+    const result = await getRecurringRules(req.user.id, options);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Recurring rules retrieved successfully',
+      data: result.rules,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get recurring rule by ID
+ */
+export const getRecurringRuleByIdController = async (req, res, next) => {
+  try {
+    const rule = await getRecurringRuleById(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Recurring rule retrieved successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new recurring rule
+ */
+export const createRecurringRuleController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, ruleSchema());
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const rule = await createRecurringRule(req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Recurring rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a recurring rule (including pausing and resuming it via isActive)
+ */
+export const updateRecurringRuleController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, ruleSchema(true));
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'At least one field must be provided for update'
+      });
+    }
+
+    const rule = await updateRecurringRule(req.params.id, req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Recurring rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a recurring rule (soft delete)
+ */
+export const deleteRecurringRuleController = async (req, res, next) => {
+  try {
+    await softDeleteRecurringRule(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Recurring rule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a soft-deleted recurring rule
+ */
+export const restoreRecurringRuleController = async (req, res, next) => {
+  try {
+    const rule = await restoreRecurringRule(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Recurring rule restored successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview the upcoming occurrences of a rule
+ */
+export const getUpcomingOccurrencesController = async (req, res, next) => {
+  try {
+    const count = Math.min(parseInt(req.query.count) || 5, 50);
+    const occurrences = await getUpcomingRuleOccurrences(req.params.id, req.user.id, count);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Upcoming occurrences retrieved successfully',
+      data: occurrences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the transactions generated by a rule
+ */
+export const getRuleTransactionsController = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await getRuleTransactions(req.params.id, req.user.id, page, limit);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Recurring rule transactions retrieved successfully',
+      data: result.transactions,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,201 @@
+import {
+  DIGEST_FREQUENCIES,
+  getReportSchedules,
+  getReportScheduleById,
+  createReportSchedule,
+  updateReportSchedule,
+  softDeleteReportSchedule,
+  restoreReportSchedule,
+  getReportDeliveries,
+  sendReportScheduleNow
+} from '../services/reportScheduleService.js';
+import { validateRequest } from '../utils/requestValidator.js';
+
+/**
+ * Validation schema for report schedules; `required` is dropped for updates.
+ * Days of the month stop at 28 so every month has the run day.
+ */
+const reportScheduleSchema = (isUpdate = false) => ({
+  name: { type: 'string', required: !isUpdate, minLength: 1, maxLength: 100 },
+  frequency: { type: 'enum', required: !isUpdate, values: DIGEST_FREQUENCIES },
+  dayOfWeek: { type: 'integer', min: 0, max: 6 },
+  dayOfMonth: { type: 'integer', min: 1, max: 28 },
+  hour: { type: 'integer', min: 0, max: 23 },
+  recipient: { type: 'email' },
+  isActive: { type: 'boolean' }
+});
+
+/**
+ * Get all report schedules for the authenticated user
+ */
+export const getReportSchedulesController = async (req, res, next) => {
+  try {
+    const { page, limit, includeDeleted } = req.query;
+
+    const options = {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10,
+      includeDeleted: includeDeleted === 'true'
+    };
+
+    const result = await getReportSchedules(req.user.id, options);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report schedules retrieved successfully',
+      data: result.schedules,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get report schedule by ID
+ */
+export const getReportScheduleByIdController = async (req, res, next) => {
+  try {
+    const schedule = await getReportScheduleById(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report schedule retrieved successfully',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new report schedule
+ */
+export const createReportScheduleController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, reportScheduleSchema());
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const schedule = await createReportSchedule(req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Report schedule created successfully',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a report schedule
+ */
+export const updateReportScheduleController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, reportScheduleSchema(true));
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'At least one field must be provided for update'
+      });
+    }
+
+    const schedule = await updateReportSchedule(req.params.id, req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report schedule updated successfully',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a report schedule (soft delete)
+ */
+export const deleteReportScheduleController = async (req, res, next) => {
+  try {
+    await softDeleteReportSchedule(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report schedule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a soft-deleted report schedule
+ */
+export const restoreReportScheduleController = async (req, res, next) => {
+  try {
+    const schedule = await restoreReportSchedule(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report schedule restored successfully',
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the delivery history of a report schedule
+ */
+export const getReportDeliveriesController = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const result = await getReportDeliveries(req.params.id, req.user.id, page, limit);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report deliveries retrieved successfully',
+      data: result.deliveries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a schedule's digest now, e.g. to check how it looks
+ */
+export const sendReportScheduleNowController = async (req, res, next) => {
+  try {
+    const delivery = await sendReportScheduleNow(req.params.id, req.user.id);
+
+    return res.status(delivery.status === 'SENT' ? 200 : 502).json({
+      error: delivery.status !== 'SENT',
+      message: delivery.status === 'SENT' ? 'Digest sent successfully' : 'Digest could not be sent',
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,310 @@
+import {
+  REPORT_TYPES,
+  REPORT_RANGES,
+  REPORT_INTERVALS,
+  REPORT_TRANSACTION_TYPES,
+  generateReport,
+  getReports,
+  getReportById,
+  saveReport,
+  updateReport,
+  runReport,
+  softDeleteReport,
+  restoreReport
+} from '../services/reportService.js';
+import { streamReportPdf } from '../services/reportPdfService.js';
+import { logger } from '../utils/logger.js';
+import { validateRequest } from '../utils/requestValidator.js';
+
+/**
+ * Validation schema for ReportFilter parameters
+ */
+const reportFilterSchema = {
+  range: { type: 'enum', values: REPORT_RANGES },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+  type: { type: 'enum', values: REPORT_TRANSACTION_TYPES },
+  categoryIds: { type: 'array', itemType: 'uuid' },
+  accountIds: { type: 'array', itemType: 'uuid' },
+  interval: { type: 'enum', values: REPORT_INTERVALS }
+};
+
+/**
+ * Validation schema for saved reports; `required` is dropped for updates
+ */
+const reportSchema = (isUpdate = false) => ({
+  title: { type: 'string', required: !isUpdate, minLength: 1, maxLength: 100 },
+  description: { type: 'string', maxLength: 500 },
+  type: { type: 'enum', required: !isUpdate, values: REPORT_TYPES },
+  filters: { type: 'object' }
+});
+
+/**
+ * Query strings carry ID lists as comma-separated values
+ */
+const parseQueryFilters = (query) => {
+  const filters = { ...query };
+
+  for (const key of ['categoryIds', 'accountIds']) {
+    if (typeof filters[key] === 'string') {
+      filters[key] = filters[key].split(',').map(id => id.trim()).filter(Boolean);
+    }
+  }
+
+  return filters;
+};
+
+/**
+ * Validate a report definition, including its nested filters
+ * @returns {Object} { error, value }
+ */
+const validateReport = (body, isUpdate = false) => {
+  const result = validateRequest(body, reportSchema(isUpdate));
+  if (result.error || result.value.filters === undefined) {
+    return result;
+  }
+
+  const filterResult = validateRequest(result.value.filters, reportFilterSchema);
+  if (filterResult.error) {
+    return { error: { filters: filterResult.error }, value: body };
+  }
+
+  return { error: null, value: { ...result.value, filters: filterResult.value } };
+};
+
+/**
+ * Generate a report without saving it. Accepts { type, filters } in the
+ * body (POST), or query parameters (GET) where the report type is
+ * `reportType` and `type` stays the ReportFilter transaction type.
+ */
+export const generateReportController = async (req, res, next) => {
+  try {
+    const isQuery = req.method === 'GET';
+    const type = isQuery ? req.query.reportType : req.body.type;
+    const rawFilters = isQuery ? parseQueryFilters(req.query) : req.body.filters || {};
+
+    const { error: typeError } = validateRequest({ type }, {
+      type: { type: 'enum', required: true, values: REPORT_TYPES }
+    });
+    const { error: filterError, value: filters } = validateRequest(rawFilters, reportFilterSchema);
+
+    if (typeError || filterError) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: { ...typeError, ...filterError }
+      });
+    }
+
+    const report = await generateReport(req.user.id, type, filters);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report generated successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get saved reports for the authenticated user
+ */
+export const getReportsController = async (req, res, next) => {
+  try {
+    const { page, limit, type, includeDeleted } = req.query;
+
+    const options = {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10,
+      type: REPORT_TYPES.includes(type) ? type : null,
+      includeDeleted: includeDeleted === 'true'
+    };
+
+    const result = await getReports(req.user.id, options);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Reports retrieved successfully',
+      data: result.reports,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a saved report with the result of its last run
+ */
+export const getReportByIdController = async (req, res, next) => {
+  try {
+    const report = await getReportById(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report retrieved successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a report definition
+ */
+export const saveReportController = async (req, res, next) => {
+  try {
+    const { error, value } = validateReport(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const report = await saveReport(req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Report saved successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a saved report
+ */
+export const updateReportController = async (req, res, next) => {
+  try {
+    const { error, value } = validateReport(req.body, true);
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'At least one field must be provided for update'
+      });
+    }
+
+    const report = await updateReport(req.params.id, req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report updated successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-run a saved report against current data. Filters in the body apply to
+ * this run only.
+ */
+export const runReportController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body || {}, reportFilterSchema);
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const { result } = await runReport(req.params.id, req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report generated successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a saved report as a PDF statement. `refresh=true` re-runs the
+ * report against current data first.
+ */
+export const getReportPdfController = async (req, res, next) => {
+  try {
+    // Checked before any headers are set, so errors still get a JSON response
+    const report = await getReportById(req.params.id, req.user.id);
+    const slug = report.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+    const filename = `${slug}-${new Date().toISOString().slice(0, 10)}.pdf`;
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    await streamReportPdf(res, req.params.id, req.user.id, {
+      refresh: req.query.refresh === 'true'
+    });
+  } catch (error) {
+    // Once the body has started, the only way to signal failure is to abort it
+    if (res.headersSent) {
+      logger.error('Report PDF failed mid-stream', {
+        error: error.message,
+        reportId: req.params.id,
+        userId: req.user.id
+      });
+      return res.destroy(error);
+    }
+
+    res.removeHeader('Content-Disposition');
+    next(error);
+  }
+};
+
+/**
+ * Delete a saved report (soft delete)
+ */
+export const deleteReportController = async (req, res, next) => {
+  try {
+    await softDeleteReport(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a soft-deleted report
+ */
+export const restoreReportController = async (req, res, next) => {
+  try {
+    const report = await restoreReport(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Report restored successfully',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,159 @@
+import {
+  getTags,
+  getTagById,
+  createTag,
+  updateTag,
+  softDeleteTag,
+  restoreTag
+} from '../services/tagService.js';
+import { validateRequest } from '../utils/requestValidator.js';
+
+/**
+ * Validation schema for tags; `required` is dropped for updates
+ */
+const tagSchema = (isUpdate = false) => ({
+  name: { type: 'string', required: !isUpdate, minLength: 1, maxLength: 50 },
+  color: {
+    type: 'string',
+    pattern: '^#[0-9a-fA-F]{6}$',
+    patternMessage: 'color must be a hex color such as #22c55e'
+  }
+});
+
+/**
+ * Get all tags for the authenticated user
+ */
+export const getTagsController = async (req, res, next) => {
+  try {
+    const { page, limit, search, includeDeleted } = req.query;
+
+    const options = {
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 50, 100),
+      search: search ? String(search).trim() : null,
+      includeDeleted: includeDeleted === 'true'
+    };
+
+    const result = await getTags(req.user.id, options);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Tags retrieved successfully',
+      data: result.tags,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get tag by ID
+ */
+export const getTagByIdController = async (req, res, next) => {
+  try {
+    const tag = await getTagById(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Tag retrieved successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new tag
+ */
+export const createTagController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, tagSchema());
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    const tag = await createTag(req.user.id, value);
+
+    return res.status(201).json({
+      error: false,
+      message: 'Tag created successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a tag
+ */
+export const updateTagController = async (req, res, next) => {
+  try {
+    const { error, value } = validateRequest(req.body, tagSchema(true));
+
+    if (error) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid request data',
+        details: error
+      });
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'At least one field must be provided for update'
+      });
+    }
+
+    const tag = await updateTag(req.params.id, req.user.id, value);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Tag updated successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a tag (soft delete)
+ */
+export const deleteTagController = async (req, res, next) => {
+  try {
+    await softDeleteTag(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a soft-deleted tag
+ */
+export const restoreTagController = async (req, res, next) => {
+  try {
+    const tag = await restoreTag(req.params.id, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Tag restored successfully',
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,88 @@
+import {
+  getTransactionHistory,
+  getTransactionVersion
+} from '../services/transactionHistoryService.js';
+import { revertTransaction } from '../services/transactionService.js';
+
+/**
+ * Version numbers start at 1; anything else is answered with a 400
+ */
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 1 ? version : null;
+};
+
+/**
+ * Get the change history of a transaction with field-level diffs
+ */
+export const getTransactionHistoryController = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+
+    const result = await getTransactionHistory(req.params.id, req.user.id, {
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    return res.status(200).json({
+      error: false,
+      message: 'Transaction history retrieved successfully',
+      data: result.versions,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one version of a transaction with its full state
+ */
+export const getTransactionVersionController = async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version);
+
+    if (!version) {
+      return res.status(400).json({
+        error: true,
+        message: 'Version must be a positive integer'
+      });
+    }
+
+    const transactionVersion = await getTransactionVersion(req.params.id, version, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: 'Transaction version retrieved successfully',
+      data: transactionVersion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Put a transaction back in the state of an earlier version
+ */
+export const revertTransactionController = async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version);
+
+    if (!version) {
+      return res.status(400).json({
+        error: true,
+        message: 'Version must be a positive integer'
+      });
+    }
+
+    const transaction = await revertTransaction(req.params.id, version, req.user.id);
+
+    return res.status(200).json({
+      error: false,
+      message: `Transaction reverted to version ${version}`,
+      data: transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
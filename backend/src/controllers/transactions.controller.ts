@@ -19,10 +19,31 @@ import {
   transactionSavings,
   transactionInvestment,
   getTransactionTypesWithCache,
+  insertTransaction,
 } from "../services/transactionService.js";
+import { applyCategorizationRules } from "../services/categorizationRuleService.js";
+import {
+  DEFAULT_SUGGESTION_LIMIT,
+  MAX_SUGGESTION_LIMIT,
+  suggestCategories,
+} from "../services/categorySuggestionService.js";
+import {
+  assertGoalOwnership,
+  insertGoalContribution,
+} from "../services/goalService.js";
+import { prisma } from "../config/db.js";
 import { logger } from "../utils/logger.js";
 import { validateRequest } from "../utils/requestValidator.js";
 
+// Summary groupings besides the default category breakdown
+const SUMMARY_GROUPINGS = ["category", "tag"];
+
+/**
+ * Query strings carry tag IDs as a comma-separated list
+ */
+const parseTagIds = (value) =>
+  value ? String(value).split(",").map((id) => id.trim()).filter(Boolean) : undefined;
+
 // Transaction Type Constants
 const TRANSACTION_TYPES = {
   INCOME: "INCOME",
@@ -39,7 +60,7 @@ const TRANSACTION_TYPES = {
  */
 export const createTransaction = async (req, res) => {
   try {
-    const { type, amount, description, date, categoryId, notes } = req.body;
+    const { type, amount, description, date, categoryId, notes, accountId, toAccountId, toAmount, currency, splits, tagIds, payeeId } = req.body;
 
     // Validate required fields
     if (!type || !amount || !description) {
@@ -62,6 +83,13 @@ export const createTransaction = async (req, res) => {
       userId: req.user.id,
       categoryId,
       notes,
+      accountId,
+      toAccountId,
+      toAmount,
+      currency,
+      splits,
+      tagIds,
+      payeeId,
     };
 
     // Create transaction using service
@@ -72,9 +100,24 @@ export const createTransaction = async (req, res) => {
       userId: req.user.id,
     });
 
+    // Suggestions only help when the client did not categorize the transaction
+    // itself, and a failure to rank them must not fail the create
+    let suggestions = [];
+    if (!categoryId && !(splits && splits.length > 0)) {
+      try {
+        ({ suggestions } = await suggestCategories(req.user.id, transactionData));
+      } catch (error) {
+        logger.warn("Category suggestions failed after transaction create", {
+          transactionId: transaction.id,
+          userId: req.user.id,
+          error: error.message,
+        });
+      }
+    }
+
     return res.status(201).json({
       success: true,
-      data: transaction,
+      data: { ...transaction, suggestedCategories: suggestions },
     });
   } catch (error) {
     logger.error("API error - Failed to create transaction", {
@@ -83,9 +126,9 @@ export const createTransaction = async (req, res) => {
       body: req.body,
     });
 
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to create transaction",
+      message: error.statusCode ? error.message : "Failed to create transaction",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -99,7 +142,7 @@ export const createTransaction = async (req, res) => {
 export const updateTransaction = async (req, res) => {
   try {
     const { id } = req.params;
-    const { type, amount, description, date, categoryId, notes } = req.body;
+    const { type, amount, description, date, categoryId, notes, accountId, toAccountId, toAmount, currency, splits, tagIds, payeeId } = req.body;
 
     if (!id) {
       return res.status(400).json({
@@ -109,7 +152,7 @@ export const updateTransaction = async (req, res) => {
     }
 
     // Validate transaction exists and belongs to user
-    const existingTransaction = await getTransactionById(Number(id));
+    const existingTransaction = await getTransactionById(id);
 
     if (!existingTransaction) {
       logger.warn("Transaction update failed - transaction not found", {
@@ -143,9 +186,16 @@ export const updateTransaction = async (req, res) => {
     if (date) updateData.date = new Date(date);
     if (categoryId) updateData.categoryId = categoryId;
     if (notes !== undefined) updateData.notes = notes;
+    if (accountId !== undefined) updateData.accountId = accountId;
+    if (toAccountId !== undefined) updateData.toAccountId = toAccountId;
+    if (toAmount !== undefined) updateData.toAmount = toAmount;
+    if (currency) updateData.currency = currency;
+    if (splits !== undefined) updateData.splits = splits;
+    if (tagIds !== undefined) updateData.tagIds = tagIds;
+    if (payeeId !== undefined) updateData.payeeId = payeeId;
 
     // Update transaction using service
-    const transaction = await updateTransactionService(Number(id), updateData);
+    const transaction = await updateTransactionService(id, updateData, { changedBy: req.user.id });
 
     logger.info("Transaction updated via API", {
       transactionId: transaction.id,
@@ -163,9 +213,9 @@ export const updateTransaction = async (req, res) => {
       userId: req.user?.id,
     });
 
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to update transaction",
+      message: error.statusCode ? error.message : "Failed to update transaction",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -188,7 +238,7 @@ export const deleteTransaction = async (req, res) => {
     }
 
     // Validate transaction exists and belongs to user
-    const existingTransaction = await getTransactionById(Number(id));
+    const existingTransaction = await getTransactionById(id);
 
     if (!existingTransaction) {
       logger.warn("Transaction delete failed - transaction not found", {
@@ -215,7 +265,7 @@ export const deleteTransaction = async (req, res) => {
     }
 
     // Delete transaction using service
-    await deleteTransactionService(Number(id));
+    await deleteTransactionService(id, { changedBy: req.user.id });
 
     logger.info("Transaction deleted via API", {
       transactionId: id,
@@ -230,9 +280,9 @@ export const deleteTransaction = async (req, res) => {
       userId: req.user?.id,
     });
 
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to delete transaction",
+      message: error.statusCode ? error.message : "Failed to delete transaction",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -248,7 +298,9 @@ export const getTransactionsForUser = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
 
-    const result = await getTransactionByUserId(req.user.id, page, limit);
+    const cursor = req.query.cursor || null;
+
+    const result = await getTransactionByUserId(req.user.id, page, limit, cursor);
 
     logger.info("Transactions retrieved for user via API", {
       userId: req.user.id,
@@ -268,9 +320,9 @@ export const getTransactionsForUser = async (req, res) => {
       userId: req.user?.id,
     });
 
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to retrieve transactions",
+      message: error.statusCode ? error.message : "Failed to retrieve transactions",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -292,7 +344,7 @@ export const getTransactionByIdController = async (req, res) => {
       });
     }
 
-    const transaction = await getTransactionById(Number(id));
+    const transaction = await getTransactionById(id);
 
     if (!transaction) {
       logger.warn("Transaction retrieval failed - transaction not found", {
@@ -349,39 +401,32 @@ export const getTransactionByIdController = async (req, res) => {
  */
 export const searchTransactionsController = async (req, res) => {
   try {
-    const { keyword } = req.query;
+    const keyword = req.query.keyword || req.query.q;
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
 
-    if (!keyword) {
+    if (!keyword || !String(keyword).trim()) {
       return res.status(400).json({
         success: false,
         message: "Search keyword is required",
       });
     }
 
-    const result = await searchTransactions(keyword, page, limit);
+    const cursor = req.query.cursor || null;
+    const sort = req.query.sort || "relevance";
 
-    // Filter for user's transactions only
-    const userTransactions = {
-      transactions: result.transactions.filter((t) => t.userId === req.user.id),
-      pagination: {
-        ...result.pagination,
-        total: result.transactions.filter((t) => t.userId === req.user.id)
-          .length,
-      },
-    };
+    const result = await searchTransactions(String(keyword), page, limit, req.user.id, cursor, sort);
 
     logger.info("Transactions searched via API", {
       userId: req.user.id,
       keyword,
-      resultsCount: userTransactions.transactions.length,
+      resultsCount: result.transactions.length,
     });
 
     return res.status(200).json({
       success: true,
-      data: userTransactions.transactions,
-      pagination: userTransactions.pagination,
+      data: result.transactions,
+      pagination: result.pagination,
     });
   } catch (error) {
     logger.error("API error - Failed to search transactions", {
@@ -390,9 +435,69 @@ export const searchTransactionsController = async (req, res) => {
       userId: req.user?.id,
     });
 
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to search transactions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Rank likely categories for a transaction from the user's own history
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+export const suggestCategoryController = async (req, res) => {
+  try {
+    const { description, amount, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_SUGGESTION_LIMIT, MAX_SUGGESTION_LIMIT);
+
+    if (!description || !String(description).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Description is required",
+      });
+    }
+
+    if (type && !Object.values(TRANSACTION_TYPES).includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${Object.values(TRANSACTION_TYPES).join(", ")}`,
+      });
+    }
+
+    if (amount !== undefined && isNaN(parseFloat(amount))) {
+      return res.status(400).json({
+        success: false,
+        message: "Amount must be a number",
+      });
+    }
+
+    const result = await suggestCategories(
+      req.user.id,
+      {
+        description: String(description),
+        amount: amount !== undefined ? parseFloat(amount) : undefined,
+        type,
+      },
+      limit
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: result.suggestions,
+      trainedOn: result.trainedOn,
+    });
+  } catch (error) {
+    logger.error("API error - Failed to suggest categories", {
+      error: error.message,
+      userId: req.user?.id,
+    });
+
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to search transactions",
+      message: error.statusCode ? error.message : "Failed to suggest categories",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -433,13 +538,13 @@ export const getTransactionsByDateController = async (req, res) => {
       userId: req.user.id,
       startDate,
       endDate,
-      resultsCount: userTransactions.transactions.length,
+      resultsCount: result.transactions.length,
     });
 
     return res.status(200).json({
       success: true,
-      data: userTransactions.transactions,
-      pagination: userTransactions.pagination,
+      data: result.transactions,
+      pagination: result.pagination,
     });
   } catch (error) {
     logger.error("API error - Failed to retrieve transactions by date", {
@@ -467,20 +572,35 @@ export const filterTransactionsController = async (req, res) => {
     const {
       type,
       categoryId,
+      accountId,
+      payeeId,
       startDate,
       endDate,
       minAmount,
       maxAmount,
       keyword,
+      tagIds,
+      tagMatch,
     } = req.query;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
 
+    if (tagMatch && !["any", "all"].includes(tagMatch)) {
+      return res.status(400).json({
+        success: false,
+        message: "tagMatch must be either any or all",
+      });
+    }
+
     // Prepare filters
     const filters = {
       userId: req.user.id, // Always filter by the authenticated user
       type: type || undefined,
       categoryId: categoryId || undefined,
+      accountId: accountId || undefined,
+      payeeId: payeeId || undefined,
+      tagIds: parseTagIds(tagIds),
+      tagMatch: tagMatch || undefined,
       startDate: startDate || undefined,
       endDate: endDate || undefined,
       minAmount: minAmount || undefined,
@@ -489,7 +609,7 @@ export const filterTransactionsController = async (req, res) => {
     };
 
     // Filter transactions
-    const result = await transactionFilter(filters, page, limit);
+    const result = await transactionFilter(filters, page, limit, req.query.cursor || null);
 
     logger.info("Transactions filtered via API", {
       userId: req.user.id,
@@ -509,9 +629,9 @@ export const filterTransactionsController = async (req, res) => {
       userId: req.user?.id,
     });
 
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to filter transactions",
+      message: error.statusCode ? error.message : "Failed to filter transactions",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -524,14 +644,22 @@ export const filterTransactionsController = async (req, res) => {
  */
 export const getTransactionSummaryController = async (req, res) => {
   try {
-    const { period, startDate, endDate } = req.query;
+    const { period, startDate, endDate, groupBy } = req.query;
+
+    if (groupBy && !SUMMARY_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${SUMMARY_GROUPINGS.join(", ")}`,
+      });
+    }
 
     // Generate summary
     const summary = await transactionSummary(
       req.user.id,
       period || "month",
       startDate,
-      endDate
+      endDate,
+      { groupBy }
     );
 
     logger.info("Transaction summary generated via API", {
@@ -578,29 +706,35 @@ export const restoreTransactionController = async (req, res) => {
       });
     }
 
-    // Note: Normally would verify user ownership first, but we can't easily
-    // check this for deleted transactions without additional service method
+    // Ownership is checked before anything is restored; the lookup includes
+    // deleted transactions
+    const existingTransaction = await getTransactionById(id);
 
-    // Restore transaction
-    const transaction = await restoreTransaction(Number(id));
+    if (!existingTransaction) {
+      logger.warn("Transaction restore failed - transaction not found", {
+        transactionId: id,
+        userId: req.user.id,
+      });
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found",
+      });
+    }
 
-    // Verify ownership after restoration
-    if (transaction.userId !== req.user.id) {
+    if (existingTransaction.userId !== req.user.id) {
       logger.warn("Transaction restore failed - unauthorized access", {
         transactionId: id,
         userId: req.user.id,
-        transactionUserId: transaction.userId,
+        transactionUserId: existingTransaction.userId,
       });
-
-      // Re-delete the transaction we just restored
-      await deleteTransactionService(Number(id));
-
       return res.status(403).json({
         success: false,
         message: "You don't have permission to restore this transaction",
       });
     }
 
+    const transaction = await restoreTransaction(id, { changedBy: req.user.id });
+
     logger.info("Transaction restored via API", {
       transactionId: id,
       userId: req.user.id,
@@ -617,9 +751,9 @@ export const restoreTransactionController = async (req, res) => {
       userId: req.user?.id,
     });
 
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to restore transaction",
+      message: error.statusCode ? error.message : "Failed to restore transaction",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -632,7 +766,7 @@ export const restoreTransactionController = async (req, res) => {
  */
 export const getTransactionsByCategory = async (req, res) => {
   try {
-    const { categoryId } = req.params;
+    const categoryId = req.params.categoryId || req.query.categoryId;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
 
@@ -646,7 +780,7 @@ export const getTransactionsByCategory = async (req, res) => {
     // Get transactions by category
     const result = await getTransactionByCategory(
       req.user.id,
-      Number(categoryId),
+      categoryId,
       page,
       limit
     );
@@ -660,6 +794,7 @@ export const getTransactionsByCategory = async (req, res) => {
     return res.status(200).json({
       success: true,
       data: result.transactions,
+      totalAmount: result.totalAmount,
       pagination: result.pagination,
     });
   } catch (error) {
@@ -736,11 +871,11 @@ export const getTransactionsByType = async (req, res) => {
  */
 export const getTransactionsByDescription = async (req, res) => {
   try {
-    const { description } = req.params;
+    const { description } = req.query;
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
 
-    if (!description) {
+    if (!description || !String(description).trim()) {
       return res.status(400).json({
         success: false,
         message: "Transaction description is required",
@@ -750,7 +885,7 @@ export const getTransactionsByDescription = async (req, res) => {
     // Get transactions by description
     const result = await getTransactionByDescription(
       req.user.id,
-      description,
+      String(description),
       page,
       limit
     );
@@ -769,13 +904,13 @@ export const getTransactionsByDescription = async (req, res) => {
   } catch (error) {
     logger.error("API error - Failed to retrieve transactions by description", {
       error: error.message,
-      description: req.params.description,
+      description: req.query.description,
       userId: req.user?.id,
     });
 
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to retrieve transactions by description",
+      message: error.statusCode ? error.message : "Failed to retrieve transactions by description",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -849,7 +984,9 @@ export const transactionIncomeController = async (req, res) => {
       const limit = parseInt(req.query.limit) || 10;
       
       // Use the service function to get income transactions
-      const result = await transactionIncome(page, limit, userId);
+      const cursor = req.query.cursor || null;
+      
+      const result = await transactionIncome(page, limit, userId, cursor);
       
       return res.status(200).json({
         error: false,
@@ -867,7 +1004,8 @@ export const transactionIncomeController = async (req, res) => {
         description: { type: 'string', required: true },
         date: { type: 'date' },
         categories: { type: 'array' },
-        notes: { type: 'string' }
+        notes: { type: 'string' },
+        accountId: { type: 'string' }
       });
       
       if (error) {
@@ -879,7 +1017,7 @@ export const transactionIncomeController = async (req, res) => {
       }
       
       // Extract validated data
-      const { amount, description, date, categories = [], notes } = value;
+      const { amount, description, date, categories = [], notes, accountId } = value;
       
       // Prepare transaction data object
       const transactionData = {
@@ -888,6 +1026,7 @@ export const transactionIncomeController = async (req, res) => {
         description,
         date: date || new Date(),
         notes,
+        accountId,
         type: TRANSACTION_TYPES.INCOME,
         categories: {
           connect: categories.map(categoryId => ({ id: categoryId }))
@@ -930,7 +1069,7 @@ export const transactionIncomeController = async (req, res) => {
       method: req.method
     });
     
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       error: true,
       message: 'Failed to process income transaction',
       details: error.message
@@ -957,7 +1096,9 @@ export const transactionExpenseController = async (req, res) => {
       const limit = parseInt(req.query.limit) || 10;
       
       // Use the service function instead of direct Prisma calls
-      const result = await transactionExpense(page, limit, userId);
+      const cursor = req.query.cursor || null;
+      
+      const result = await transactionExpense(page, limit, userId, cursor);
       
       return res.status(200).json({
         error: false,
@@ -975,7 +1116,8 @@ export const transactionExpenseController = async (req, res) => {
         description: { type: 'string', required: true },
         date: { type: 'date' },
         categories: { type: 'array' },
-        notes: { type: 'string' }
+        notes: { type: 'string' },
+        accountId: { type: 'string' }
       });
 
       if (error) {
@@ -987,7 +1129,7 @@ export const transactionExpenseController = async (req, res) => {
       }
 
       // Extract validated data
-      const { amount, description, date, categories = [], notes } = value;
+      const { amount, description, date, categories = [], notes, accountId } = value;
 
       // Prepare transaction data object
       const transactionData = {
@@ -996,6 +1138,7 @@ export const transactionExpenseController = async (req, res) => {
         description,
         date: date || new Date(),
         notes,
+        accountId,
         type: TRANSACTION_TYPES.EXPENSE,
         categories: {
           connect: categories.map(categoryId => ({ id: categoryId }))
@@ -1038,7 +1181,7 @@ export const transactionExpenseController = async (req, res) => {
       method: req.method
     });
     
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       error: true,
       message: 'Failed to process expense transaction',
       details: error.message
@@ -1062,7 +1205,9 @@ export const transactionSavingsController = async (req, res) => {
       const limit = parseInt(req.query.limit) || 10;
       
       // Use the service function to get savings transactions
-      const result = await transactionSavings(page, limit, userId);
+      const cursor = req.query.cursor || null;
+      
+      const result = await transactionSavings(page, limit, userId, cursor);
       
       return res.status(200).json({
         error: false,
@@ -1081,7 +1226,9 @@ export const transactionSavingsController = async (req, res) => {
         date: { type: 'date' },
         goalId: { type: 'string' }, // Optional saving goal ID
         categories: { type: 'array' },
-        notes: { type: 'string' }
+        notes: { type: 'string' },
+        accountId: { type: 'uuid', required: true },
+        toAccountId: { type: 'uuid', required: true } // Savings account receiving the money
       });
       
       if (error) {
@@ -1093,48 +1240,37 @@ export const transactionSavingsController = async (req, res) => {
       }
       
       // Extract validated data
-      const { amount, description, date, goalId, categories = [], notes } = value;
+      const { amount, description, date, goalId, categories = [], notes, accountId, toAccountId } = value;
       
-      // Transaction to create the savings record and update the goal if provided
-      const result = await prisma.$transaction(async (prisma) => {
-        // Create the savings transaction
-        const transaction = await prisma.transaction.create({
-          data: {
-            userId,
-            amount: Math.abs(amount) * -1, // Treated as an expense from regular account
-            description,
-            date: date || new Date(),
-            notes,
-            type: TRANSACTION_TYPES.TRANSFER,
-            categories: {
-              connect: categories.map(categoryId => ({ id: categoryId }))
-            }
-          },
-          include: {
-            categories: true
+      // Moving money into a savings account is a transfer: both legs are
+      // recorded, and the goal allocation is made in the same database transaction
+      const result = await prisma.$transaction(async (tx) => {
+        const transferData = await applyCategorizationRules(tx, {
+          userId,
+          type: TRANSACTION_TYPES.TRANSFER,
+          amount,
+          description,
+          date: date || new Date(),
+          notes,
+          accountId,
+          toAccountId,
+          categories: {
+            connect: categories.map(categoryId => ({ id: categoryId }))
           }
         });
+
+        const transaction = await insertTransaction(tx, transferData);
         
-        // If a goal ID is provided, update the goal's current amount
+        // If a goal ID is provided, allocate the transaction to the goal so
+        // deleting it later takes the money back out of the goal's progress
         if (goalId) {
-          const goal = await prisma.savingGoal.findUnique({
-            where: { id: goalId, userId }
-          });
-          
-          if (!goal) {
-            throw new Error('Saving goal not found');
-          }
-          
-          // Update the goal with the new amount
-          await prisma.savingGoal.update({
-            where: { id: goalId },
-            data: {
-              currentAmount: {
-                increment: Math.abs(amount)
-              },
-              // Automatically mark as achieved if target is reached
-              isAchieved: goal.currentAmount + Math.abs(amount) >= goal.targetAmount
-            }
+          const goal = await assertGoalOwnership(tx, goalId, userId);
+
+          await insertGoalContribution(tx, goal, {
+            amount: Math.abs(amount),
+            date: date || new Date(),
+            note: description,
+            transactionId: transaction.id
           });
         }
         
@@ -1175,7 +1311,7 @@ export const transactionSavingsController = async (req, res) => {
       method: req.method
     });
     
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       error: true,
       message: 'Failed to process savings transaction',
       details: error.message
@@ -1199,7 +1335,9 @@ export const transactionInvestmentController = async (req, res) => {
       const limit = parseInt(req.query.limit) || 10;
       
       // Use the service function to get investment transactions
-      const result = await transactionInvestment(page, limit, userId);
+      const cursor = req.query.cursor || null;
+      
+      const result = await transactionInvestment(page, limit, userId, cursor);
       
       return res.status(200).json({
         error: false,
@@ -1218,7 +1356,8 @@ export const transactionInvestmentController = async (req, res) => {
         date: { type: 'date' },
         investmentType: { type: 'string' }, // e.g., stock, bond, real estate
         categories: { type: 'array' },
-        notes: { type: 'string' }
+        notes: { type: 'string' },
+        accountId: { type: 'string' }
       });
       
       if (error) {
@@ -1230,7 +1369,7 @@ export const transactionInvestmentController = async (req, res) => {
       }
       
       // Extract validated data
-      const { amount, description, date, investmentType, categories = [], notes } = value;
+      const { amount, description, date, investmentType, categories = [], notes, accountId } = value;
       
       // Prepare transaction data object
       const transactionData = {
@@ -1239,6 +1378,7 @@ export const transactionInvestmentController = async (req, res) => {
         description,
         date: date || new Date(),
         notes: notes || (investmentType ? `Investment Type: ${investmentType}` : null),
+        accountId,
         type: TRANSACTION_TYPES.INVESTMENT,
         categories: {
           connect: categories.map(categoryId => ({ id: categoryId }))
@@ -1282,7 +1422,7 @@ export const transactionInvestmentController = async (req, res) => {
       method: req.method
     });
     
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       error: true,
       message: 'Failed to process investment transaction',
       details: error.message
@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "TransferDirection" AS ENUM ('OUT', 'IN');
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "transferDirection" "TransferDirection",
+ADD COLUMN     "transferId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "transactions_transferId_idx" ON "transactions"("transferId");
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "RecurrenceFrequency" AS ENUM ('DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY');
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "recurringRuleId" TEXT;
+
+-- CreateTable
+CREATE TABLE "recurring_rules" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT,
+    "toAccountId" TEXT,
+    "type" "TransactionType" NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "description" TEXT NOT NULL,
+    "notes" TEXT,
+    "categoryIds" TEXT[],
+    "frequency" "RecurrenceFrequency" NOT NULL,
+    "interval" INTEGER NOT NULL DEFAULT 1,
+    "dayOfMonth" INTEGER,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3),
+    "maxOccurrences" INTEGER,
+    "occurrenceCount" INTEGER NOT NULL DEFAULT 0,
+    "nextRunDate" TIMESTAMP(3),
+    "lastRunDate" TIMESTAMP(3),
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "recurring_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "recurring_occurrences" (
+    "id" TEXT NOT NULL,
+    "recurringRuleId" TEXT NOT NULL,
+    "occurrenceDate" TIMESTAMP(3) NOT NULL,
+    "transactionId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "recurring_occurrences_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transactions_recurringRuleId_idx" ON "transactions"("recurringRuleId");
+
+-- CreateIndex
+CREATE INDEX "recurring_rules_userId_idx" ON "recurring_rules"("userId");
+
+-- CreateIndex
+CREATE INDEX "recurring_rules_nextRunDate_idx" ON "recurring_rules"("nextRunDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "recurring_occurrences_recurringRuleId_occurrenceDate_key" ON "recurring_occurrences"("recurringRuleId", "occurrenceDate");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_recurringRuleId_fkey" FOREIGN KEY ("recurringRuleId") REFERENCES "recurring_rules"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recurring_rules" ADD CONSTRAINT "recurring_rules_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recurring_rules" ADD CONSTRAINT "recurring_rules_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recurring_rules" ADD CONSTRAINT "recurring_rules_toAccountId_fkey" FOREIGN KEY ("toAccountId") REFERENCES "accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recurring_occurrences" ADD CONSTRAINT "recurring_occurrences_recurringRuleId_fkey" FOREIGN KEY ("recurringRuleId") REFERENCES "recurring_rules"("id") ON DELETE CASCADE ON UPDATE CASCADE;
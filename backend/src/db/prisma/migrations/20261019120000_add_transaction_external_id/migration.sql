@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "externalId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transactions_userId_externalId_key" ON "transactions"("userId", "externalId");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "transaction_splits" (
+    "id" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "categoryId" TEXT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "memo" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "transaction_splits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transaction_splits_transactionId_idx" ON "transaction_splits"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "transaction_splits_categoryId_idx" ON "transaction_splits"("categoryId");
+
+-- AddForeignKey
+ALTER TABLE "transaction_splits" ADD CONSTRAINT "transaction_splits_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transaction_splits" ADD CONSTRAINT "transaction_splits_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "categories"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
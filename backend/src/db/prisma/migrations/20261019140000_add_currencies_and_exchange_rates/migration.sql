@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- Existing transactions take the currency of their account
+UPDATE "transactions" t SET "currency" = a."currency" FROM "accounts" a WHERE t."accountId" = a."id";
+
+-- CreateTable
+CREATE TABLE "user_preferences" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "language" TEXT NOT NULL DEFAULT 'en',
+    "theme" TEXT NOT NULL DEFAULT 'system',
+    "notifications" BOOLEAN NOT NULL DEFAULT true,
+    "emailNotifications" BOOLEAN NOT NULL DEFAULT true,
+    "dateFormat" TEXT NOT NULL DEFAULT 'YYYY-MM-DD',
+    "timeFormat" TEXT NOT NULL DEFAULT '24h',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "user_preferences_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "exchange_rates" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "baseCurrency" TEXT NOT NULL,
+    "quoteCurrency" TEXT NOT NULL,
+    "rate" DECIMAL(65,30) NOT NULL,
+    "source" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_preferences_userId_key" ON "user_preferences"("userId");
+
+-- CreateIndex
+CREATE INDEX "exchange_rates_quoteCurrency_date_idx" ON "exchange_rates"("quoteCurrency", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "exchange_rates_baseCurrency_quoteCurrency_date_key" ON "exchange_rates"("baseCurrency", "quoteCurrency", "date");
+
+-- AddForeignKey
+ALTER TABLE "user_preferences" ADD CONSTRAINT "user_preferences_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
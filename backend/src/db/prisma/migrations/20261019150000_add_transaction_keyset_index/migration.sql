@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "transactions_userId_date_id_idx" ON "transactions"("userId", "date", "id");
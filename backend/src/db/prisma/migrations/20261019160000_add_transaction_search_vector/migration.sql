@@ -0,0 +1,63 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "searchVector" tsvector;
+
+-- Search document for a transaction: description (A), category names (B), notes (C)
+CREATE OR REPLACE FUNCTION transaction_search_document(transaction_id TEXT, description TEXT, notes TEXT)
+RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('english', COALESCE(description, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE((
+      SELECT string_agg(c."name", ' ')
+      FROM "categories" c
+      JOIN "_CategoryToTransaction" ct ON ct."A" = c."id"
+      WHERE ct."B" = transaction_id
+    ), '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(notes, '')), 'C');
+$$ LANGUAGE sql STABLE;
+
+-- Keep the vector current when the transaction text changes
+CREATE OR REPLACE FUNCTION transactions_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" := transaction_search_document(NEW."id", NEW."description", NEW."notes");
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "transactions_search_vector_update"
+BEFORE INSERT OR UPDATE OF "description", "notes" ON "transactions"
+FOR EACH ROW EXECUTE FUNCTION transactions_search_vector_update();
+
+-- ... and when categories are linked, unlinked or renamed
+CREATE OR REPLACE FUNCTION category_links_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  UPDATE "transactions" t
+  SET "searchVector" = transaction_search_document(t."id", t."description", t."notes")
+  WHERE t."id" = CASE WHEN TG_OP = 'DELETE' THEN OLD."B" ELSE NEW."B" END;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "category_links_search_vector_update"
+AFTER INSERT OR DELETE ON "_CategoryToTransaction"
+FOR EACH ROW EXECUTE FUNCTION category_links_search_vector_update();
+
+CREATE OR REPLACE FUNCTION categories_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  UPDATE "transactions" t
+  SET "searchVector" = transaction_search_document(t."id", t."description", t."notes")
+  FROM "_CategoryToTransaction" ct
+  WHERE ct."A" = NEW."id" AND ct."B" = t."id";
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "categories_search_vector_update"
+AFTER UPDATE OF "name" ON "categories"
+FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+EXECUTE FUNCTION categories_search_vector_update();
+
+-- Backfill existing transactions
+UPDATE "transactions" SET "searchVector" = transaction_search_document("id", "description", "notes");
+
+-- CreateIndex
+CREATE INDEX "transactions_searchVector_idx" ON "transactions" USING GIN ("searchVector");
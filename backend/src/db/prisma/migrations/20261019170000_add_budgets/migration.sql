@@ -0,0 +1,60 @@
+-- CreateEnum
+CREATE TYPE "BudgetPeriod" AS ENUM ('MONTHLY', 'QUARTERLY', 'YEARLY');
+
+-- CreateTable
+CREATE TABLE "budgets" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "categoryId" TEXT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "period" "BudgetPeriod" NOT NULL DEFAULT 'MONTHLY',
+    "rollover" BOOLEAN NOT NULL DEFAULT false,
+    "alertThresholds" INTEGER[] DEFAULT ARRAY[80, 100]::INTEGER[],
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3),
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "budgets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "budget_alerts" (
+    "id" TEXT NOT NULL,
+    "budgetId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "budgeted" DECIMAL(65,30) NOT NULL,
+    "spent" DECIMAL(65,30) NOT NULL,
+    "isRead" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "budget_alerts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "budgets_userId_idx" ON "budgets"("userId");
+
+-- CreateIndex
+CREATE INDEX "budgets_categoryId_idx" ON "budgets"("categoryId");
+
+-- CreateIndex
+CREATE INDEX "budget_alerts_userId_isRead_idx" ON "budget_alerts"("userId", "isRead");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "budget_alerts_budgetId_periodStart_threshold_key" ON "budget_alerts"("budgetId", "periodStart", "threshold");
+
+-- AddForeignKey
+ALTER TABLE "budgets" ADD CONSTRAINT "budgets_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "budgets" ADD CONSTRAINT "budgets_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "categories"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "budget_alerts" ADD CONSTRAINT "budget_alerts_budgetId_fkey" FOREIGN KEY ("budgetId") REFERENCES "budgets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "budget_alerts" ADD CONSTRAINT "budget_alerts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "saving_goals" ADD COLUMN     "achievedAt" TIMESTAMP(3),
+ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- CreateTable
+CREATE TABLE "goal_contributions" (
+    "id" TEXT NOT NULL,
+    "goalId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "goal_contributions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "goal_contributions_goalId_date_idx" ON "goal_contributions"("goalId", "date");
+
+-- AddForeignKey
+ALTER TABLE "goal_contributions" ADD CONSTRAINT "goal_contributions_goalId_fkey" FOREIGN KEY ("goalId") REFERENCES "saving_goals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Goals in the base currency of their owner
+UPDATE "saving_goals" g
+SET "currency" = p."currency"
+FROM "user_preferences" p
+WHERE p."userId" = g."userId";
+
+-- Carry existing progress into the ledger as an opening contribution
+INSERT INTO "goal_contributions" ("id", "goalId", "userId", "amount", "date", "note", "createdAt", "updatedAt")
+SELECT gen_random_uuid()::text, g."id", g."userId", g."currentAmount", g."createdAt", 'Opening balance', NOW(), NOW()
+FROM "saving_goals" g
+WHERE g."currentAmount" <> 0;
+
+UPDATE "saving_goals"
+SET "achievedAt" = "updatedAt"
+WHERE "isAchieved" = true;
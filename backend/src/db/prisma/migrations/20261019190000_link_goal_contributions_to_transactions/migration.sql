@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "goal_contributions" ADD COLUMN     "transactionId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "goal_contributions_transactionId_idx" ON "goal_contributions"("transactionId");
+
+-- AddForeignKey
+ALTER TABLE "goal_contributions" ADD CONSTRAINT "goal_contributions_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
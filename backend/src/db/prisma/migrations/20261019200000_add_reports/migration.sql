@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "ReportType" AS ENUM ('INCOME_VS_EXPENSE', 'CATEGORY_BREAKDOWN', 'TREND');
+
+-- CreateTable
+CREATE TABLE "reports" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "ReportType" NOT NULL,
+    "filters" JSONB NOT NULL DEFAULT '{}',
+    "data" JSONB,
+    "generatedAt" TIMESTAMP(3),
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "reports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reports_userId_idx" ON "reports"("userId");
+
+-- AddForeignKey
+ALTER TABLE "reports" ADD CONSTRAINT "reports_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,64 @@
+-- CreateEnum
+CREATE TYPE "DigestFrequency" AS ENUM ('WEEKLY', 'MONTHLY');
+
+-- CreateEnum
+CREATE TYPE "DeliveryStatus" AS ENUM ('SENT', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "report_schedules" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "frequency" "DigestFrequency" NOT NULL,
+    "dayOfWeek" INTEGER,
+    "dayOfMonth" INTEGER,
+    "hour" INTEGER NOT NULL DEFAULT 8,
+    "recipient" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "nextRunAt" TIMESTAMP(3) NOT NULL,
+    "lastRunAt" TIMESTAMP(3),
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "report_schedules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "report_deliveries" (
+    "id" TEXT NOT NULL,
+    "scheduleId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "status" "DeliveryStatus" NOT NULL,
+    "transport" TEXT NOT NULL,
+    "messageId" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "report_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "report_schedules_userId_idx" ON "report_schedules"("userId");
+
+-- CreateIndex
+CREATE INDEX "report_schedules_isActive_nextRunAt_idx" ON "report_schedules"("isActive", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "report_deliveries_scheduleId_createdAt_idx" ON "report_deliveries"("scheduleId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "report_deliveries_userId_idx" ON "report_deliveries"("userId");
+
+-- AddForeignKey
+ALTER TABLE "report_schedules" ADD CONSTRAINT "report_schedules_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "report_deliveries" ADD CONSTRAINT "report_deliveries_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "report_schedules"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "report_deliveries" ADD CONSTRAINT "report_deliveries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "payee" TEXT,
+ADD COLUMN     "tags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "categorization_rules" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "priority" INTEGER NOT NULL DEFAULT 100,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "stopProcessing" BOOLEAN NOT NULL DEFAULT false,
+    "descriptionContains" TEXT,
+    "descriptionPattern" TEXT,
+    "minAmount" DECIMAL(65,30),
+    "maxAmount" DECIMAL(65,30),
+    "accountId" TEXT,
+    "type" "TransactionType",
+    "categoryId" TEXT,
+    "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "payee" TEXT,
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "categorization_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "categorization_rules_userId_priority_idx" ON "categorization_rules"("userId", "priority");
+
+-- AddForeignKey
+ALTER TABLE "categorization_rules" ADD CONSTRAINT "categorization_rules_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "categorization_rules" ADD CONSTRAINT "categorization_rules_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "categorization_rules" ADD CONSTRAINT "categorization_rules_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "categories"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,80 @@
+-- CreateTable
+CREATE TABLE "tags" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "color" TEXT,
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tags_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_TagToTransaction" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_TagToTransaction_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateTable
+CREATE TABLE "_CategorizationRuleTags" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_CategorizationRuleTags_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tags_userId_name_key" ON "tags"("userId", "name");
+
+-- CreateIndex
+CREATE INDEX "_TagToTransaction_B_index" ON "_TagToTransaction"("B");
+
+-- CreateIndex
+CREATE INDEX "_CategorizationRuleTags_B_index" ON "_CategorizationRuleTags"("B");
+
+-- AddForeignKey
+ALTER TABLE "tags" ADD CONSTRAINT "tags_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_TagToTransaction" ADD CONSTRAINT "_TagToTransaction_A_fkey" FOREIGN KEY ("A") REFERENCES "tags"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_TagToTransaction" ADD CONSTRAINT "_TagToTransaction_B_fkey" FOREIGN KEY ("B") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_CategorizationRuleTags" ADD CONSTRAINT "_CategorizationRuleTags_A_fkey" FOREIGN KEY ("A") REFERENCES "categorization_rules"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_CategorizationRuleTags" ADD CONSTRAINT "_CategorizationRuleTags_B_fkey" FOREIGN KEY ("B") REFERENCES "tags"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Turn the free-text tags on transactions and categorization rules into
+-- one Tag per user and name, linked to everything that carried it
+INSERT INTO "tags" ("id", "userId", "name", "updatedAt")
+SELECT gen_random_uuid()::text, s."userId", s."name", NOW()
+FROM (
+    SELECT DISTINCT t."userId", unnest(t."tags") AS "name" FROM "transactions" t
+    UNION
+    SELECT DISTINCT r."userId", unnest(r."tags") AS "name" FROM "categorization_rules" r
+) s;
+
+INSERT INTO "_TagToTransaction" ("A", "B")
+SELECT DISTINCT tg."id", t."id"
+FROM "transactions" t
+CROSS JOIN LATERAL unnest(t."tags") AS x("name")
+JOIN "tags" tg ON tg."userId" = t."userId" AND tg."name" = x."name";
+
+INSERT INTO "_CategorizationRuleTags" ("A", "B")
+SELECT DISTINCT r."id", tg."id"
+FROM "categorization_rules" r
+CROSS JOIN LATERAL unnest(r."tags") AS x("name")
+JOIN "tags" tg ON tg."userId" = r."userId" AND tg."name" = x."name";
+
+-- AlterTable
+ALTER TABLE "transactions" DROP COLUMN "tags";
+
+-- AlterTable
+ALTER TABLE "categorization_rules" DROP COLUMN "tags";
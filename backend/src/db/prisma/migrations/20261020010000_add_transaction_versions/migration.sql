@@ -0,0 +1,59 @@
+-- CreateEnum
+CREATE TYPE "TransactionChangeAction" AS ENUM ('SNAPSHOT', 'CREATE', 'UPDATE', 'DELETE', 'RESTORE', 'REVERT');
+
+-- CreateTable
+CREATE TABLE "transaction_versions" (
+    "id" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "action" "TransactionChangeAction" NOT NULL,
+    "changedById" TEXT,
+    "snapshot" JSONB NOT NULL,
+    "revertedToVersion" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "transaction_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transaction_versions_transactionId_version_key" ON "transaction_versions"("transactionId", "version");
+
+-- CreateIndex
+CREATE INDEX "transaction_versions_changedById_idx" ON "transaction_versions"("changedById");
+
+-- AddForeignKey
+ALTER TABLE "transaction_versions" ADD CONSTRAINT "transaction_versions_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transaction_versions" ADD CONSTRAINT "transaction_versions_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing transactions start their history with a snapshot of their current
+-- state, in the same shape as transactionHistoryService writes
+INSERT INTO "transaction_versions" ("id", "transactionId", "version", "action", "snapshot")
+SELECT gen_random_uuid()::text, t.id, 1, 'SNAPSHOT', jsonb_build_object(
+    'type', t.type::text,
+    'amount', to_jsonb(t.amount),
+    'currency', t.currency,
+    'accountId', t."accountId",
+    'date', to_char(t.date, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+    'description', t.description,
+    'notes', t.notes,
+    'payee', t.payee,
+    'categoryIds', COALESCE((
+        SELECT jsonb_agg(ct."A" ORDER BY ct."A" COLLATE "C")
+        FROM "_CategoryToTransaction" ct WHERE ct."B" = t.id
+    ), '[]'::jsonb),
+    'tagIds', COALESCE((
+        SELECT jsonb_agg(tt."A" ORDER BY tt."A" COLLATE "C")
+        FROM "_TagToTransaction" tt WHERE tt."B" = t.id
+    ), '[]'::jsonb),
+    'splits', COALESCE((
+        SELECT jsonb_agg(
+            jsonb_build_object('categoryId', s."categoryId", 'amount', to_jsonb(s.amount), 'memo', s.memo)
+            ORDER BY s."categoryId" COLLATE "C", s.amount, COALESCE(s.memo, '') COLLATE "C"
+        )
+        FROM "transaction_splits" s WHERE s."transactionId" = t.id
+    ), '[]'::jsonb),
+    'isDeleted', t."isDeleted"
+)
+FROM "transactions" t;
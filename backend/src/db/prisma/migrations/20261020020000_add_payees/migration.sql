@@ -0,0 +1,75 @@
+-- CreateTable
+CREATE TABLE "payees" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "aliases" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payees_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "payeeId" TEXT;
+
+-- AlterTable
+ALTER TABLE "categorization_rules" ADD COLUMN "payeeId" TEXT;
+
+-- Turn the free-text payees of transactions, categorization rules and
+-- transaction versions into one Payee per user and name, ignoring case
+INSERT INTO "payees" ("id", "userId", "name", "updatedAt")
+SELECT gen_random_uuid()::text, s."userId", MIN(s."name"), NOW()
+FROM (
+    SELECT t."userId", btrim(t."payee") AS "name" FROM "transactions" t
+    UNION
+    SELECT r."userId", btrim(r."payee") AS "name" FROM "categorization_rules" r
+    UNION
+    SELECT t."userId", btrim(v."snapshot"->>'payee') AS "name"
+    FROM "transaction_versions" v
+    JOIN "transactions" t ON t."id" = v."transactionId"
+) s
+WHERE s."name" <> ''
+GROUP BY s."userId", lower(s."name");
+
+UPDATE "transactions" t
+SET "payeeId" = p."id"
+FROM "payees" p
+WHERE p."userId" = t."userId" AND lower(p."name") = lower(btrim(t."payee"));
+
+UPDATE "categorization_rules" r
+SET "payeeId" = p."id"
+FROM "payees" p
+WHERE p."userId" = r."userId" AND lower(p."name") = lower(btrim(r."payee"));
+
+-- Snapshots refer to the payee by ID like the transactions do
+UPDATE "transaction_versions" v
+SET "snapshot" = (v."snapshot" - 'payee') || jsonb_build_object('payeeId', (
+    SELECT p."id"
+    FROM "transactions" t
+    JOIN "payees" p ON p."userId" = t."userId" AND lower(p."name") = lower(btrim(v."snapshot"->>'payee'))
+    WHERE t."id" = v."transactionId"
+))
+WHERE v."snapshot" ? 'payee';
+
+-- AlterTable
+ALTER TABLE "transactions" DROP COLUMN "payee";
+
+-- AlterTable
+ALTER TABLE "categorization_rules" DROP COLUMN "payee";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payees_userId_name_key" ON "payees"("userId", "name");
+
+-- CreateIndex
+CREATE INDEX "transactions_payeeId_idx" ON "transactions"("payeeId");
+
+-- AddForeignKey
+ALTER TABLE "payees" ADD CONSTRAINT "payees_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_payeeId_fkey" FOREIGN KEY ("payeeId") REFERENCES "payees"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "categorization_rules" ADD CONSTRAINT "categorization_rules_payeeId_fkey" FOREIGN KEY ("payeeId") REFERENCES "payees"("id") ON DELETE SET NULL ON UPDATE CASCADE;
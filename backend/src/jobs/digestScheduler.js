@@ -0,0 +1,67 @@
+// In-process scheduler that emails due report digests
+import { sendDueDigests } from "../services/reportScheduleService.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Run one scheduler pass. Overlapping passes are skipped.
+ * @returns {Promise<Object|null>} Pass result, or null if a pass was already running
+ */
+export const runDigestDeliveries = async () => {
+  if (isRunning) {
+    logger.debug("Digest delivery pass already running, skipping");
+    return null;
+  }
+
+  isRunning = true;
+  try {
+    return await sendDueDigests(new Date());
+  } catch (error) {
+    logger.error("Digest delivery pass failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the scheduler. The first pass runs immediately so digests due
+ * while the server was down go out on startup.
+ * @param {number} intervalMs - Time between passes
+ */
+export const startDigestScheduler = (
+  intervalMs = Number(process.env.DIGEST_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+) => {
+  if (process.env.DIGEST_SCHEDULER_ENABLED === "false") {
+    logger.info("Report digest scheduler disabled");
+    return;
+  }
+
+  if (timer) {
+    return;
+  }
+
+  logger.info("Starting report digest scheduler", { intervalMs });
+
+  runDigestDeliveries();
+  timer = setInterval(runDigestDeliveries, intervalMs);
+  timer.unref();
+};
+
+/**
+ * Stop the scheduler
+ */
+export const stopDigestScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    logger.info("Report digest scheduler stopped");
+  }
+};
@@ -0,0 +1,67 @@
+// In-process scheduler that turns due recurring rules into transactions
+import { materializeDueOccurrences } from "../services/recurringRuleService.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Run one scheduler pass. Overlapping passes are skipped.
+ * @returns {Promise<Object|null>} Pass result, or null if a pass was already running
+ */
+export const runRecurringTransactions = async () => {
+  if (isRunning) {
+    logger.debug("Recurring transaction pass already running, skipping");
+    return null;
+  }
+
+  isRunning = true;
+  try {
+    return await materializeDueOccurrences(new Date());
+  } catch (error) {
+    logger.error("Recurring transaction pass failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the scheduler. The first pass runs immediately so occurrences
+ * missed while the server was down are caught up on startup.
+ * @param {number} intervalMs - Time between passes
+ */
+export const startRecurringScheduler = (
+  intervalMs = Number(process.env.RECURRING_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+) => {
+  if (process.env.RECURRING_SCHEDULER_ENABLED === "false") {
+    logger.info("Recurring transaction scheduler disabled");
+    return;
+  }
+
+  if (timer) {
+    return;
+  }
+
+  logger.info("Starting recurring transaction scheduler", { intervalMs });
+
+  runRecurringTransactions();
+  timer = setInterval(runRecurringTransactions, intervalMs);
+  timer.unref();
+};
+
+/**
+ * Stop the scheduler
+ */
+export const stopRecurringScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    logger.info("Recurring transaction scheduler stopped");
+  }
+};
@@ -208,6 +208,15 @@ export const validateTransaction = (req, res, next) => {
     errors.push("Transaction type must be INCOME, EXPENSE, or TRANSFER");
   }
 
+  // Transfers move money between two of the user's accounts
+  if (type === "TRANSFER" && req.method === "POST") {
+    if (!req.body.accountId || !req.body.toAccountId) {
+      errors.push("Transfers require both accountId and toAccountId");
+    } else if (req.body.accountId === req.body.toAccountId) {
+      errors.push("Transfer source and destination accounts must be different");
+    }
+  }
+
   // Validate amount
   if (!amount) {
     errors.push("Transaction amount is required");
@@ -215,6 +224,27 @@ export const validateTransaction = (req, res, next) => {
     errors.push("Transaction amount must be a positive number");
   }
 
+  // Tags replace the existing ones; categorization rules fill them in when omitted
+  const { tagIds } = req.body;
+  if (tagIds !== undefined && (!Array.isArray(tagIds) || tagIds.some((id) => typeof id !== "string"))) {
+    errors.push("tagIds must be an array of tag IDs");
+  }
+
+  // Split lines must add up to the transaction amount (null removes a split)
+  const { splits } = req.body;
+  if (splits !== undefined && splits !== null) {
+    if (!Array.isArray(splits)) {
+      errors.push("Splits must be an array");
+    } else if (splits.some((split) => !split?.categoryId || !(parseFloat(split.amount) > 0))) {
+      errors.push("Each split requires a categoryId and a positive amount");
+    } else if (splits.length > 0 && amount) {
+      const splitCents = splits.reduce((sum, split) => sum + Math.round(parseFloat(split.amount) * 100), 0);
+      if (splitCents !== Math.round(Math.abs(parseFloat(amount)) * 100)) {
+        errors.push("Split amounts must add up to the transaction amount");
+      }
+    }
+  }
+
   // Validate description
   if (!description) {
     errors.push("Transaction description is required");
@@ -0,0 +1,60 @@
+import path from "path";
+import multer from "multer";
+import { BadRequestError } from "../utils/errors.js";
+import { ATTACHMENT_TYPES, MAX_ATTACHMENT_SIZE } from "../services/attachmentService.js";
+
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024; // 5 MB
+const STATEMENT_EXTENSIONS = [".csv", ".txt", ".ofx", ".qfx", ".qif"];
+const CSV_EXTENSIONS = [".csv", ".txt"];
+
+/**
+ * Build middleware accepting a single in-memory upload in the "file" field
+ * (available as req.file.buffer). Multer errors are turned into 400
+ * responses instead of reaching the error handler as 500s.
+ * @param {string[]} extensions - Allowed file extensions
+ * @param {Object} options - { maxSize, mimeTypes }; mimeTypes restricts the declared type
+ */
+const createSingleFileUpload = (extensions, { maxSize = MAX_UPLOAD_SIZE, mimeTypes = null } = {}) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname || "").toLowerCase();
+
+      if (!extensions.includes(extension)) {
+        return cb(new BadRequestError(`Unsupported file type. Allowed extensions: ${extensions.join(", ")}`));
+      }
+
+      if (mimeTypes && !mimeTypes.includes(file.mimetype)) {
+        return cb(new BadRequestError(`Unsupported MIME type. Allowed types: ${mimeTypes.join(", ")}`));
+      }
+
+      cb(null, true);
+    },
+  }).single("file");
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === "LIMIT_FILE_SIZE"
+          ? `File is too large. Maximum size is ${maxSize / (1024 * 1024)} MB`
+          : err.message;
+        return next(new BadRequestError(message));
+      }
+
+      next(err);
+    });
+  };
+};
+
+// Bank statements (CSV, OFX/QFX or QIF)
+export const uploadStatement = createSingleFileUpload(STATEMENT_EXTENSIONS);
+
+// Plain CSV data files
+export const uploadCsv = createSingleFileUpload(CSV_EXTENSIONS);
+
+// Receipts and documents attached to transactions; the service re-checks the content
+export const uploadAttachment = createSingleFileUpload(
+  Object.values(ATTACHMENT_TYPES).flatMap(type => type.extensions),
+  { maxSize: MAX_ATTACHMENT_SIZE, mimeTypes: Object.keys(ATTACHMENT_TYPES) }
+);
@@ -0,0 +1,37 @@
+import express from 'express';
+import { authenticate } from "../middleware/authMiddleware.js";
+import {
+  getAccountsController,
+  getAccountByIdController,
+  createAccountController,
+  updateAccountController,
+  deleteAccountController,
+  restoreAccountController,
+  getAccountBalancesController,
+  getAccountBalanceController,
+  getAccountLedgerController,
+  recalculateAccountBalanceController
+} from '../controllers/accountController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all account routes
+router.use(authenticate);
+
+// Balances (registered before /:id so they are not captured as an ID)
+router.get('/balances', getAccountBalancesController);
+
+// Basic CRUD operations
+router.get('/', getAccountsController);
+router.get('/:id', getAccountByIdController);
+router.post('/', createAccountController);
+router.put('/:id', updateAccountController);
+router.delete('/:id', deleteAccountController);
+router.post('/:id/restore', restoreAccountController);
+
+// Per-account balances
+router.get('/:id/balance', getAccountBalanceController);
+router.get('/:id/ledger', getAccountLedgerController);
+router.post('/:id/recalculate', recalculateAccountBalanceController);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { uploadAttachment } from '../middleware/uploadMiddleware.js';
+import {
+  getAttachmentsController,
+  createAttachmentController,
+  downloadAttachmentController,
+  getAttachmentThumbnailController,
+  deleteAttachmentController
+} from '../controllers/attachmentController.js';
+
+// Mounted under /api/transactions/:id/attachments; authentication is applied by the parent router
+const router = express.Router({ mergeParams: true });
+
+router.get('/', getAttachmentsController);
+router.post('/', uploadAttachment, createAttachmentController);
+router.get('/:attachmentId', downloadAttachmentController);
+router.get('/:attachmentId/thumbnail', getAttachmentThumbnailController);
+router.delete('/:attachmentId', deleteAttachmentController);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import { authenticate } from '../middleware/authMiddleware.js';
+import {
+  getBudgetsController,
+  getBudgetByIdController,
+  createBudgetController,
+  updateBudgetController,
+  deleteBudgetController,
+  restoreBudgetController,
+  getBudgetReportController,
+  getBudgetAlertsController,
+  markBudgetAlertReadController
+} from '../controllers/budgetController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all budget routes
+router.use(authenticate);
+
+// Reports and alerts (declared before /:id)
+router.get('/report', getBudgetReportController);
+router.get('/alerts', getBudgetAlertsController);
+router.post('/alerts/:id/read', markBudgetAlertReadController);
+
+// Basic CRUD operations
+router.get('/', getBudgetsController);
+router.get('/:id', getBudgetByIdController);
+router.post('/', createBudgetController);
+router.put('/:id', updateBudgetController);
+router.delete('/:id', deleteBudgetController);
+router.post('/:id/restore', restoreBudgetController);
+
+export default router;
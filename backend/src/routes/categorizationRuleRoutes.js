@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getCategorizationRulesController,
+  getCategorizationRuleByIdController,
+  createCategorizationRuleController,
+  updateCategorizationRuleController,
+  deleteCategorizationRuleController,
+  restoreCategorizationRuleController,
+  reapplyCategorizationRulesController
+} from '../controllers/categorizationRuleController.js';
+
+// Mounted under /api/transactions/rules; authentication is applied by the parent router
+const router = express.Router();
+
+// Re-run rules over existing transactions (declared before /:id)
+router.post('/apply', reapplyCategorizationRulesController);
+
+// Basic CRUD operations
+router.get('/', getCategorizationRulesController);
+router.get('/:id', getCategorizationRuleByIdController);
+router.post('/', createCategorizationRuleController);
+router.put('/:id', updateCategorizationRuleController);
+router.delete('/:id', deleteCategorizationRuleController);
+router.post('/:id/restore', restoreCategorizationRuleController);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/authMiddleware.js';
+import { uploadCsv } from '../middleware/uploadMiddleware.js';
+import {
+  getExchangeRatesController,
+  convertCurrencyController,
+  importExchangeRatesController
+} from '../controllers/exchangeRateController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all exchange rate routes
+router.use(authenticate);
+
+router.get('/', getExchangeRatesController);
+router.get('/convert', convertCurrencyController);
+
+// Rates are shared by all users, so only admins can load them
+router.post('/import', authorize(['ADMIN']), uploadCsv, importExchangeRatesController);
+
+export default router;
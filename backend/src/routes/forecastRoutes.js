@@ -0,0 +1,13 @@
+import express from 'express';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { getCashFlowForecastController } from '../controllers/forecastController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all forecast routes
+router.use(authenticate);
+
+// Projected daily balances per account
+router.get('/', getCashFlowForecastController);
+
+export default router;
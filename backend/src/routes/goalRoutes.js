@@ -0,0 +1,39 @@
+import express from 'express';
+import { authenticate } from '../middleware/authMiddleware.js';
+import {
+  getGoalsController,
+  getGoalByIdController,
+  getGoalForecastController,
+  createGoalController,
+  updateGoalController,
+  deleteGoalController,
+  restoreGoalController,
+  getGoalContributionsController,
+  addGoalContributionController,
+  addGoalWithdrawalController,
+  deleteGoalContributionController
+} from '../controllers/goalController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all goal routes
+router.use(authenticate);
+
+// Basic CRUD operations
+router.get('/', getGoalsController);
+router.get('/:id', getGoalByIdController);
+router.post('/', createGoalController);
+router.put('/:id', updateGoalController);
+router.delete('/:id', deleteGoalController);
+router.post('/:id/restore', restoreGoalController);
+
+// Forecasting
+router.get('/:id/forecast', getGoalForecastController);
+
+// Contributions ledger
+router.get('/:id/contributions', getGoalContributionsController);
+router.post('/:id/contributions', addGoalContributionController);
+router.delete('/:id/contributions/:contributionId', deleteGoalContributionController);
+router.post('/:id/withdrawals', addGoalWithdrawalController);
+
+export default router;
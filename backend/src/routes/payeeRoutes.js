@@ -0,0 +1,29 @@
+import express from 'express';
+import { authenticate } from '../middleware/authMiddleware.js';
+import {
+  getPayeesController,
+  getPayeeByIdController,
+  createPayeeController,
+  updatePayeeController,
+  deletePayeeController,
+  restorePayeeController,
+  mergePayeesController
+} from '../controllers/payeeController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all payee routes
+router.use(authenticate);
+
+// Merge other payees into this one
+router.post('/:id/merge', mergePayeesController);
+
+// Basic CRUD operations
+router.get('/', getPayeesController);
+router.get('/:id', getPayeeByIdController);
+router.post('/', createPayeeController);
+router.put('/:id', updatePayeeController);
+router.delete('/:id', deletePayeeController);
+router.post('/:id/restore', restorePayeeController);
+
+export default router;
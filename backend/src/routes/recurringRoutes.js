@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getRecurringRulesController,
+  getRecurringRuleByIdController,
+  createRecurringRuleController,
+  updateRecurringRuleController,
+  deleteRecurringRuleController,
+  restoreRecurringRuleController,
+  getUpcomingOccurrencesController,
+  getRuleTransactionsController
+} from '../controllers/recurringController.js';
+
+// Mounted under /api/transactions/recurring; authentication is applied by the parent router
+const router = express.Router();
+
+// Basic CRUD operations
+router.get('/', getRecurringRulesController);
+router.get('/:id', getRecurringRuleByIdController);
+router.post('/', createRecurringRuleController);
+router.put('/:id', updateRecurringRuleController);
+router.delete('/:id', deleteRecurringRuleController);
+router.post('/:id/restore', restoreRecurringRuleController);
+
+// Schedule inspection
+router.get('/:id/upcoming', getUpcomingOccurrencesController);
+router.get('/:id/transactions', getRuleTransactionsController);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import { authenticate } from '../middleware/authMiddleware.js';
+import {
+  generateReportController,
+  getReportsController,
+  getReportByIdController,
+  saveReportController,
+  updateReportController,
+  runReportController,
+  getReportPdfController,
+  deleteReportController,
+  restoreReportController
+} from '../controllers/reportController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all report routes
+router.use(authenticate);
+
+// Ad-hoc generation and saving (declared before /:id)
+router.get('/generate', generateReportController);
+router.post('/generate', generateReportController);
+router.post('/save', saveReportController);
+
+// Basic CRUD operations
+router.get('/', getReportsController);
+router.get('/:id', getReportByIdController);
+router.put('/:id', updateReportController);
+router.delete('/:id', deleteReportController);
+router.post('/:id/restore', restoreReportController);
+
+// Re-run a saved report against current data
+router.post('/:id/run', runReportController);
+
+// Printable statement
+router.get('/:id/pdf', getReportPdfController);
+
+export default router;
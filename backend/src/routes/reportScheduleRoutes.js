@@ -0,0 +1,31 @@
+import express from 'express';
+import { authenticate } from '../middleware/authMiddleware.js';
+import {
+  getReportSchedulesController,
+  getReportScheduleByIdController,
+  createReportScheduleController,
+  updateReportScheduleController,
+  deleteReportScheduleController,
+  restoreReportScheduleController,
+  getReportDeliveriesController,
+  sendReportScheduleNowController
+} from '../controllers/reportScheduleController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all report schedule routes
+router.use(authenticate);
+
+// Basic CRUD operations
+router.get('/', getReportSchedulesController);
+router.get('/:id', getReportScheduleByIdController);
+router.post('/', createReportScheduleController);
+router.put('/:id', updateReportScheduleController);
+router.delete('/:id', deleteReportScheduleController);
+router.post('/:id/restore', restoreReportScheduleController);
+
+// Deliveries
+router.get('/:id/deliveries', getReportDeliveriesController);
+router.post('/:id/send', sendReportScheduleNowController);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import { authenticate } from '../middleware/authMiddleware.js';
+import {
+  getTagsController,
+  getTagByIdController,
+  createTagController,
+  updateTagController,
+  deleteTagController,
+  restoreTagController
+} from '../controllers/tagController.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all tag routes
+router.use(authenticate);
+
+// Basic CRUD operations
+router.get('/', getTagsController);
+router.get('/:id', getTagByIdController);
+router.post('/', createTagController);
+router.put('/:id', updateTagController);
+router.delete('/:id', deleteTagController);
+router.post('/:id/restore', restoreTagController);
+
+export default router;
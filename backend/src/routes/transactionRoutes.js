@@ -7,6 +7,7 @@ import {
   getTransactionsForUser,
   getTransactionByIdController,
   searchTransactionsController,
+  suggestCategoryController,
   getTransactionsByDateController,
   filterTransactionsController,
   getTransactionSummaryController,
@@ -20,21 +21,46 @@ import {
   transactionSavingsController,
   transactionInvestmentController,
 } from "../controllers/transactionController.js";
+import { importTransactionsController } from "../controllers/importController.js";
+import { exportTransactionsController } from "../controllers/exportController.js";
+import {
+  getTransactionHistoryController,
+  getTransactionVersionController,
+  revertTransactionController,
+} from "../controllers/transactionHistoryController.js";
+import { bulkUpdateTransactionsController } from "../controllers/bulkTransactionController.js";
+import { uploadStatement } from "../middleware/uploadMiddleware.js";
+import recurringRoutes from "./recurringRoutes.js";
+import categorizationRuleRoutes from "./categorizationRuleRoutes.js";
+import attachmentRoutes from "./attachmentRoutes.js";
 
 const router = express.Router();
 
 // Apply authentication to all transaction routes
 router.use(authenticate);
 
-// Basic CRUD operations
-router.post("/", validateTransaction, createTransaction);
-router.put("/:id", validateTransaction, updateTransaction);
-router.delete("/:id", deleteTransaction);
-router.get("/", getTransactionsForUser);
-router.get("/:id", getTransactionByIdController);
+// Recurring transaction rules (mounted before /:id so "recurring" is not taken as an ID)
+router.use("/recurring", recurringRoutes);
 
-// Advanced query operations
+// Auto-categorization rules (mounted before /:id for the same reason)
+router.use("/rules", categorizationRuleRoutes);
+
+// Bank statement import (dry run by default)
+router.post("/import", uploadStatement, importTransactionsController);
+
+// Streamed export of filtered transactions (csv, xlsx or json)
+router.get("/export", exportTransactionsController);
+
+// Full-text search (declared before /:id so "search" is not taken as an ID)
 router.get("/search", searchTransactionsController);
+
+// Category suggestions learned from the user's history (also declared before /:id)
+router.get("/suggest-category", suggestCategoryController);
+
+// Change many transactions in one database transaction
+router.post("/bulk", bulkUpdateTransactionsController);
+
+// Advanced query operations
 router.get("/date-range", getTransactionsByDateController);
 router.get("/filter", filterTransactionsController);
 router.get("/summary", getTransactionSummaryController);
@@ -56,8 +82,22 @@ router.post("/savings", transactionSavingsController);
 router.get("/investment", transactionInvestmentController);
 router.post("/investment", transactionInvestmentController);
 
+// Basic CRUD operations (declared after the fixed paths above, which /:id would otherwise take as an ID)
+router.post("/", validateTransaction, createTransaction);
+router.put("/:id", validateTransaction, updateTransaction);
+router.delete("/:id", deleteTransaction);
+router.get("/", getTransactionsForUser);
+router.get("/:id", getTransactionByIdController);
 
 // Special operations
 router.post("/:id/restore", restoreTransactionController);
 
+// Change history; any earlier version can be restored
+router.get("/:id/history", getTransactionHistoryController);
+router.get("/:id/history/:version", getTransactionVersionController);
+router.post("/:id/history/:version/revert", revertTransactionController);
+
+// Receipts and documents kept with a transaction
+router.use("/:id/attachments", attachmentRoutes);
+
 export default router;
@@ -0,0 +1,461 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { convertAmount, getBaseCurrency } from './currencyService.js';
+import { NotFoundError, BadRequestError, ConflictError, ForbiddenError } from '../utils/errors.js';
+
+export const ACCOUNT_TYPES = ['CHECKING', 'SAVINGS', 'CREDIT_CARD', 'CASH', 'LOAN'];
+
+/**
+ * Signed effect a transaction has on its account balance.
+ * Amounts are stored as positive or negative depending on the caller,
+ * so the sign is always derived from the transaction type (and, for
+ * transfer legs, the transfer direction).
+ * @param {Object} transaction - Transaction with type, transferDirection and amount
+ * @returns {number} Amount to add to the account balance
+ */
+export const getBalanceEffect = (transaction) => {
+  const amount = Math.abs(Number(transaction.amount));
+
+  if (transaction.type === 'INCOME') {
+    return amount;
+  }
+
+  if (transaction.type === 'TRANSFER' && transaction.transferDirection === 'IN') {
+    return amount;
+  }
+
+  return -amount;
+};
+
+/**
+ * SQL expression matching getBalanceEffect, for aggregations done in the database
+ */
+const BALANCE_EFFECT_SQL = Prisma.sql`
+  CASE
+    WHEN t."type" = 'INCOME' THEN ABS(t."amount")
+    WHEN t."type" = 'TRANSFER' AND t."transferDirection" = 'IN' THEN ABS(t."amount")
+    ELSE -ABS(t."amount")
+  END
+`;
+
+/**
+ * Apply (or reverse) a transaction's effect on its account balance
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {Object} transaction - Transaction with accountId, type, amount and isDeleted
+ * @param {number} direction - 1 to apply, -1 to reverse
+ */
+export const applyBalanceEffect = async (tx, transaction, direction = 1) => {
+  if (!transaction.accountId || transaction.isDeleted) {
+    return;
+  }
+
+  await tx.account.update({
+    where: { id: transaction.accountId },
+    data: {
+      currentBalance: {
+        increment: getBalanceEffect(transaction) * direction
+      }
+    }
+  });
+};
+
+/**
+ * Ensure an account exists, is active and belongs to the user
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {string} accountId - Account ID
+ * @param {string} userId - User ID
+ * @returns {Object} Account
+ */
+export const assertAccountOwnership = async (tx, accountId, userId) => {
+  const account = await tx.account.findUnique({
+    where: { id: accountId }
+  });
+
+  if (!account || account.isDeleted) {
+    throw new NotFoundError('Account not found');
+  }
+
+  if (account.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to use this account");
+  }
+
+  return account;
+};
+
+/**
+ * Get all accounts for a user with pagination
+ */
+export const getAccounts = async (userId, options = {}) => {
+  const {
+    page = 1,
+    limit = 10,
+    includeDeleted = false,
+    type = null
+  } = options;
+
+  const skip = (page - 1) * limit;
+
+  const whereConditions = {
+    userId,
+    ...(includeDeleted ? {} : { isDeleted: false }),
+    ...(type ? { type } : {})
+  };
+
+  const [accounts, totalCount] = await Promise.all([
+    prisma.account.findMany({
+      where: whereConditions,
+      skip,
+      take: limit,
+      orderBy: { name: 'asc' }
+    }),
+    prisma.account.count({ where: whereConditions })
+  ]);
+
+  return {
+    accounts,
+    pagination: {
+      total: totalCount,
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Get account by ID
+ */
+export const getAccountById = async (id, userId) => {
+  const account = await prisma.account.findUnique({
+    where: { id }
+  });
+
+  if (!account) {
+    throw new NotFoundError('Account not found');
+  }
+
+  if (account.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to view this account");
+  }
+
+  if (account.isDeleted) {
+    throw new NotFoundError('Account has been deleted');
+  }
+
+  return account;
+};
+
+/**
+ * Create a new account
+ */
+export const createAccount = async (userId, accountData) => {
+  const { name, type, currency, institution, openingBalance = 0 } = accountData;
+
+  if (!ACCOUNT_TYPES.includes(type)) {
+    throw new BadRequestError(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+  }
+
+  const existingAccount = await prisma.account.findFirst({
+    where: {
+      userId,
+      name,
+      isDeleted: false
+    }
+  });
+
+  if (existingAccount) {
+    throw new ConflictError(`Account with name '${name}' already exists`);
+  }
+
+  const account = await prisma.account.create({
+    data: {
+      userId,
+      name,
+      type,
+      institution,
+      ...(currency && { currency: currency.toUpperCase() }),
+      openingBalance,
+      currentBalance: openingBalance
+    }
+  });
+
+  logger.info('Account created successfully', { accountId: account.id, userId });
+
+  return account;
+};
+
+/**
+ * Update an existing account.
+ * Changing the opening balance shifts the current balance by the same delta.
+ */
+export const updateAccount = async (id, userId, accountData) => {
+  const { name, type, currency, institution, openingBalance, isActive } = accountData;
+
+  const existingAccount = await getAccountById(id, userId);
+
+  if (type && !ACCOUNT_TYPES.includes(type)) {
+    throw new BadRequestError(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+  }
+
+  if (name && name !== existingAccount.name) {
+    const conflictingAccount = await prisma.account.findFirst({
+      where: {
+        userId,
+        name,
+        isDeleted: false,
+        id: { not: id }
+      }
+    });
+
+    if (conflictingAccount) {
+      throw new ConflictError(`Account with name '${name}' already exists`);
+    }
+  }
+
+  // Transactions are stored in their account's currency, so it is fixed once used
+  if (currency && currency.toUpperCase() !== existingAccount.currency) {
+    const transactionCount = await prisma.transaction.count({ where: { accountId: id } });
+    if (transactionCount > 0) {
+      throw new BadRequestError('The currency of an account with transactions cannot be changed');
+    }
+  }
+
+  const openingBalanceDelta = openingBalance !== undefined
+    ? Number(openingBalance) - Number(existingAccount.openingBalance)
+    : 0;
+
+  const updatedAccount = await prisma.account.update({
+    where: { id },
+    data: {
+      ...(name && { name }),
+      ...(type && { type }),
+      ...(currency && { currency: currency.toUpperCase() }),
+      ...(institution !== undefined && { institution }),
+      ...(isActive !== undefined && { isActive }),
+      ...(openingBalance !== undefined && {
+        openingBalance,
+        currentBalance: { increment: openingBalanceDelta }
+      })
+    }
+  });
+
+  logger.info('Account updated successfully', { accountId: id, userId });
+
+  return updatedAccount;
+};
+
+/**
+ * Soft delete an account
+ */
+export const softDeleteAccount = async (id, userId) => {
+  const account = await prisma.account.findUnique({
+    where: { id }
+  });
+
+  if (!account) {
+    throw new NotFoundError('Account not found');
+  }
+
+  if (account.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to delete this account");
+  }
+
+  if (account.isDeleted) {
+    throw new BadRequestError('Account is already deleted');
+  }
+
+  return await prisma.account.update({
+    where: { id },
+    data: { isDeleted: true }
+  });
+};
+
+/**
+ * Restore a soft-deleted account
+ */
+export const restoreAccount = async (id, userId) => {
+  const account = await prisma.account.findUnique({
+    where: { id }
+  });
+
+  if (!account) {
+    throw new NotFoundError('Account not found');
+  }
+
+  if (account.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to restore this account");
+  }
+
+  if (!account.isDeleted) {
+    throw new BadRequestError('Account is not deleted');
+  }
+
+  const conflictingAccount = await prisma.account.findFirst({
+    where: {
+      userId,
+      name: account.name,
+      isDeleted: false,
+      id: { not: id }
+    }
+  });
+
+  if (conflictingAccount) {
+    throw new ConflictError(
+      `Cannot restore account: An account with name '${account.name}' already exists`
+    );
+  }
+
+  return await prisma.account.update({
+    where: { id },
+    data: { isDeleted: false }
+  });
+};
+
+/**
+ * Get the balance of an account, optionally as of a given date.
+ * Without a date the maintained current balance is returned.
+ */
+export const getAccountBalance = async (id, userId, asOf = null) => {
+  const account = await getAccountById(id, userId);
+
+  if (!asOf) {
+    return {
+      accountId: account.id,
+      currency: account.currency,
+      openingBalance: account.openingBalance,
+      balance: account.currentBalance,
+      asOf: new Date()
+    };
+  }
+
+  const asOfDate = new Date(asOf);
+  const [result] = await prisma.$queryRaw`
+    SELECT COALESCE(SUM(${BALANCE_EFFECT_SQL}), 0) AS "total"
+    FROM "transactions" t
+    WHERE t."accountId" = ${id}
+      AND t."isDeleted" = false
+      AND t."date" <= ${asOfDate}
+  `;
+
+  return {
+    accountId: account.id,
+    currency: account.currency,
+    openingBalance: account.openingBalance,
+    balance: Number(account.openingBalance) + Number(result.total),
+    asOf: asOfDate
+  };
+};
+
+/**
+ * Get current balances for all of a user's active accounts, with totals per
+ * currency and a grand total converted into the user's base currency at
+ * today's rates
+ */
+export const getAccountBalances = async (userId) => {
+  const [accounts, baseCurrency] = await Promise.all([
+    prisma.account.findMany({
+      where: { userId, isDeleted: false },
+      orderBy: { name: 'asc' }
+    }),
+    getBaseCurrency(userId)
+  ]);
+
+  const totals = {};
+  accounts.forEach(account => {
+    totals[account.currency] = (totals[account.currency] || 0) + Number(account.currentBalance);
+  });
+
+  // Currencies without a rate are left out of the converted total and listed instead
+  let totalInBaseCurrency = 0;
+  const missingRates = [];
+  for (const [currency, total] of Object.entries(totals)) {
+    const converted = await convertAmount(total, currency, baseCurrency);
+    if (converted === null) {
+      missingRates.push(currency);
+    } else {
+      totalInBaseCurrency += converted;
+    }
+  }
+
+  return {
+    accounts: accounts.map(account => ({
+      accountId: account.id,
+      name: account.name,
+      type: account.type,
+      currency: account.currency,
+      balance: account.currentBalance
+    })),
+    totals,
+    baseCurrency,
+    totalInBaseCurrency,
+    missingRates
+  };
+};
+
+/**
+ * Get an account's transactions with the running balance after each one,
+ * newest first; transactions on the same date are in the order they were
+ * entered, as the running balance adds them up
+ */
+export const getAccountLedger = async (id, userId, page = 1, limit = 10) => {
+  const account = await getAccountById(id, userId);
+  const skip = (page - 1) * limit;
+
+  const [entries, total] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT * FROM (
+        SELECT t."id", t."type", t."amount", t."description", t."date", t."createdAt",
+          ${account.openingBalance} + SUM(${BALANCE_EFFECT_SQL})
+            OVER (ORDER BY t."date", t."createdAt", t."id") AS "runningBalance"
+        FROM "transactions" t
+        WHERE t."accountId" = ${id} AND t."isDeleted" = false
+      ) ledger
+      ORDER BY ledger."date" DESC, ledger."createdAt" DESC, ledger."id" DESC
+      LIMIT ${limit} OFFSET ${skip}
+    `,
+    prisma.transaction.count({
+      where: { accountId: id, isDeleted: false }
+    })
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Recalculate an account's stored balance from its transaction history
+ */
+export const recalculateAccountBalance = async (id, userId) => {
+  const account = await getAccountById(id, userId);
+
+  const [result] = await prisma.$queryRaw`
+    SELECT COALESCE(SUM(${BALANCE_EFFECT_SQL}), 0) AS "total"
+    FROM "transactions" t
+    WHERE t."accountId" = ${id} AND t."isDeleted" = false
+  `;
+
+  const balance = Number(account.openingBalance) + Number(result.total);
+
+  const updatedAccount = await prisma.account.update({
+    where: { id },
+    data: { currentBalance: balance }
+  });
+
+  if (Number(account.currentBalance) !== balance) {
+    logger.warn('Account balance drift corrected', {
+      accountId: id,
+      storedBalance: account.currentBalance,
+      calculatedBalance: balance
+    });
+  }
+
+  return updatedAccount;
+};
@@ -0,0 +1,270 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
+import sharp from 'sharp';
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ForbiddenError } from '../utils/errors.js';
+import { getAttachmentStorage } from './attachmentStorage.js';
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB
+export const MAX_ATTACHMENTS_PER_TRANSACTION = 20;
+
+/**
+ * Accepted file types with their extensions and the leading bytes of their
+ * content. The declared MIME type of an upload is only checked by the upload
+ * middleware; the stored type is always the one detected from the content.
+ */
+export const ATTACHMENT_TYPES = {
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { extensions: ['.png'], matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/gif': { extensions: ['.gif'], matches: (b) => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+  'image/webp': {
+    extensions: ['.webp'],
+    matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP'
+  },
+  'application/pdf': { extensions: ['.pdf'], matches: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' }
+};
+
+const THUMBNAIL_SIZE = 320;
+
+const ATTACHMENT_SELECT = {
+  id: true,
+  transactionId: true,
+  filename: true,
+  mimeType: true,
+  size: true,
+  thumbnailKey: true,
+  createdAt: true
+};
+
+/**
+ * API shape of an attachment; storage keys stay internal
+ */
+const toAttachmentResponse = ({ thumbnailKey, ...attachment }) => ({
+  ...attachment,
+  hasThumbnail: Boolean(thumbnailKey)
+});
+
+const detectMimeType = (content) =>
+  Object.keys(ATTACHMENT_TYPES).find(mimeType => ATTACHMENT_TYPES[mimeType].matches(content)) || null;
+
+/**
+ * Keep the base name of the uploaded file without control characters
+ */
+const sanitizeFilename = (name) => {
+  const filename = path.basename(String(name || ''))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim()
+    .slice(0, 255);
+
+  return filename || 'attachment';
+};
+
+/**
+ * Scaled-down JPEG of an image, or null when the image cannot be decoded
+ */
+const createThumbnail = async (content) => {
+  try {
+    return await sharp(content, { animated: false })
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+  } catch (error) {
+    logger.warn('Failed to create attachment thumbnail', { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Check that a transaction exists, belongs to the user and is not deleted
+ */
+const getOwnedTransaction = async (transactionId, userId) => {
+  const transaction = await prisma.transaction.findUnique({
+    where: { id: transactionId },
+    select: { id: true, userId: true, isDeleted: true }
+  });
+
+  if (!transaction) {
+    throw new NotFoundError('Transaction not found');
+  }
+
+  if (transaction.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to access this transaction");
+  }
+
+  if (transaction.isDeleted) {
+    throw new NotFoundError('Transaction has been deleted');
+  }
+
+  return transaction;
+};
+
+/**
+ * Get an attachment of one of the user's transactions, including its storage keys
+ */
+const getOwnedAttachment = async (transactionId, attachmentId, userId) => {
+  await getOwnedTransaction(transactionId, userId);
+
+  const attachment = await prisma.attachment.findUnique({
+    where: { id: attachmentId }
+  });
+
+  if (!attachment || attachment.transactionId !== transactionId) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  return attachment;
+};
+
+/**
+ * Remove the stored files of attachments whose rows are gone. Failures are
+ * logged rather than thrown: the database is already consistent, and an
+ * orphaned file is harmless.
+ * @param {Array} attachments - [{ storageKey, thumbnailKey }]
+ */
+export const removeStoredAttachments = async (attachments) => {
+  if (attachments.length === 0) {
+    return;
+  }
+
+  const storage = getAttachmentStorage();
+  const keys = attachments.flatMap(({ storageKey, thumbnailKey }) => thumbnailKey ? [storageKey, thumbnailKey] : [storageKey]);
+
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      logger.error('Failed to remove stored attachment', { key, error: error.message });
+    }
+  }
+};
+
+/**
+ * List the attachments of a transaction, oldest first
+ */
+export const getAttachments = async (transactionId, userId) => {
+  await getOwnedTransaction(transactionId, userId);
+
+  const attachments = await prisma.attachment.findMany({
+    where: { transactionId },
+    select: ATTACHMENT_SELECT,
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return attachments.map(toAttachmentResponse);
+};
+
+/**
+ * Store an uploaded file with a transaction. Images also get a thumbnail.
+ * @param {string} transactionId - Transaction ID
+ * @param {string} userId - User ID
+ * @param {Object} file - { originalname, buffer } as provided by multer
+ * @returns {Object} The attachment
+ */
+export const createAttachment = async (transactionId, userId, file) => {
+  await getOwnedTransaction(transactionId, userId);
+
+  const content = file.buffer;
+  if (!content || content.length === 0) {
+    throw new BadRequestError('The uploaded file is empty');
+  }
+
+  if (content.length > MAX_ATTACHMENT_SIZE) {
+    throw new BadRequestError(`File is too large. Maximum size is ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`);
+  }
+
+  const mimeType = detectMimeType(content);
+  if (!mimeType) {
+    throw new BadRequestError(
+      `Unsupported file content. Allowed types: ${Object.keys(ATTACHMENT_TYPES).join(', ')}`
+    );
+  }
+
+  const attachmentCount = await prisma.attachment.count({ where: { transactionId } });
+  if (attachmentCount >= MAX_ATTACHMENTS_PER_TRANSACTION) {
+    throw new BadRequestError(`A transaction can have at most ${MAX_ATTACHMENTS_PER_TRANSACTION} attachments`);
+  }
+
+  const id = randomUUID();
+  const storageKey = `${userId}/${transactionId}/${id}`;
+  const thumbnail = mimeType.startsWith('image/') ? await createThumbnail(content) : null;
+  const thumbnailKey = thumbnail ? `${storageKey}-thumb.jpg` : null;
+
+  const storage = getAttachmentStorage();
+  await storage.put(storageKey, content, mimeType);
+
+  try {
+    if (thumbnail) {
+      await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+    }
+
+    const attachment = await prisma.attachment.create({
+      data: {
+        id,
+        userId,
+        transactionId,
+        filename: sanitizeFilename(file.originalname),
+        mimeType,
+        size: content.length,
+        storageKey,
+        thumbnailKey
+      },
+      select: ATTACHMENT_SELECT
+    });
+
+    logger.info('Attachment created successfully', { attachmentId: id, transactionId, userId, mimeType });
+
+    return toAttachmentResponse(attachment);
+  } catch (error) {
+    await removeStoredAttachments([{ storageKey, thumbnailKey }]);
+    throw error;
+  }
+};
+
+/**
+ * Read an attachment's file, or its thumbnail
+ * @param {string} transactionId - Transaction ID
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} userId - User ID
+ * @param {Object} options - { thumbnail }
+ * @returns {Object} { filename, mimeType, content }
+ */
+export const getAttachmentContent = async (transactionId, attachmentId, userId, options = {}) => {
+  const attachment = await getOwnedAttachment(transactionId, attachmentId, userId);
+  const storage = getAttachmentStorage();
+
+  if (options.thumbnail) {
+    if (!attachment.thumbnailKey) {
+      throw new NotFoundError('Attachment has no thumbnail');
+    }
+
+    return {
+      filename: `${path.parse(attachment.filename).name}-thumbnail.jpg`,
+      mimeType: 'image/jpeg',
+      content: await storage.get(attachment.thumbnailKey)
+    };
+  }
+
+  return {
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+    content: await storage.get(attachment.storageKey)
+  };
+};
+
+/**
+ * Delete an attachment along with its stored files
+ */
+export const deleteAttachment = async (transactionId, attachmentId, userId) => {
+  const attachment = await getOwnedAttachment(transactionId, attachmentId, userId);
+
+  await prisma.attachment.delete({
+    where: { id: attachmentId }
+  });
+
+  await removeStoredAttachments([attachment]);
+
+  logger.info('Attachment deleted successfully', { attachmentId, transactionId, userId });
+};
@@ -0,0 +1,137 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+import { logger } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Attachment storage backends, selected with ATTACHMENT_STORAGE:
+ * - local: files under ATTACHMENT_DIR (default ./uploads/attachments); the default
+ * - s3: objects in S3_BUCKET, through S3_REGION / S3_ACCESS_KEY_ID /
+ *   S3_SECRET_ACCESS_KEY, and S3_ENDPOINT for S3-compatible services
+ *   (MinIO, R2, ...), which are addressed path-style
+ * Each factory returns { name, put(key, body, contentType), get(key), remove(key) }.
+ * get resolves to a Buffer and throws NotFoundError for a missing key;
+ * remove ignores missing keys.
+ */
+const STORAGE_FACTORIES = {
+  local: () => {
+    const root = path.resolve(process.env.ATTACHMENT_DIR || 'uploads/attachments');
+
+    // Keys are generated by the attachment service, but never let one escape the root
+    const resolveKey = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key "${key}"`);
+      }
+      return file;
+    };
+
+    return {
+      name: 'local',
+      put: async (key, body) => {
+        const file = resolveKey(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, body);
+      },
+      get: async (key) => {
+        try {
+          return await fs.readFile(resolveKey(key));
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            throw new NotFoundError('Attachment file not found');
+          }
+          throw error;
+        }
+      },
+      remove: async (key) => {
+        await fs.rm(resolveKey(key), { force: true });
+      }
+    };
+  },
+
+  s3: () => {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 attachment storage');
+    }
+
+    const client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+
+    return {
+      name: 's3',
+      put: async (key, body, contentType) => {
+        await client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType
+        }));
+      },
+      get: async (key) => {
+        try {
+          const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+          return Buffer.from(await object.Body.transformToByteArray());
+        } catch (error) {
+          if (error.name === 'NoSuchKey') {
+            throw new NotFoundError('Attachment file not found');
+          }
+          throw error;
+        }
+      },
+      // S3 deletes succeed for missing keys
+      remove: async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      }
+    };
+  }
+};
+
+let activeStorage = null;
+
+/**
+ * Add an attachment storage backend, or replace a built-in one
+ * @param {string} name - Value of ATTACHMENT_STORAGE that selects it
+ * @param {Function} factory - Returns { name, put, get, remove }
+ */
+export const registerAttachmentStorage = (name, factory) => {
+  STORAGE_FACTORIES[name] = factory;
+
+  if (activeStorage && activeStorage.name === name) {
+    activeStorage = null;
+  }
+};
+
+/**
+ * Get the configured storage, created on first use
+ * @returns {Object} { name, put, get, remove }
+ */
+export const getAttachmentStorage = () => {
+  if (!activeStorage) {
+    const name = (process.env.ATTACHMENT_STORAGE || 'local').toLowerCase();
+    const factory = STORAGE_FACTORIES[name];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown attachment storage "${name}". Must be one of: ${Object.keys(STORAGE_FACTORIES).join(', ')}`
+      );
+    }
+
+    activeStorage = factory();
+    logger.info('Attachment storage initialized', { storage: name });
+  }
+
+  return activeStorage;
+};
@@ -0,0 +1,606 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import { exchangeRateSql, getBaseCurrency, normalizeCurrency } from './currencyService.js';
+
+export const BUDGET_PERIODS = ['MONTHLY', 'QUARTERLY', 'YEARLY'];
+export const DEFAULT_ALERT_THRESHOLDS = [80, 100];
+
+const MONTHS_PER_PERIOD = { MONTHLY: 1, QUARTERLY: 3, YEARLY: 12 };
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * Start of the calendar month, quarter or year containing a date (UTC)
+ */
+const getPeriodStart = (date, period) => {
+  const months = MONTHS_PER_PERIOD[period];
+  const month = Math.floor(date.getUTCMonth() / months) * months;
+  return new Date(Date.UTC(date.getUTCFullYear(), month, 1));
+};
+
+/**
+ * Move a period start forward (or back) by a number of periods
+ */
+const addPeriods = (periodStart, period, count) =>
+  new Date(Date.UTC(
+    periodStart.getUTCFullYear(),
+    periodStart.getUTCMonth() + MONTHS_PER_PERIOD[period] * count,
+    1
+  ));
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+/**
+ * Parse a YYYY-MM month, defaulting to the current month
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Date} First day of the month (UTC)
+ */
+export const parseBudgetMonth = (month) => {
+  if (!month) {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  const match = MONTH_PATTERN.exec(month);
+  if (!match) {
+    throw new BadRequestError('Month must be in YYYY-MM format');
+  }
+
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+};
+
+/**
+ * Check and sort alert thresholds (percentages of the budget)
+ */
+const normalizeThresholds = (thresholds) => {
+  const unique = [...new Set(thresholds.map(Number))];
+
+  if (unique.some(threshold => !Number.isInteger(threshold) || threshold < 1 || threshold > 1000)) {
+    throw new BadRequestError('Alert thresholds must be whole percentages between 1 and 1000');
+  }
+
+  return unique.sort((a, b) => a - b);
+};
+
+/**
+ * Budgets can only be set on expense categories
+ */
+const assertExpenseCategory = async (categoryId) => {
+  const category = await prisma.category.findUnique({
+    where: { id: categoryId }
+  });
+
+  if (!category || category.isDeleted) {
+    throw new NotFoundError('Category not found');
+  }
+
+  if (category.type !== 'EXPENSE') {
+    throw new BadRequestError('Budgets can only be set on expense categories');
+  }
+
+  return category;
+};
+
+/**
+ * Only one active budget per category, so spending is never counted twice
+ */
+const assertNoActiveBudget = async (userId, categoryId, excludeId = null) => {
+  const conflictingBudget = await prisma.budget.findFirst({
+    where: {
+      userId,
+      categoryId,
+      isDeleted: false,
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  });
+
+  if (conflictingBudget) {
+    throw new ConflictError('This category already has a budget');
+  }
+};
+
+/**
+ * Get all budgets for a user with pagination
+ */
+export const getBudgets = async (userId, options = {}) => {
+  const {
+    page = 1,
+    limit = 10,
+    includeDeleted = false,
+    period = null
+  } = options;
+
+  const skip = (page - 1) * limit;
+
+  const whereConditions = {
+    userId,
+    ...(includeDeleted ? {} : { isDeleted: false }),
+    ...(period ? { period } : {})
+  };
+
+  const [budgets, totalCount] = await Promise.all([
+    prisma.budget.findMany({
+      where: whereConditions,
+      skip,
+      take: limit,
+      orderBy: { createdAt: 'asc' },
+      include: { category: true }
+    }),
+    prisma.budget.count({ where: whereConditions })
+  ]);
+
+  return {
+    budgets,
+    pagination: {
+      total: totalCount,
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Get budget by ID
+ */
+export const getBudgetById = async (id, userId) => {
+  const budget = await prisma.budget.findUnique({
+    where: { id },
+    include: { category: true }
+  });
+
+  if (!budget) {
+    throw new NotFoundError('Budget not found');
+  }
+
+  if (budget.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to access this budget");
+  }
+
+  if (budget.isDeleted) {
+    throw new NotFoundError('Budget has been deleted');
+  }
+
+  return budget;
+};
+
+/**
+ * Create a budget. The start date is moved back to the start of its
+ * period; it defaults to the current period. The currency defaults to the
+ * user's base currency.
+ */
+export const createBudget = async (userId, budgetData) => {
+  const {
+    categoryId,
+    amount,
+    currency,
+    period = 'MONTHLY',
+    rollover = false,
+    alertThresholds = DEFAULT_ALERT_THRESHOLDS,
+    startDate,
+    endDate
+  } = budgetData;
+
+  await assertExpenseCategory(categoryId);
+  await assertNoActiveBudget(userId, categoryId);
+
+  const start = getPeriodStart(startDate ? new Date(startDate) : new Date(), period);
+
+  if (endDate && new Date(endDate) < start) {
+    throw new BadRequestError('End date must be after start date');
+  }
+
+  const budget = await prisma.budget.create({
+    data: {
+      userId,
+      categoryId,
+      amount,
+      currency: currency ? normalizeCurrency(currency) : await getBaseCurrency(userId),
+      period,
+      rollover,
+      alertThresholds: normalizeThresholds(alertThresholds),
+      startDate: start,
+      endDate: endDate ? new Date(endDate) : null
+    },
+    include: { category: true }
+  });
+
+  logger.info('Budget created successfully', { budgetId: budget.id, userId });
+
+  return budget;
+};
+
+/**
+ * Update a budget. Changes apply to every period, including past ones
+ * shown in reports. Alerts already raised are kept.
+ */
+export const updateBudget = async (id, userId, budgetData) => {
+  const existingBudget = await getBudgetById(id, userId);
+  const data = { ...budgetData };
+
+  if (data.categoryId && data.categoryId !== existingBudget.categoryId) {
+    await assertExpenseCategory(data.categoryId);
+    await assertNoActiveBudget(userId, data.categoryId, id);
+  }
+
+  if (data.currency) {
+    data.currency = normalizeCurrency(data.currency);
+  }
+
+  if (data.alertThresholds) {
+    data.alertThresholds = normalizeThresholds(data.alertThresholds);
+  }
+
+  const period = data.period || existingBudget.period;
+  if (data.startDate || data.period) {
+    data.startDate = getPeriodStart(new Date(data.startDate || existingBudget.startDate), period);
+  }
+
+  const startDate = data.startDate || existingBudget.startDate;
+  const endDate = data.endDate !== undefined ? data.endDate : existingBudget.endDate;
+  if (endDate && new Date(endDate) < startDate) {
+    throw new BadRequestError('End date must be after start date');
+  }
+
+  const updatedBudget = await prisma.budget.update({
+    where: { id },
+    data,
+    include: { category: true }
+  });
+
+  logger.info('Budget updated successfully', { budgetId: id, userId });
+
+  return updatedBudget;
+};
+
+/**
+ * Soft delete a budget
+ */
+export const softDeleteBudget = async (id, userId) => {
+  await getBudgetById(id, userId);
+
+  return await prisma.budget.update({
+    where: { id },
+    data: { isDeleted: true }
+  });
+};
+
+/**
+ * Restore a soft-deleted budget
+ */
+export const restoreBudget = async (id, userId) => {
+  const budget = await prisma.budget.findUnique({
+    where: { id }
+  });
+
+  if (!budget) {
+    throw new NotFoundError('Budget not found');
+  }
+
+  if (budget.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to restore this budget");
+  }
+
+  if (!budget.isDeleted) {
+    throw new BadRequestError('Budget is not deleted');
+  }
+
+  await assertNoActiveBudget(userId, budget.categoryId, id);
+
+  return await prisma.budget.update({
+    where: { id },
+    data: { isDeleted: false }
+  });
+};
+
+/**
+ * Expense totals per category and month, converted into one currency.
+ * Split transactions count each split line towards its own category;
+ * unsplit ones count their full amount towards each linked category.
+ * @returns {Map} `${categoryId}:${YYYY-MM}` -> { spent, unconverted }
+ */
+const getMonthlySpending = async (userId, categoryIds, currency, from, to) => {
+  const rateSql = exchangeRateSql(Prisma.sql`t.currency`, currency, Prisma.sql`t.date`);
+
+  const rows = await prisma.$queryRaw`
+    WITH scoped AS (
+      SELECT t.id, t.amount, t.date, ${rateSql} AS rate
+      FROM transactions t
+      WHERE t."userId" = ${userId}
+        AND t."isDeleted" = false
+        AND t.type = 'EXPENSE'
+        AND t.date >= ${from}
+        AND t.date < ${to}
+    ),
+    lines AS (
+      SELECT s."categoryId", ABS(s.amount) AS amount, t.rate, t.date
+      FROM transaction_splits s
+      JOIN scoped t ON t.id = s."transactionId"
+      UNION ALL
+      SELECT ct."A", ABS(t.amount), t.rate, t.date
+      FROM scoped t
+      JOIN "_CategoryToTransaction" ct ON ct."B" = t.id
+      WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s."transactionId" = t.id)
+    )
+    SELECT l."categoryId",
+           to_char(date_trunc('month', l.date), 'YYYY-MM') AS month,
+           COALESCE(SUM(l.amount * l.rate), 0) AS spent,
+           (COUNT(*) FILTER (WHERE l.rate IS NULL))::int AS unconverted
+    FROM lines l
+    WHERE l."categoryId" IN (${Prisma.join(categoryIds)})
+    GROUP BY l."categoryId", month
+  `;
+
+  return new Map(rows.map(row => [
+    `${row.categoryId}:${row.month}`,
+    { spent: Number(row.spent), unconverted: row.unconverted }
+  ]));
+};
+
+/**
+ * Work out where each budget stands in the period containing a month.
+ * With rollover, whatever was left (or overspent) in earlier periods since
+ * the budget started is carried into this one.
+ * @param {string} userId - User ID
+ * @param {Array} budgets - Budgets with their category
+ * @param {Date} month - First day of the month
+ * @returns {Array} Budget status lines
+ */
+const getBudgetStatuses = async (userId, budgets, month) => {
+  const active = budgets
+    .map(budget => {
+      const periodStart = getPeriodStart(month, budget.period);
+      return { budget, periodStart, periodEnd: addPeriods(periodStart, budget.period, 1) };
+    })
+    .filter(({ budget, periodStart, periodEnd }) =>
+      budget.startDate < periodEnd && (!budget.endDate || budget.endDate >= periodStart));
+
+  const statuses = [];
+  const currencies = [...new Set(active.map(({ budget }) => budget.currency))];
+
+  for (const currency of currencies) {
+    const lines = active.filter(({ budget }) => budget.currency === currency);
+    const from = new Date(Math.min(...lines.map(({ budget, periodStart }) =>
+      (budget.rollover ? budget.startDate : periodStart).getTime())));
+    const to = new Date(Math.max(...lines.map(({ periodEnd }) => periodEnd.getTime())));
+    const spending = await getMonthlySpending(
+      userId,
+      [...new Set(lines.map(({ budget }) => budget.categoryId))],
+      currency,
+      from,
+      to
+    );
+
+    // Sum the spending of the months in [start, end)
+    const spentBetween = (categoryId, start, end) => {
+      const total = { spent: 0, unconverted: 0 };
+      for (let cursor = start; cursor < end; cursor = addPeriods(cursor, 'MONTHLY', 1)) {
+        const entry = spending.get(`${categoryId}:${monthKey(cursor)}`);
+        if (entry) {
+          total.spent += entry.spent;
+          total.unconverted += entry.unconverted;
+        }
+      }
+      return total;
+    };
+
+    for (const { budget, periodStart, periodEnd } of lines) {
+      const amount = Number(budget.amount);
+
+      let rolloverAmount = 0;
+      if (budget.rollover) {
+        for (
+          let start = budget.startDate;
+          start < periodStart;
+          start = addPeriods(start, budget.period, 1)
+        ) {
+          rolloverAmount += amount - spentBetween(budget.categoryId, start, addPeriods(start, budget.period, 1)).spent;
+        }
+      }
+
+      const { spent, unconverted } = spentBetween(budget.categoryId, periodStart, periodEnd);
+      const budgeted = amount + rolloverAmount;
+      const thresholdsReached = spent > 0
+        ? budget.alertThresholds.filter(threshold => spent >= (budgeted * threshold) / 100)
+        : [];
+
+      statuses.push({
+        budgetId: budget.id,
+        categoryId: budget.categoryId,
+        categoryName: budget.category?.name,
+        period: budget.period,
+        periodStart,
+        periodEnd: new Date(periodEnd.getTime() - 1),
+        currency,
+        amount,
+        rolloverAmount,
+        budgeted,
+        spent,
+        remaining: budgeted - spent,
+        percentUsed: budgeted > 0 ? Math.round((spent / budgeted) * 1000) / 10 : null,
+        status: spent > budgeted ? 'exceeded' : thresholdsReached.length > 0 ? 'warning' : 'ok',
+        thresholdsReached,
+        unconvertedCount: unconverted
+      });
+    }
+  }
+
+  return statuses;
+};
+
+/**
+ * Budgeted, spent and remaining per category for a month, from the
+ * user's actual expense transactions
+ * @param {string} userId - User ID
+ * @param {string} month - Month in YYYY-MM format (defaults to the current month)
+ * @returns {Object} Report with a line per budget and totals per currency
+ */
+export const getBudgetReport = async (userId, month = null) => {
+  const monthStart = parseBudgetMonth(month);
+
+  const budgets = await prisma.budget.findMany({
+    where: { userId, isDeleted: false },
+    include: { category: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const lines = await getBudgetStatuses(userId, budgets, monthStart);
+
+  const totals = {};
+  lines.forEach(line => {
+    const total = totals[line.currency] || { budgeted: 0, spent: 0, remaining: 0 };
+    total.budgeted += line.budgeted;
+    total.spent += line.spent;
+    total.remaining += line.remaining;
+    totals[line.currency] = total;
+  });
+
+  return {
+    month: monthKey(monthStart),
+    budgets: lines,
+    totals
+  };
+};
+
+/**
+ * Raise alerts for budgets whose spending has reached one of their
+ * thresholds in the periods containing the given dates. Each threshold
+ * alerts once per budget period, so calling this repeatedly is safe.
+ * @param {string} userId - User ID
+ * @param {Date[]} dates - Dates of the transactions that changed
+ * @returns {number} Number of new alerts
+ */
+export const checkBudgetAlerts = async (userId, dates = [new Date()]) => {
+  const budgets = await prisma.budget.findMany({
+    where: { userId, isDeleted: false },
+    include: { category: true }
+  });
+
+  if (budgets.length === 0) {
+    return 0;
+  }
+
+  const months = new Map();
+  dates.forEach(date => {
+    const month = getPeriodStart(new Date(date), 'MONTHLY');
+    months.set(monthKey(month), month);
+  });
+
+  let created = 0;
+
+  for (const month of months.values()) {
+    const statuses = await getBudgetStatuses(userId, budgets, month);
+    const alerts = statuses.flatMap(status => status.thresholdsReached.map(threshold => ({
+      budgetId: status.budgetId,
+      userId,
+      periodStart: status.periodStart,
+      threshold,
+      budgeted: status.budgeted,
+      spent: status.spent
+    })));
+
+    if (alerts.length > 0) {
+      const result = await prisma.budgetAlert.createMany({
+        data: alerts,
+        skipDuplicates: true
+      });
+      created += result.count;
+    }
+  }
+
+  if (created > 0) {
+    logger.info('Budget alerts raised', { userId, count: created });
+  }
+
+  return created;
+};
+
+/**
+ * Check budget alerts after expenses were written. Failures are logged
+ * rather than thrown, so an alert problem never fails the write itself.
+ * @param {Array} transactions - Created or changed transactions
+ */
+export const refreshBudgetAlerts = async (transactions) => {
+  const datesByUser = new Map();
+
+  transactions
+    .filter(transaction => transaction && transaction.type === 'EXPENSE' && !transaction.isDeleted)
+    .forEach(transaction => {
+      const dates = datesByUser.get(transaction.userId) || [];
+      dates.push(transaction.date);
+      datesByUser.set(transaction.userId, dates);
+    });
+
+  for (const [userId, dates] of datesByUser) {
+    try {
+      await checkBudgetAlerts(userId, dates);
+    } catch (error) {
+      logger.error('Failed to check budget alerts', {
+        error: error.message,
+        stack: error.stack,
+        userId
+      });
+    }
+  }
+};
+
+/**
+ * Get a user's budget alerts, newest first
+ */
+export const getBudgetAlerts = async (userId, options = {}) => {
+  const { page = 1, limit = 10, unreadOnly = false } = options;
+  const skip = (page - 1) * limit;
+
+  const where = {
+    userId,
+    ...(unreadOnly && { isRead: false })
+  };
+
+  const [alerts, total] = await Promise.all([
+    prisma.budgetAlert.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { createdAt: 'desc' },
+      include: {
+        budget: {
+          select: { id: true, categoryId: true, period: true, currency: true, category: { select: { name: true } } }
+        }
+      }
+    }),
+    prisma.budgetAlert.count({ where })
+  ]);
+
+  return {
+    alerts,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Mark a budget alert as read
+ */
+export const markBudgetAlertRead = async (id, userId) => {
+  const alert = await prisma.budgetAlert.findUnique({
+    where: { id }
+  });
+
+  if (!alert) {
+    throw new NotFoundError('Budget alert not found');
+  }
+
+  if (alert.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to access this budget alert");
+  }
+
+  return await prisma.budgetAlert.update({
+    where: { id },
+    data: { isRead: true }
+  });
+};
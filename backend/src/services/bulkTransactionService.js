@@ -0,0 +1,314 @@
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { BadRequestError } from '../utils/errors.js';
+import {
+  applyTransactionUpdate,
+  applyTransactionDelete,
+  applyTransactionRestore,
+  buildTransactionFilterWhere
+} from './transactionService.js';
+import { assertAccountOwnership } from './accountService.js';
+import { getCategoryById } from './categoryService.js';
+import { assertTagOwnership } from './tagService.js';
+import { recordTransactionVersions } from './transactionHistoryService.js';
+import { refreshBudgetAlerts } from './budgetService.js';
+import { invalidateCategoryModel } from './categorySuggestionService.js';
+
+/**
+ * Bulk changes to many transactions at once, e.g. to clean up after an import.
+ *
+ * Transactions are selected by ID or with the filters of transactionFilter.
+ * Each one is first checked against the action: those it does not apply to
+ * (a transfer being recategorized, one already in the category, ...) are
+ * skipped with a reason. The rest are changed in a single database
+ * transaction through the same code as single edits, so balances, goals and
+ * history stay consistent; if any of them fails, none is changed.
+ */
+
+export const BULK_ACTIONS = ['recategorize', 'tag', 'untag', 'setDate', 'setAccount', 'delete', 'restore'];
+export const MAX_BULK_TRANSACTIONS = 500;
+
+const BULK_TIMEOUT_MS = 60000;
+
+// Actions applied to both legs of a transfer at once, so only one leg is processed
+const TRANSFER_WIDE_ACTIONS = ['tag', 'untag', 'setDate', 'delete', 'restore'];
+
+const BULK_SELECT = {
+  id: true,
+  userId: true,
+  type: true,
+  date: true,
+  accountId: true,
+  transferId: true,
+  isDeleted: true,
+  categories: { select: { id: true } },
+  tags: { select: { id: true } },
+  _count: { select: { splits: true } }
+};
+
+/**
+ * Load the selected transactions of the user. IDs that do not exist or
+ * belong to someone else are reported as not found.
+ */
+const selectTransactions = async (userId, { ids, filter, action }) => {
+  if (ids) {
+    const uniqueIds = [...new Set(ids)];
+    const transactions = await prisma.transaction.findMany({
+      where: { id: { in: uniqueIds }, userId },
+      select: BULK_SELECT
+    });
+    const byId = new Map(transactions.map(transaction => [transaction.id, transaction]));
+
+    return uniqueIds.map(id => byId.get(id) || { id, missing: true });
+  }
+
+  // Restoring looks for deleted transactions instead of live ones
+  const where = {
+    ...buildTransactionFilterWhere({ ...filter, userId }),
+    isDeleted: action === 'restore'
+  };
+
+  const count = await prisma.transaction.count({ where });
+  if (count > MAX_BULK_TRANSACTIONS) {
+    throw new BadRequestError(
+      `The filter matches ${count} transactions; narrow it down to at most ${MAX_BULK_TRANSACTIONS}`
+    );
+  }
+
+  return prisma.transaction.findMany({
+    where,
+    select: BULK_SELECT,
+    orderBy: [{ date: 'desc' }, { id: 'desc' }]
+  });
+};
+
+/**
+ * Check the action's arguments once, before any transaction is looked at
+ */
+const validateActionArguments = async (userId, action, args) => {
+  switch (action) {
+    case 'recategorize':
+      await getCategoryById(args.categoryId);
+      break;
+    case 'tag':
+    case 'untag':
+      await assertTagOwnership(prisma, args.tagIds, userId);
+      break;
+    case 'setAccount':
+      await assertAccountOwnership(prisma, args.accountId, userId);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Why the action does not apply to a transaction, or null when it does
+ */
+const getSkipReason = (transaction, action, args) => {
+  if (action === 'restore') {
+    return transaction.isDeleted ? null : 'Transaction is not deleted';
+  }
+
+  if (transaction.isDeleted) {
+    return action === 'delete' ? 'Transaction is already deleted' : 'Transaction is deleted';
+  }
+
+  const tagIds = transaction.tags.map(tag => tag.id);
+
+  switch (action) {
+    case 'recategorize':
+      if (transaction.type === 'TRANSFER') {
+        return 'Transfers have no category';
+      }
+      if (transaction._count.splits > 0) {
+        return 'Split transactions are categorized per split line';
+      }
+      return transaction.categories.length === 1 && transaction.categories[0].id === args.categoryId
+        ? 'Already in this category'
+        : null;
+    case 'tag':
+      return args.tagIds.every(id => tagIds.includes(id)) ? 'Already has these tags' : null;
+    case 'untag':
+      return args.tagIds.some(id => tagIds.includes(id)) ? null : 'Has none of these tags';
+    case 'setDate':
+      return transaction.date.getTime() === args.date.getTime() ? 'Already on this date' : null;
+    case 'setAccount':
+      if (transaction.transferId) {
+        return 'Transfer legs must be moved one at a time';
+      }
+      return transaction.accountId === args.accountId ? 'Already in this account' : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Add or remove tags on a transaction, on both legs of a transfer
+ */
+const changeTags = async (tx, transaction, tagIds, operation, userId) => {
+  const legIds = transaction.transferId
+    ? (await tx.transaction.findMany({ where: { transferId: transaction.transferId }, select: { id: true } }))
+      .map(leg => leg.id)
+    : [transaction.id];
+
+  for (const legId of legIds) {
+    await tx.transaction.update({
+      where: { id: legId },
+      data: { tags: { [operation]: tagIds.map(id => ({ id })) } }
+    });
+  }
+
+  await recordTransactionVersions(tx, legIds, 'UPDATE', userId);
+};
+
+/**
+ * Apply the action to one transaction inside the bulk database transaction
+ */
+const applyAction = (tx, transaction, action, args, userId) => {
+  const options = { changedBy: userId };
+
+  switch (action) {
+    case 'recategorize':
+      return applyTransactionUpdate(tx, transaction.id, { categoryId: args.categoryId }, options);
+    case 'setDate':
+      return applyTransactionUpdate(tx, transaction.id, { date: args.date }, options);
+    case 'setAccount':
+      return applyTransactionUpdate(tx, transaction.id, { accountId: args.accountId }, options);
+    case 'tag':
+      return changeTags(tx, transaction, args.tagIds, 'connect', userId);
+    case 'untag':
+      return changeTags(tx, transaction, args.tagIds, 'disconnect', userId);
+    case 'delete':
+      return applyTransactionDelete(tx, transaction.id, options);
+    case 'restore':
+      return applyTransactionRestore(tx, transaction.id, options);
+    default:
+      throw new BadRequestError(`Invalid action. Must be one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+};
+
+/**
+ * Apply one action to many transactions
+ * @param {string} userId - User ID
+ * @param {Object} request - { action, ids | filter, categoryId, tagIds, date, accountId }
+ *   where filter takes the criteria of transactionFilter
+ * @returns {Object} { action, applied, matched, updated, skipped, results }
+ *   with one result per selected transaction: { transactionId, status, reason }
+ *   and status updated, skipped, not_found, failed or rolled_back
+ */
+export const bulkUpdateTransactions = async (userId, request) => {
+  const { action, ids, filter } = request;
+  const args = {
+    categoryId: request.categoryId,
+    tagIds: request.tagIds ? [...new Set(request.tagIds)] : undefined,
+    date: request.date ? new Date(request.date) : undefined,
+    accountId: request.accountId
+  };
+
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new BadRequestError(`Invalid action. Must be one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+
+  if (!ids === !filter) {
+    throw new BadRequestError('Select transactions with either ids or filter');
+  }
+
+  if (ids && ids.length > MAX_BULK_TRANSACTIONS) {
+    throw new BadRequestError(`At most ${MAX_BULK_TRANSACTIONS} transactions can be changed at once`);
+  }
+
+  await validateActionArguments(userId, action, args);
+
+  const transactions = await selectTransactions(userId, { ids, filter, action });
+
+  const results = [];
+  const pending = [];
+  const handledTransfers = new Set();
+
+  for (const transaction of transactions) {
+    if (transaction.missing) {
+      results.push({ transactionId: transaction.id, status: 'not_found', reason: 'Transaction not found' });
+      continue;
+    }
+
+    let reason = getSkipReason(transaction, action, args);
+
+    if (!reason && transaction.transferId && TRANSFER_WIDE_ACTIONS.includes(action)) {
+      if (handledTransfers.has(transaction.transferId)) {
+        reason = 'Changed together with the other leg of the transfer';
+      }
+      handledTransfers.add(transaction.transferId);
+    }
+
+    const result = { transactionId: transaction.id, status: reason ? 'skipped' : 'updated', reason: reason || null };
+    results.push(result);
+
+    if (!reason) {
+      pending.push({ transaction, result });
+    }
+  }
+
+  let failure = null;
+
+  if (pending.length > 0) {
+    try {
+      await prisma.$transaction(async (tx) => {
+        for (const item of pending) {
+          try {
+            await applyAction(tx, item.transaction, action, args, userId);
+          } catch (error) {
+            failure = { item, error };
+            throw error;
+          }
+        }
+      }, { timeout: BULK_TIMEOUT_MS });
+    } catch (error) {
+      // Errors of the transactions themselves are reported per item; anything else is unexpected
+      if (!failure || !error.statusCode) {
+        throw error;
+      }
+
+      for (const item of pending) {
+        item.result.status = item === failure.item ? 'failed' : 'rolled_back';
+        item.result.reason = item === failure.item ? error.message : 'Not applied because another transaction failed';
+      }
+    }
+  }
+
+  const applied = !failure;
+
+  if (applied && pending.length > 0) {
+    if (['recategorize', 'delete', 'restore'].includes(action)) {
+      invalidateCategoryModel(userId);
+    }
+
+    // Budgets are per category and period, so both the old and the new dates count
+    if (['recategorize', 'setDate', 'restore'].includes(action)) {
+      await refreshBudgetAlerts(pending.flatMap(({ transaction }) => [
+        { ...transaction, isDeleted: false },
+        ...(action === 'setDate' ? [{ ...transaction, isDeleted: false, date: args.date }] : [])
+      ]));
+    }
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+
+  logger.info('Bulk transaction operation finished', {
+    userId,
+    action,
+    applied,
+    selected: results.length,
+    updated: count('updated')
+  });
+
+  return {
+    action,
+    applied,
+    matched: results.length,
+    updated: count('updated'),
+    skipped: count('skipped'),
+    notFound: count('not_found'),
+    results
+  };
+};
@@ -0,0 +1,556 @@
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ForbiddenError } from '../utils/errors.js';
+import { assertAccountOwnership } from './accountService.js';
+import { getCategoryById } from './categoryService.js';
+import { ACTIVE_TAGS, assertTagOwnership } from './tagService.js';
+import { PAYEE_SUMMARY, assertPayeeOwnership } from './payeeService.js';
+import { refreshBudgetAlerts } from './budgetService.js';
+import { invalidateCategoryModel } from './categorySuggestionService.js';
+import { recordTransactionVersions } from './transactionHistoryService.js';
+import { compileDescriptionPattern } from '../utils/descriptionPattern.js';
+
+const CONDITION_FIELDS = ['descriptionContains', 'descriptionPattern', 'minAmount', 'maxAmount', 'accountId', 'type'];
+
+export const MAX_RULE_TAGS = 20;
+
+// Re-applying rules reads transactions in batches and stops collecting
+// changes after this many, so a preview over years of history stays bounded
+const APPLY_BATCH_SIZE = 500;
+const MAX_APPLY_CHANGES = 5000;
+const APPLY_TIMEOUT_MS = 60000;
+
+const RULE_ORDER = [{ priority: 'asc' }, { createdAt: 'asc' }];
+
+// Tag IDs without duplicates, in their original order
+const uniqueIds = (ids = []) => [...new Set(ids)];
+
+// Whether two lists hold the same IDs, whatever their order
+const sameIds = (a, b) => {
+  const ids = new Set(a);
+  return ids.size === new Set(b).size && b.every(id => ids.has(id));
+};
+
+/**
+ * Check that a rule has something to match on and something to assign
+ */
+const validateRuleDefinition = (rule) => {
+  const hasValue = (field) => rule[field] !== undefined && rule[field] !== null && rule[field] !== '';
+
+  if (!CONDITION_FIELDS.some(hasValue)) {
+    throw new BadRequestError(`A rule needs at least one condition: ${CONDITION_FIELDS.join(', ')}`);
+  }
+
+  if (!hasValue('categoryId') && !hasValue('payeeId') && !(rule.tagIds && rule.tagIds.length > 0)) {
+    throw new BadRequestError('A rule must assign a category, tags or a payee');
+  }
+
+  if (hasValue('minAmount') && hasValue('maxAmount') && Number(rule.minAmount) > Number(rule.maxAmount)) {
+    throw new BadRequestError('minAmount cannot be greater than maxAmount');
+  }
+
+  if (hasValue('descriptionPattern')) {
+    compileDescriptionPattern(rule.descriptionPattern);
+  }
+};
+
+/**
+ * Check that the category exists and the account, tags and payee belong to the user
+ */
+const validateRuleReferences = async (userId, rule) => {
+  if (rule.categoryId) {
+    await getCategoryById(rule.categoryId);
+  }
+
+  if (rule.accountId) {
+    await assertAccountOwnership(prisma, rule.accountId, userId);
+  }
+
+  if (rule.tagIds && rule.tagIds.length > 0) {
+    await assertTagOwnership(prisma, rule.tagIds, userId);
+  }
+
+  if (rule.payeeId) {
+    await assertPayeeOwnership(prisma, rule.payeeId, userId);
+  }
+};
+
+/**
+ * Rules are returned with their tags, and stored with tag links instead of
+ * the tagIds the API takes
+ */
+const toRuleData = ({ tagIds, ...data }, isUpdate = false) => ({
+  ...data,
+  ...(tagIds !== undefined && {
+    tags: { [isUpdate ? 'set' : 'connect']: uniqueIds(tagIds).map(id => ({ id })) }
+  })
+});
+
+const RULE_INCLUDE = { tags: ACTIVE_TAGS, payee: PAYEE_SUMMARY };
+
+/**
+ * Prepare rules for matching; the description pattern is compiled once.
+ * A deleted payee is no longer assigned. Rules whose pattern is no longer
+ * accepted (saved before patterns were restricted) are left out.
+ */
+const compileRules = (rules) => rules.flatMap(rule => {
+  let pattern = null;
+
+  if (rule.descriptionPattern) {
+    try {
+      pattern = compileDescriptionPattern(rule.descriptionPattern);
+    } catch (error) {
+      logger.warn('Skipping categorization rule with an unsupported pattern', {
+        categorizationRuleId: rule.id,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  return [{
+    ...rule,
+    tagIds: rule.tags.map(tag => tag.id),
+    payeeId: rule.payee && !rule.payee.isDeleted ? rule.payeeId : null,
+    descriptionContains: rule.descriptionContains ? rule.descriptionContains.toLowerCase() : null,
+    pattern
+  }];
+});
+
+/**
+ * Load a user's active rules in the order they run
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {string} userId - User ID
+ * @param {Array} ruleIds - Optional subset of rules
+ */
+export const getActiveCategorizationRules = async (tx, userId, ruleIds = null) => {
+  const rules = await tx.categorizationRule.findMany({
+    where: {
+      userId,
+      isActive: true,
+      isDeleted: false,
+      ...(ruleIds && { id: { in: ruleIds } })
+    },
+    orderBy: RULE_ORDER,
+    include: RULE_INCLUDE
+  });
+
+  return compileRules(rules);
+};
+
+/**
+ * Whether every condition of a rule holds for a transaction. Amounts are
+ * compared without sign.
+ */
+const ruleMatches = (rule, transaction) => {
+  const description = transaction.description || '';
+  const amount = Math.abs(Number(transaction.amount));
+
+  if (rule.type && rule.type !== transaction.type) return false;
+  if (rule.accountId && rule.accountId !== transaction.accountId) return false;
+  if (rule.minAmount !== null && amount < Number(rule.minAmount)) return false;
+  if (rule.maxAmount !== null && amount > Number(rule.maxAmount)) return false;
+  if (rule.descriptionContains && !description.toLowerCase().includes(rule.descriptionContains)) return false;
+  if (rule.pattern && !rule.pattern.test(description)) return false;
+
+  return true;
+};
+
+/**
+ * Run compiled rules against a transaction in priority order. The category
+ * and payee come from the first matching rule that sets them; tags are
+ * collected from every matching rule. A matching rule with stopProcessing
+ * set ends the run.
+ * @param {Array} rules - Rules from getActiveCategorizationRules
+ * @param {Object} transaction - { description, amount, type, accountId }
+ * @returns {Object} { categoryId, tagIds, payeeId, ruleIds }
+ */
+export const evaluateCategorizationRules = (rules, transaction) => {
+  const result = { categoryId: null, tagIds: [], payeeId: null, ruleIds: [] };
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, transaction)) {
+      continue;
+    }
+
+    result.ruleIds.push(rule.id);
+    result.categoryId = result.categoryId || rule.categoryId;
+    result.payeeId = result.payeeId || rule.payeeId;
+    result.tagIds = uniqueIds([...result.tagIds, ...rule.tagIds]);
+
+    if (rule.stopProcessing) {
+      break;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Fill in the category, tags and payee of a new transaction from the user's
+ * rules. Values the caller provided are kept, a transaction with split
+ * lines keeps its categories, and transfers are never categorized.
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {Object} transactionData - Data for insertTransaction
+ * @param {Array} rules - Optional preloaded rules, for callers creating many transactions
+ * @returns {Object} Transaction data with the rule results applied
+ */
+export const applyCategorizationRules = async (tx, transactionData, rules = null) => {
+  const needsCategory = transactionData.type !== 'TRANSFER' &&
+    !transactionData.categoryId &&
+    !transactionData.categories &&
+    !(transactionData.splits && transactionData.splits.length > 0);
+  const needsTags = transactionData.tagIds === undefined;
+  const needsPayee = transactionData.payeeId === undefined;
+
+  if (!needsCategory && !needsTags && !needsPayee) {
+    return transactionData;
+  }
+
+  const activeRules = rules || await getActiveCategorizationRules(tx, transactionData.userId);
+  if (activeRules.length === 0) {
+    return transactionData;
+  }
+
+  const match = evaluateCategorizationRules(activeRules, transactionData);
+
+  return {
+    ...transactionData,
+    ...(needsCategory && match.categoryId && { categoryId: match.categoryId }),
+    ...(needsTags && match.tagIds.length > 0 && { tagIds: match.tagIds }),
+    ...(needsPayee && match.payeeId && { payeeId: match.payeeId })
+  };
+};
+
+/**
+ * Get all categorization rules for a user with pagination, in the order they run
+ */
+export const getCategorizationRules = async (userId, options = {}) => {
+  const {
+    page = 1,
+    limit = 10,
+    includeDeleted = false,
+    isActive = null
+  } = options;
+
+  const skip = (page - 1) * limit;
+
+  const whereConditions = {
+    userId,
+    ...(includeDeleted ? {} : { isDeleted: false }),
+    ...(isActive !== null ? { isActive } : {})
+  };
+
+  const [rules, totalCount] = await Promise.all([
+    prisma.categorizationRule.findMany({
+      where: whereConditions,
+      skip,
+      take: limit,
+      orderBy: RULE_ORDER,
+      include: RULE_INCLUDE
+    }),
+    prisma.categorizationRule.count({ where: whereConditions })
+  ]);
+
+  return {
+    rules,
+    pagination: {
+      total: totalCount,
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Get categorization rule by ID
+ */
+export const getCategorizationRuleById = async (id, userId) => {
+  const rule = await prisma.categorizationRule.findUnique({
+    where: { id },
+    include: RULE_INCLUDE
+  });
+
+  if (!rule) {
+    throw new NotFoundError('Categorization rule not found');
+  }
+
+  if (rule.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to access this categorization rule");
+  }
+
+  if (rule.isDeleted) {
+    throw new NotFoundError('Categorization rule has been deleted');
+  }
+
+  return rule;
+};
+
+/**
+ * Create a new categorization rule
+ */
+export const createCategorizationRule = async (userId, ruleData) => {
+  validateRuleDefinition(ruleData);
+  await validateRuleReferences(userId, ruleData);
+
+  const createdRule = await prisma.categorizationRule.create({
+    data: {
+      ...toRuleData(ruleData),
+      userId
+    },
+    include: RULE_INCLUDE
+  });
+
+  logger.info('Categorization rule created successfully', {
+    categorizationRuleId: createdRule.id,
+    userId
+  });
+
+  return createdRule;
+};
+
+/**
+ * Update a categorization rule. Conditions and actions can be cleared by
+ * sending null.
+ */
+export const updateCategorizationRule = async (id, userId, ruleData) => {
+  const existingRule = await getCategorizationRuleById(id, userId);
+
+  validateRuleDefinition({ ...existingRule, tagIds: existingRule.tags.map(tag => tag.id), ...ruleData });
+  // Only references that changed need checking again
+  await validateRuleReferences(userId, ruleData);
+
+  const updatedRule = await prisma.categorizationRule.update({
+    where: { id },
+    data: toRuleData(ruleData, true),
+    include: RULE_INCLUDE
+  });
+
+  logger.info('Categorization rule updated successfully', { categorizationRuleId: id, userId });
+
+  return updatedRule;
+};
+
+/**
+ * Soft delete a categorization rule. Categories it already assigned are kept.
+ */
+export const softDeleteCategorizationRule = async (id, userId) => {
+  await getCategorizationRuleById(id, userId);
+
+  return await prisma.categorizationRule.update({
+    where: { id },
+    data: { isDeleted: true }
+  });
+};
+
+/**
+ * Restore a soft-deleted categorization rule
+ */
+export const restoreCategorizationRule = async (id, userId) => {
+  const rule = await prisma.categorizationRule.findUnique({
+    where: { id }
+  });
+
+  if (!rule) {
+    throw new NotFoundError('Categorization rule not found');
+  }
+
+  if (rule.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to restore this categorization rule");
+  }
+
+  if (!rule.isDeleted) {
+    throw new BadRequestError('Categorization rule is not deleted');
+  }
+
+  return await prisma.categorizationRule.update({
+    where: { id },
+    data: { isDeleted: false }
+  });
+};
+
+/**
+ * Work out what the rules would change on an existing transaction.
+ * Without overwrite only missing values are filled in: the category of an
+ * uncategorized transaction, tags it does not have yet and an empty payee.
+ * With overwrite the category and payee are replaced and the tags become
+ * exactly the matched tags. Split and transfer transactions keep their
+ * categories either way.
+ * @returns {Object|null} { before, after } or null when nothing changes
+ */
+const planRuleChange = (transaction, match, overwrite) => {
+  const before = {
+    categoryIds: transaction.categories.map(category => category.id),
+    tagIds: transaction.tags.map(tag => tag.id),
+    payeeId: transaction.payeeId
+  };
+  const after = { ...before };
+
+  const canCategorize = transaction.type !== 'TRANSFER' && transaction.splits.length === 0;
+  if (canCategorize && match.categoryId && (overwrite || before.categoryIds.length === 0)) {
+    after.categoryIds = [match.categoryId];
+  }
+
+  if (match.tagIds.length > 0) {
+    after.tagIds = overwrite ? match.tagIds : uniqueIds([...before.tagIds, ...match.tagIds]);
+  }
+
+  if (match.payeeId && (overwrite || !before.payeeId)) {
+    after.payeeId = match.payeeId;
+  }
+
+  const changed = {
+    category: !sameIds(after.categoryIds, before.categoryIds),
+    tags: !sameIds(after.tagIds, before.tagIds),
+    payee: after.payeeId !== before.payeeId
+  };
+
+  return changed.category || changed.tags || changed.payee ? { before, after, changed } : null;
+};
+
+/**
+ * Re-run the user's rules over existing transactions.
+ * In dry-run mode (the default) nothing is written and the changes that
+ * would be made are returned; otherwise all of them are written in one
+ * database transaction.
+ * @param {string} userId - User ID
+ * @param {Object} options - { dryRun, overwrite, ruleIds, accountId, startDate, endDate }
+ * @returns {Object} { dryRun, scanned, matched, changed, truncated, changes }
+ */
+export const reapplyCategorizationRules = async (userId, options = {}) => {
+  const {
+    dryRun = true,
+    overwrite = false,
+    ruleIds = null,
+    accountId = null,
+    startDate = null,
+    endDate = null
+  } = options;
+
+  if (accountId) {
+    await assertAccountOwnership(prisma, accountId, userId);
+  }
+
+  const rules = await getActiveCategorizationRules(prisma, userId, ruleIds);
+
+  const where = {
+    userId,
+    isDeleted: false,
+    ...(accountId && { accountId }),
+    ...((startDate || endDate) && {
+      date: {
+        ...(startDate && { gte: startDate }),
+        ...(endDate && { lte: endDate })
+      }
+    })
+  };
+
+  const changes = [];
+  let scanned = 0;
+  let matched = 0;
+  let truncated = false;
+  let cursor = null;
+
+  while (rules.length > 0 && !truncated) {
+    const batch = await prisma.transaction.findMany({
+      where,
+      take: APPLY_BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      orderBy: { id: 'asc' },
+      include: {
+        categories: { select: { id: true } },
+        tags: { where: { isDeleted: false }, select: { id: true } },
+        splits: { select: { id: true } }
+      }
+    });
+
+    for (const transaction of batch) {
+      scanned += 1;
+      const match = evaluateCategorizationRules(rules, transaction);
+
+      if (match.ruleIds.length === 0) {
+        continue;
+      }
+
+      matched += 1;
+      const plan = planRuleChange(transaction, match, overwrite);
+
+      if (plan) {
+        if (changes.length === MAX_APPLY_CHANGES) {
+          truncated = true;
+          break;
+        }
+
+        changes.push({
+          transactionId: transaction.id,
+          date: transaction.date,
+          description: transaction.description,
+          amount: transaction.amount,
+          type: transaction.type,
+          ruleIds: match.ruleIds,
+          ...plan
+        });
+      }
+    }
+
+    if (batch.length < APPLY_BATCH_SIZE) {
+      break;
+    }
+    cursor = batch[batch.length - 1].id;
+  }
+
+  if (!dryRun && changes.length > 0) {
+    await prisma.$transaction(async (tx) => {
+      for (const change of changes) {
+        await tx.transaction.update({
+          where: { id: change.transactionId },
+          data: {
+            ...(change.changed.category && {
+              categories: { set: change.after.categoryIds.map(id => ({ id })) }
+            }),
+            // Without overwrite tags are only added, which keeps links to deleted tags
+            ...(change.changed.tags && {
+              tags: overwrite
+                ? { set: change.after.tagIds.map(id => ({ id })) }
+                : {
+                  connect: change.after.tagIds
+                    .filter(id => !change.before.tagIds.includes(id))
+                    .map(id => ({ id }))
+                }
+            }),
+            ...(change.changed.payee && { payeeId: change.after.payeeId })
+          }
+        });
+
+        await recordTransactionVersions(tx, [change.transactionId], 'UPDATE', userId);
+      }
+    }, { timeout: APPLY_TIMEOUT_MS });
+
+    invalidateCategoryModel(userId);
+    await refreshBudgetAlerts(
+      changes
+        .filter(change => change.changed.category)
+        .map(change => ({ userId, type: change.type, date: change.date }))
+    );
+  }
+
+  logger.info('Categorization rules re-applied', {
+    userId,
+    dryRun,
+    overwrite,
+    scanned,
+    matched,
+    changed: changes.length
+  });
+
+  return {
+    dryRun,
+    overwrite,
+    scanned,
+    matched,
+    changed: changes.length,
+    truncated,
+    changes
+  };
+};
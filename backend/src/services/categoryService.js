@@ -239,7 +239,10 @@ export const softDeleteCategory = async (id) => {
 export const hardDeleteCategory = async (id) => {
   const category = await prisma.category.findUnique({
     where: { id },
-    include: { transactions: { select: { id: true } } }
+    include: {
+      transactions: { select: { id: true } },
+      _count: { select: { budgets: true } }
+    }
   });
 
   if (!category) {
@@ -251,6 +254,11 @@ export const hardDeleteCategory = async (id) => {
     throw new BadRequestError('Cannot delete category that is used in transactions. Use soft delete instead.');
   }
 
+  // Budgets, deleted ones included, keep their category
+  if (category._count.budgets > 0) {
+    throw new BadRequestError('Cannot delete category that has budgets. Use soft delete instead.');
+  }
+
   // Proceed with hard delete if no transactions use this category
   await prisma.category.delete({
     where: { id }
@@ -0,0 +1,232 @@
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Category suggestions learned from a user's own categorized transactions.
+ *
+ * Each user gets a multinomial naive Bayes model over description tokens
+ * plus one token for the order of magnitude of the amount. Models are built
+ * from the database on first use and cached in memory: new transactions are
+ * learned incrementally, and anything that can change past categorizations
+ * (an edit correcting a category, deletes, imports, re-applied rules) drops
+ * the cached model so the next suggestion retrains on the corrected history.
+ */
+
+export const DEFAULT_SUGGESTION_LIMIT = 3;
+export const MAX_SUGGESTION_LIMIT = 10;
+
+// Only the most recent history is used, which keeps training fast and lets
+// the model follow changes in how the user categorizes
+const MAX_TRAINING_TRANSACTIONS = 5000;
+
+const MODEL_TTL_MS = 30 * 60 * 1000;
+const MAX_CACHED_MODELS = 500;
+
+const models = new Map();
+
+/**
+ * Lower-cased words of at least two characters; pure numbers (dates,
+ * reference numbers) say nothing about the category
+ */
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length >= 2 && !/^\d+$/.test(token));
+
+/**
+ * Features of a transaction: its distinct description tokens and an amount
+ * bucket, so that a 4.50 coffee and a 450 flight stay apart
+ */
+const extractFeatures = ({ description, memo, amount }) => {
+  const features = new Set([...tokenize(description), ...tokenize(memo)]);
+
+  if (amount !== undefined && amount !== null && !isNaN(Number(amount))) {
+    features.add(`amount:${Math.round(Math.log2(Math.abs(Number(amount)) + 1))}`);
+  }
+
+  return [...features];
+};
+
+const createModel = () => ({
+  documents: 0,
+  vocabulary: new Set(),
+  categories: new Map(),
+  builtAt: Date.now()
+});
+
+/**
+ * Add one categorized example to a model
+ */
+const learn = (model, category, features) => {
+  let stats = model.categories.get(category.id);
+  if (!stats) {
+    stats = { name: category.name, type: category.type, documents: 0, tokenCount: 0, tokens: new Map() };
+    model.categories.set(category.id, stats);
+  }
+
+  model.documents += 1;
+  stats.documents += 1;
+
+  for (const feature of features) {
+    model.vocabulary.add(feature);
+    stats.tokens.set(feature, (stats.tokens.get(feature) || 0) + 1);
+    stats.tokenCount += 1;
+  }
+};
+
+/**
+ * Train a model on the user's recent categorized transactions. Split
+ * transactions contribute one example per line, with the line's memo and
+ * amount; transfers and deleted categories are left out.
+ */
+const trainModel = async (userId) => {
+  const rows = await prisma.$queryRaw`
+    WITH recent AS (
+      SELECT t.id, t.description, t.amount
+      FROM transactions t
+      WHERE t."userId" = ${userId}
+        AND t."isDeleted" = false
+        AND t.type <> 'TRANSFER'
+      ORDER BY t.date DESC
+      LIMIT ${MAX_TRAINING_TRANSACTIONS}
+    ),
+    examples AS (
+      SELECT r.description, s.memo, s.amount, s."categoryId"
+      FROM transaction_splits s
+      JOIN recent r ON r.id = s."transactionId"
+      UNION ALL
+      SELECT r.description, NULL, r.amount, ct."A"
+      FROM recent r
+      JOIN "_CategoryToTransaction" ct ON ct."B" = r.id
+      WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s."transactionId" = r.id)
+    )
+    SELECT e.description, e.memo, e.amount, c.id AS "categoryId", c.name AS "categoryName", c.type::text AS "categoryType"
+    FROM examples e
+    JOIN categories c ON c.id = e."categoryId" AND c."isDeleted" = false
+  `;
+
+  const model = createModel();
+  for (const row of rows) {
+    learn(model, { id: row.categoryId, name: row.categoryName, type: row.categoryType }, extractFeatures(row));
+  }
+
+  logger.info('Category suggestion model trained', {
+    userId,
+    examples: model.documents,
+    categories: model.categories.size
+  });
+
+  return model;
+};
+
+/**
+ * Get the user's model, training it when missing or stale
+ */
+const getModel = async (userId) => {
+  const cached = models.get(userId);
+  if (cached && Date.now() - cached.builtAt < MODEL_TTL_MS) {
+    return cached;
+  }
+
+  const model = await trainModel(userId);
+
+  // Models are kept in insertion order, so the first one is the oldest
+  models.delete(userId);
+  if (models.size >= MAX_CACHED_MODELS) {
+    models.delete(models.keys().next().value);
+  }
+  models.set(userId, model);
+
+  return model;
+};
+
+/**
+ * Drop a user's cached model after their categorizations changed
+ * @param {string} userId - User ID
+ */
+export const invalidateCategoryModel = (userId) => {
+  models.delete(userId);
+};
+
+/**
+ * Teach a cached model a newly created transaction. Without a cached model
+ * there is nothing to do; the next training run reads it from the database.
+ * @param {string} userId - User ID
+ * @param {Object} transaction - { type, description, amount }
+ * @param {Array} lines - Categorized lines: [{ categoryId, amount, memo }]
+ */
+export const learnCategorizedTransaction = (userId, transaction, lines) => {
+  const model = models.get(userId);
+  if (!model || transaction.type === 'TRANSFER' || lines.length === 0) {
+    return;
+  }
+
+  // A category the model has never seen needs its name and type, so retrain instead
+  if (lines.some(line => !model.categories.has(line.categoryId))) {
+    invalidateCategoryModel(userId);
+    return;
+  }
+
+  for (const line of lines) {
+    const stats = model.categories.get(line.categoryId);
+    learn(
+      model,
+      { id: line.categoryId, name: stats.name, type: stats.type },
+      extractFeatures({ description: transaction.description, memo: line.memo, amount: line.amount })
+    );
+  }
+};
+
+/**
+ * Rank the categories a transaction most likely belongs to, using the
+ * user's own history. Only categories of the transaction's type are
+ * considered when a type is given.
+ * @param {string} userId - User ID
+ * @param {Object} transaction - { description, amount, type }
+ * @param {number} limit - Number of suggestions
+ * @returns {Object} { suggestions: [{ categoryId, categoryName, probability }], trainedOn }
+ */
+export const suggestCategories = async (userId, transaction, limit = DEFAULT_SUGGESTION_LIMIT) => {
+  if (transaction.type === 'TRANSFER') {
+    return { suggestions: [], trainedOn: 0 };
+  }
+
+  const model = await getModel(userId);
+  const candidates = [...model.categories.entries()]
+    .filter(([, stats]) => !transaction.type || stats.type === transaction.type);
+
+  if (candidates.length === 0) {
+    return { suggestions: [], trainedOn: model.documents };
+  }
+
+  // Features never seen in training carry no information about any category
+  const features = extractFeatures(transaction).filter(feature => model.vocabulary.has(feature));
+  const vocabularySize = model.vocabulary.size;
+
+  const scored = candidates.map(([categoryId, stats]) => {
+    let score = Math.log((stats.documents + 1) / (model.documents + model.categories.size));
+
+    for (const feature of features) {
+      score += Math.log(((stats.tokens.get(feature) || 0) + 1) / (stats.tokenCount + vocabularySize));
+    }
+
+    return { categoryId, categoryName: stats.name, score };
+  });
+
+  // Normalize the log scores into probabilities over the candidates
+  const maxScore = Math.max(...scored.map(item => item.score));
+  const total = scored.reduce((sum, item) => sum + Math.exp(item.score - maxScore), 0);
+
+  const suggestions = scored
+    .map(item => ({
+      categoryId: item.categoryId,
+      categoryName: item.categoryName,
+      probability: Math.round((Math.exp(item.score - maxScore) / total) * 10000) / 10000
+    }))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, limit);
+
+  return { suggestions, trainedOn: model.documents };
+};
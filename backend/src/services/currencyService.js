@@ -0,0 +1,201 @@
+import { Prisma } from '@prisma/client';
+import { parse } from 'csv-parse/sync';
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { BadRequestError } from '../utils/errors.js';
+import { parseAmount, parseDate } from '../utils/parseHelpers.js';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+const RATE_INSERT_BATCH_SIZE = 1000;
+
+/**
+ * Normalize and check an ISO 4217 currency code
+ * @param {string} currency - Currency code
+ * @returns {string} Upper-cased code
+ */
+export const normalizeCurrency = (currency) => {
+  const code = String(currency || '').trim().toUpperCase();
+
+  if (!CURRENCY_CODE_PATTERN.test(code)) {
+    throw new BadRequestError(`Invalid currency code: ${currency}`);
+  }
+
+  return code;
+};
+
+/**
+ * Get the user's preferred base currency
+ * @param {string} userId - User ID
+ * @returns {string} Currency code
+ */
+export const getBaseCurrency = async (userId) => {
+  const preferences = await prisma.userPreferences.findUnique({
+    where: { userId },
+    select: { currency: true }
+  });
+
+  return preferences?.currency || DEFAULT_CURRENCY;
+};
+
+/**
+ * Get the rate to convert one unit of `from` into `to` on a date, using the
+ * most recent rate published on or before that date. A direct rate is
+ * preferred, then the inverse of the opposite rate, then a cross rate
+ * through any base currency both have rates against on the same day.
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Date} date - Conversion date
+ * @param {Object} tx - Optional Prisma client or interactive transaction client
+ * @returns {number|null} Rate, or null when no rate is available
+ */
+export const getExchangeRate = async (from, to, date = new Date(), tx = prisma) => {
+  if (from === to) {
+    return 1;
+  }
+
+  const [result] = await tx.$queryRaw`
+    SELECT ${exchangeRateSql(Prisma.sql`${from}::text`, to, Prisma.sql`${date}::timestamp`)} AS rate
+  `;
+
+  return result?.rate === null || result?.rate === undefined ? null : Number(result.rate);
+};
+
+/**
+ * Convert an amount between currencies on a date
+ * @returns {number|null} Converted amount, or null when no rate is available
+ */
+export const convertAmount = async (amount, from, to, date = new Date(), tx = prisma) => {
+  const rate = await getExchangeRate(from, to, date, tx);
+  return rate === null ? null : Number(amount) * rate;
+};
+
+/**
+ * SQL expression for the rate from a currency column into a fixed target
+ * currency on a date column. Mirrors getExchangeRate so that summaries can
+ * convert every row in the database. Evaluates to NULL when no rate exists.
+ * @param {Prisma.Sql} fromSql - Source currency expression, e.g. Prisma.sql`t.currency`
+ * @param {string} to - Target currency
+ * @param {Prisma.Sql} dateSql - Date expression, e.g. Prisma.sql`t.date`
+ * @returns {Prisma.Sql} Rate expression
+ */
+export const exchangeRateSql = (fromSql, to, dateSql) => Prisma.sql`
+  CASE WHEN ${fromSql} = ${to}::text THEN 1 ELSE COALESCE(
+    (SELECT r.rate FROM exchange_rates r
+      WHERE r."baseCurrency" = ${fromSql} AND r."quoteCurrency" = ${to}::text AND r.date <= ${dateSql}
+      ORDER BY r.date DESC LIMIT 1),
+    (SELECT 1 / r.rate FROM exchange_rates r
+      WHERE r."baseCurrency" = ${to}::text AND r."quoteCurrency" = ${fromSql} AND r.date <= ${dateSql}
+      ORDER BY r.date DESC LIMIT 1),
+    (SELECT q.rate / f.rate FROM exchange_rates f
+      JOIN exchange_rates q ON q."baseCurrency" = f."baseCurrency" AND q.date = f.date
+      WHERE f."quoteCurrency" = ${fromSql} AND q."quoteCurrency" = ${to}::text AND f.date <= ${dateSql}
+      ORDER BY f.date DESC LIMIT 1)
+  ) END
+`;
+
+/**
+ * Get stored exchange rates with optional filters
+ */
+export const getExchangeRates = async (filters = {}, page = 1, limit = 50) => {
+  const where = {};
+
+  if (filters.baseCurrency) where.baseCurrency = normalizeCurrency(filters.baseCurrency);
+  if (filters.quoteCurrency) where.quoteCurrency = normalizeCurrency(filters.quoteCurrency);
+
+  if (filters.startDate || filters.endDate) {
+    where.date = {};
+    if (filters.startDate) where.date.gte = new Date(filters.startDate);
+    if (filters.endDate) where.date.lte = new Date(filters.endDate);
+  }
+
+  const skip = (page - 1) * limit;
+  const [rates, total] = await Promise.all([
+    prisma.exchangeRate.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: [{ date: 'desc' }, { baseCurrency: 'asc' }, { quoteCurrency: 'asc' }]
+    }),
+    prisma.exchangeRate.count({ where })
+  ]);
+
+  return {
+    rates,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Load exchange rates from CSV. Expects a header row with the columns
+ * date, base, quote and rate (baseCurrency and quoteCurrency are accepted
+ * too), where one unit of base buys `rate` units of quote. Existing rates
+ * for the same pair and day are replaced.
+ * @param {string|Buffer} content - CSV contents
+ * @param {Object} options - { source, dateFormat }
+ * @returns {Object} { imported, errors }
+ */
+export const importExchangeRates = async (content, options = {}) => {
+  const { source = 'csv', dateFormat = null } = options;
+
+  let records;
+  try {
+    records = parse(content, {
+      columns: (header) => header.map(column => column.trim().toLowerCase()),
+      bom: true,
+      skip_empty_lines: true,
+      trim: true
+    });
+  } catch (error) {
+    throw new BadRequestError(`Could not parse exchange rate file: ${error.message}`);
+  }
+
+  // Keyed by pair and day so a repeated row replaces the earlier one
+  const rates = new Map();
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const line = index + 2;
+    const date = parseDate(record.date, dateFormat);
+    const rate = parseAmount(record.rate);
+    const base = String(record.base ?? record.basecurrency ?? '').toUpperCase();
+    const quote = String(record.quote ?? record.quotecurrency ?? '').toUpperCase();
+
+    if (!date) {
+      errors.push({ line, message: `Invalid date: "${record.date ?? ''}"` });
+    } else if (!CURRENCY_CODE_PATTERN.test(base) || !CURRENCY_CODE_PATTERN.test(quote) || base === quote) {
+      errors.push({ line, message: 'Invalid currency pair' });
+    } else if (!rate || rate <= 0) {
+      errors.push({ line, message: `Invalid rate: "${record.rate ?? ''}"` });
+    } else {
+      const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+      rates.set(`${base}:${quote}:${day.toISOString()}`, { date: day, baseCurrency: base, quoteCurrency: quote, rate });
+    }
+  });
+
+  const uniqueRates = [...rates.values()];
+
+  for (let i = 0; i < uniqueRates.length; i += RATE_INSERT_BATCH_SIZE) {
+    const batch = uniqueRates.slice(i, i + RATE_INSERT_BATCH_SIZE);
+    const values = batch.map(rate => Prisma.sql`
+      (gen_random_uuid()::text, ${rate.date}, ${rate.baseCurrency}, ${rate.quoteCurrency}, ${rate.rate}, ${source}, NOW(), NOW())
+    `);
+
+    await prisma.$executeRaw`
+      INSERT INTO exchange_rates (id, date, "baseCurrency", "quoteCurrency", rate, source, "createdAt", "updatedAt")
+      VALUES ${Prisma.join(values)}
+      ON CONFLICT ("baseCurrency", "quoteCurrency", date)
+      DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, "updatedAt" = NOW()
+    `;
+  }
+
+  logger.info('Exchange rates imported', { imported: uniqueRates.length, errors: errors.length, source });
+
+  return { imported: uniqueRates.length, errors };
+};
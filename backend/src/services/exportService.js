@@ -0,0 +1,194 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { getBalanceEffect } from './accountService.js';
+import { buildTransactionFilterWhere } from './transactionService.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', width: 38 },
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'description', header: 'Description', width: 40 },
+  { key: 'type', header: 'Type', width: 12 },
+  { key: 'amount', header: 'Amount', width: 14 },
+  { key: 'signedAmount', header: 'Signed Amount', width: 14 },
+  { key: 'currency', header: 'Currency', width: 10 },
+  { key: 'account', header: 'Account', width: 24 },
+  { key: 'categories', header: 'Categories', width: 30 },
+  { key: 'notes', header: 'Notes', width: 40 },
+  { key: 'transferId', header: 'Transfer ID', width: 38 }
+];
+
+/**
+ * Fetch matching transactions in keyset-paginated batches ordered by
+ * (date, id), so memory use stays flat however many rows match
+ * @param {Object} where - Prisma where clause
+ */
+async function* fetchTransactionBatches(where) {
+  let cursor = null;
+
+  while (true) {
+    const batch = await prisma.transaction.findMany({
+      where,
+      orderBy: [{ date: 'asc' }, { id: 'asc' }],
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      include: {
+        categories: { select: { name: true } },
+        account: { select: { name: true } }
+      }
+    });
+
+    if (batch.length === 0) {
+      return;
+    }
+
+    yield batch;
+
+    if (batch.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Flatten a transaction into an export row
+ */
+const toExportRow = (transaction) => ({
+  id: transaction.id,
+  date: transaction.date.toISOString().slice(0, 10),
+  description: transaction.description || '',
+  type: transaction.type,
+  amount: Math.abs(Number(transaction.amount)),
+  signedAmount: getBalanceEffect(transaction),
+  currency: transaction.currency,
+  account: transaction.account?.name || '',
+  categories: transaction.categories.map(category => category.name).join('; '),
+  notes: transaction.notes || '',
+  transferId: transaction.transferId || ''
+});
+
+/**
+ * Quote a CSV field when needed. Leading formula characters are escaped so
+ * spreadsheet apps do not evaluate imported descriptions.
+ */
+const toCsvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Wait for a full stream buffer to drain. A client that disconnects never
+ * drains the response, so closing the stream also ends the wait.
+ */
+const waitForDrain = (stream) => Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ */
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await waitForDrain(stream);
+  }
+};
+
+const writers = {
+  csv: async (stream, batches) => {
+    // The BOM makes spreadsheet apps read the file as UTF-8
+    await write(stream, '\uFEFF' + EXPORT_COLUMNS.map(column => toCsvField(column.header)).join(',') + '\r\n');
+
+    for await (const batch of batches) {
+      const lines = batch.map(transaction => {
+        const row = toExportRow(transaction);
+        return EXPORT_COLUMNS.map(column => toCsvField(row[column.key])).join(',');
+      });
+      await write(stream, lines.join('\r\n') + '\r\n');
+    }
+
+    stream.end();
+  },
+
+  json: async (stream, batches) => {
+    let first = true;
+    await write(stream, '[');
+
+    for await (const batch of batches) {
+      const items = batch.map(transaction => JSON.stringify(toExportRow(transaction)));
+      await write(stream, (first ? '' : ',') + items.join(','));
+      first = false;
+    }
+
+    await write(stream, ']');
+    stream.end();
+  },
+
+  xlsx: async (stream, batches) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const worksheet = workbook.addWorksheet('Transactions');
+    worksheet.columns = EXPORT_COLUMNS;
+    worksheet.getRow(1).font = { bold: true };
+
+    for await (const batch of batches) {
+      batch.forEach(transaction => {
+        const row = worksheet.addRow({ ...toExportRow(transaction), date: transaction.date });
+        row.getCell('date').numFmt = 'yyyy-mm-dd';
+        row.commit();
+      });
+
+      if (stream.writableNeedDrain) {
+        await waitForDrain(stream);
+      }
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+  }
+};
+
+/**
+ * Stream every transaction matching the filters to a writable stream
+ * @param {Object} stream - Writable stream (e.g. the HTTP response); ended when done
+ * @param {string} format - Export format (csv, xlsx or json)
+ * @param {Object} filters - Same filters as transactionFilter, including userId
+ * @returns {number} Number of exported transactions
+ */
+export const streamTransactionExport = async (stream, format, filters) => {
+  logger.info('Exporting transactions', { userId: filters.userId, format });
+
+  let count = 0;
+  const where = buildTransactionFilterWhere(filters);
+
+  // Stop querying once the client has gone away
+  async function* countedBatches() {
+    for await (const batch of fetchTransactionBatches(where)) {
+      if (stream.destroyed) {
+        return;
+      }
+      count += batch.length;
+      yield batch;
+    }
+  }
+
+  await writers[format](stream, countedBatches());
+
+  logger.info('Transactions exported successfully', { userId: filters.userId, format, count });
+
+  return count;
+};
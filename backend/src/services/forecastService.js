@@ -0,0 +1,445 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { getUpcomingOccurrences } from '../utils/recurrence.js';
+import { convertAmount, getBaseCurrency } from './currencyService.js';
+import { getAccountById, getBalanceEffect } from './accountService.js';
+
+export const FORECAST_HORIZONS = [30, 90, 180];
+export const FORECAST_SOURCES = ['SCHEDULED', 'RECURRING', 'ESTIMATE'];
+
+export const DEFAULT_HISTORY_DAYS = 90;
+export const MIN_HISTORY_DAYS = 30;
+export const MAX_HISTORY_DAYS = 365;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const ESTIMATE_BUCKET_DAYS = 7;
+
+// Upper bound on occurrences per rule; a daily rule over the longest horizon
+// needs 180, so this only guards against malformed rules
+const MAX_OCCURRENCES_PER_RULE = 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const startOfUtcDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Transactions dated after now are already part of the account's current
+ * balance. They are taken back out of the starting balance and replayed on
+ * their own dates as scheduled entries (upcoming bills, post-dated income).
+ */
+const getScheduledEntries = async (userId, accountIds, now, horizonEnd) => {
+  const transactions = await prisma.transaction.findMany({
+    where: {
+      userId,
+      accountId: { in: accountIds },
+      isDeleted: false,
+      date: { gt: now }
+    },
+    select: {
+      id: true,
+      accountId: true,
+      type: true,
+      transferDirection: true,
+      amount: true,
+      currency: true,
+      description: true,
+      date: true
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  const pendingEffects = {};
+  const entries = [];
+
+  for (const transaction of transactions) {
+    const effect = getBalanceEffect(transaction);
+    pendingEffects[transaction.accountId] = (pendingEffects[transaction.accountId] || 0) + effect;
+
+    if (transaction.date < horizonEnd) {
+      entries.push({
+        date: toDayKey(transaction.date),
+        accountId: transaction.accountId,
+        source: 'SCHEDULED',
+        type: transaction.type,
+        description: transaction.description,
+        amount: roundMoney(effect),
+        currency: transaction.currency,
+        transactionId: transaction.id
+      });
+    }
+  }
+
+  return { entries, pendingEffects };
+};
+
+/**
+ * Future occurrences of active recurring rules that touch the forecast
+ * accounts. Occurrences already overdue are expected on the first day.
+ * Transfers produce an outgoing entry on the source account and an incoming
+ * one, converted into its currency, on the destination account.
+ */
+const getRecurringEntries = async (userId, accountsById, today, horizonEnd) => {
+  const accountIds = Object.keys(accountsById);
+  const rules = await prisma.recurringRule.findMany({
+    where: {
+      userId,
+      isActive: true,
+      isDeleted: false,
+      nextRunDate: { not: null, lt: horizonEnd },
+      OR: [
+        { accountId: { in: accountIds } },
+        { toAccountId: { in: accountIds } }
+      ]
+    },
+    include: {
+      account: { select: { currency: true } }
+    }
+  });
+
+  const entries = [];
+  const warnings = [];
+  const lastDay = new Date(horizonEnd.getTime() - 1);
+
+  for (const rule of rules) {
+    const occurrences = getUpcomingOccurrences(rule, MAX_OCCURRENCES_PER_RULE, lastDay);
+    const amount = Math.abs(Number(rule.amount));
+    const sourceCurrency = rule.account.currency;
+
+    for (const occurrence of occurrences) {
+      const date = toDayKey(occurrence < today ? today : occurrence);
+      const base = {
+        date,
+        source: 'RECURRING',
+        type: rule.type,
+        description: rule.description,
+        recurringRuleId: rule.id
+      };
+
+      if (accountsById[rule.accountId]) {
+        entries.push({
+          ...base,
+          accountId: rule.accountId,
+          amount: rule.type === 'INCOME' ? amount : -amount,
+          currency: sourceCurrency
+        });
+      }
+
+      if (rule.type === 'TRANSFER' && accountsById[rule.toAccountId]) {
+        const targetCurrency = accountsById[rule.toAccountId].currency;
+        const incoming = await convertAmount(amount, sourceCurrency, targetCurrency, occurrence);
+
+        if (incoming === null) {
+          warnings.push(
+            `No exchange rate from ${sourceCurrency} to ${targetCurrency}; ` +
+            `incoming transfer "${rule.description}" on ${date} is not included`
+          );
+          continue;
+        }
+
+        entries.push({
+          ...base,
+          accountId: rule.toAccountId,
+          amount: roundMoney(incoming),
+          currency: targetCurrency
+        });
+      }
+    }
+  }
+
+  return { entries, warnings };
+};
+
+/**
+ * Average daily discretionary spending per account and category over the
+ * history window. Discretionary means expenses not generated by a recurring
+ * rule, since those are already projected from the rule itself. Split
+ * transactions contribute each split line; unsplit ones count once, under
+ * their first linked category.
+ */
+const getDiscretionarySpending = async (userId, accountIds, historyStart, today, historyDays) => {
+  const rows = await prisma.$queryRaw`
+    WITH scoped AS (
+      SELECT t.id, t."accountId", t.amount
+      FROM transactions t
+      WHERE t."userId" = ${userId}
+        AND t."isDeleted" = false
+        AND t.type = 'EXPENSE'
+        AND t."recurringRuleId" IS NULL
+        AND t."accountId" IN (${Prisma.join(accountIds)})
+        AND t.date >= ${historyStart}
+        AND t.date < ${today}
+    ),
+    lines AS (
+      SELECT t."accountId", s."categoryId", ABS(s.amount) AS amount
+      FROM transaction_splits s
+      JOIN scoped t ON t.id = s."transactionId"
+      UNION ALL
+      SELECT t."accountId",
+             (SELECT MIN(ct."A") FROM "_CategoryToTransaction" ct WHERE ct."B" = t.id),
+             ABS(t.amount)
+      FROM scoped t
+      WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s."transactionId" = t.id)
+    )
+    SELECT l."accountId",
+           l."categoryId",
+           c.name AS "categoryName",
+           COALESCE(SUM(l.amount), 0) AS total
+    FROM lines l
+    LEFT JOIN categories c ON c.id = l."categoryId"
+    GROUP BY l."accountId", l."categoryId", c.name
+  `;
+
+  return rows.map(row => ({
+    accountId: row.accountId,
+    categoryId: row.categoryId,
+    categoryName: row.categoryName || 'Uncategorized',
+    dailyAverage: Number(row.total) / historyDays
+  }));
+};
+
+/**
+ * Spread each category's daily average over the horizon as one entry per
+ * week, dated at the start of the week so the projection errs on the side
+ * of spending early. A partial last week is prorated.
+ */
+const buildEstimateEntries = (averages, accountsById, today, days) => {
+  const entries = [];
+
+  for (const average of averages) {
+    for (let offset = 0; offset < days; offset += ESTIMATE_BUCKET_DAYS) {
+      const bucketDays = Math.min(ESTIMATE_BUCKET_DAYS, days - offset);
+      const amount = roundMoney(average.dailyAverage * bucketDays);
+
+      if (amount === 0) {
+        continue;
+      }
+
+      entries.push({
+        date: toDayKey(new Date(today.getTime() + offset * MS_PER_DAY)),
+        accountId: average.accountId,
+        source: 'ESTIMATE',
+        type: 'EXPENSE',
+        description: `Estimated ${average.categoryName} spending`,
+        amount: -amount,
+        currency: accountsById[average.accountId].currency,
+        categoryId: average.categoryId,
+        categoryName: average.categoryName
+      });
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Walk an account's entries day by day from its starting balance
+ */
+const projectAccount = (account, startingBalance, entries, dayKeys) => {
+  const byDay = {};
+  for (const entry of entries) {
+    (byDay[entry.date] = byDay[entry.date] || []).push(entry);
+  }
+
+  const totals = { inflow: 0, outflow: 0, bySource: {} };
+  FORECAST_SOURCES.forEach(source => { totals.bySource[source] = 0; });
+
+  let balance = startingBalance;
+  let lowestBalance = startingBalance;
+  let lowestBalanceDate = dayKeys[0];
+  const negativeDays = [];
+
+  const daily = dayKeys.map(date => {
+    let inflow = 0;
+    let outflow = 0;
+
+    for (const entry of byDay[date] || []) {
+      if (entry.amount >= 0) {
+        inflow += entry.amount;
+      } else {
+        outflow += -entry.amount;
+      }
+      totals.bySource[entry.source] += entry.amount;
+    }
+
+    balance = roundMoney(balance + inflow - outflow);
+    totals.inflow += inflow;
+    totals.outflow += outflow;
+
+    if (balance < lowestBalance) {
+      lowestBalance = balance;
+      lowestBalanceDate = date;
+    }
+
+    if (balance < 0) {
+      negativeDays.push(date);
+    }
+
+    return { date, balance, inflow: roundMoney(inflow), outflow: roundMoney(outflow) };
+  });
+
+  return {
+    accountId: account.id,
+    name: account.name,
+    type: account.type,
+    currency: account.currency,
+    startingBalance: roundMoney(startingBalance),
+    endingBalance: balance,
+    lowestBalance,
+    lowestBalanceDate,
+    goesNegative: negativeDays.length > 0,
+    firstNegativeDate: negativeDays[0] || null,
+    negativeDays,
+    totals: {
+      inflow: roundMoney(totals.inflow),
+      outflow: roundMoney(totals.outflow),
+      net: roundMoney(totals.inflow - totals.outflow),
+      bySource: Object.fromEntries(
+        Object.entries(totals.bySource).map(([source, total]) => [source, roundMoney(total)])
+      )
+    },
+    daily
+  };
+};
+
+/**
+ * Starting balances, totals and ending balances of all projected accounts
+ * in the base currency at today's rates. Accounts without a rate are left
+ * out and listed instead.
+ */
+const buildOverallTotals = async (projections, baseCurrency) => {
+  const totals = { startingBalance: 0, inflow: 0, outflow: 0, net: 0, endingBalance: 0 };
+  const missingRates = [];
+
+  for (const projection of projections) {
+    const rate = await convertAmount(1, projection.currency, baseCurrency);
+    if (rate === null) {
+      if (!missingRates.includes(projection.currency)) {
+        missingRates.push(projection.currency);
+      }
+      continue;
+    }
+
+    totals.startingBalance += projection.startingBalance * rate;
+    totals.inflow += projection.totals.inflow * rate;
+    totals.outflow += projection.totals.outflow * rate;
+    totals.net += projection.totals.net * rate;
+    totals.endingBalance += projection.endingBalance * rate;
+  }
+
+  return {
+    currency: baseCurrency,
+    ...Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundMoney(value)])),
+    missingRates
+  };
+};
+
+/**
+ * Project daily balances for a user's active accounts over the next `days`
+ * days, combining future-dated transactions, recurring rules and average
+ * discretionary spending per category
+ * @param {string} userId - User ID
+ * @param {Object} options - { days, accountId, historyDays }
+ * @returns {Object} Forecast with per-account daily balances, entries and totals
+ */
+export const getCashFlowForecast = async (userId, options = {}) => {
+  const {
+    days = FORECAST_HORIZONS[0],
+    accountId = null,
+    historyDays = DEFAULT_HISTORY_DAYS
+  } = options;
+
+  const accounts = accountId
+    ? [await getAccountById(accountId, userId)]
+    : await prisma.account.findMany({
+      where: { userId, isDeleted: false, isActive: true },
+      orderBy: { name: 'asc' }
+    });
+
+  const now = new Date();
+  const today = startOfUtcDay(now);
+  const horizonEnd = new Date(today.getTime() + days * MS_PER_DAY);
+  const historyStart = new Date(today.getTime() - historyDays * MS_PER_DAY);
+  const dayKeys = Array.from({ length: days }, (_, index) =>
+    toDayKey(new Date(today.getTime() + index * MS_PER_DAY)));
+  const baseCurrency = await getBaseCurrency(userId);
+
+  const result = {
+    days,
+    historyDays,
+    startDate: dayKeys[0],
+    endDate: dayKeys[dayKeys.length - 1],
+    baseCurrency,
+    accounts: [],
+    entries: [],
+    negativeBalanceDays: [],
+    totals: null,
+    warnings: []
+  };
+
+  if (accounts.length === 0) {
+    result.totals = await buildOverallTotals([], baseCurrency);
+    return result;
+  }
+
+  const accountIds = accounts.map(account => account.id);
+  const accountsById = Object.fromEntries(accounts.map(account => [account.id, account]));
+
+  const [scheduled, recurring, averages] = await Promise.all([
+    getScheduledEntries(userId, accountIds, now, horizonEnd),
+    getRecurringEntries(userId, accountsById, today, horizonEnd),
+    getDiscretionarySpending(userId, accountIds, historyStart, today, historyDays)
+  ]);
+
+  const entries = [
+    ...scheduled.entries,
+    ...recurring.entries,
+    ...buildEstimateEntries(averages, accountsById, today, days)
+  ].sort((a, b) => a.date.localeCompare(b.date) || a.accountId.localeCompare(b.accountId));
+
+  const projections = accounts.map(account => {
+    const startingBalance = Number(account.currentBalance) - (scheduled.pendingEffects[account.id] || 0);
+    return projectAccount(
+      account,
+      startingBalance,
+      entries.filter(entry => entry.accountId === account.id),
+      dayKeys
+    );
+  });
+
+  result.accounts = projections;
+  result.entries = entries;
+  result.negativeBalanceDays = projections.flatMap(projection =>
+    projection.daily
+      .filter(day => day.balance < 0)
+      .map(day => ({
+        date: day.date,
+        accountId: projection.accountId,
+        accountName: projection.name,
+        balance: day.balance,
+        currency: projection.currency
+      })))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  result.totals = await buildOverallTotals(projections, baseCurrency);
+  result.warnings = recurring.warnings;
+
+  if (result.totals.missingRates.length > 0) {
+    result.warnings.push(
+      `No exchange rate into ${baseCurrency} for ${result.totals.missingRates.join(', ')}; ` +
+      'those accounts are left out of the totals'
+    );
+  }
+
+  logger.info('Cash-flow forecast generated', {
+    userId,
+    days,
+    accounts: accounts.length,
+    entries: entries.length,
+    negativeDays: result.negativeBalanceDays.length
+  });
+
+  return result;
+};
@@ -0,0 +1,546 @@
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ForbiddenError } from '../utils/errors.js';
+import { getBaseCurrency, normalizeCurrency } from './currencyService.js';
+
+/**
+ * Ensure a saving goal exists, is not deleted and belongs to the user
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {string} goalId - Goal ID
+ * @param {string} userId - User ID
+ * @returns {Object} Goal
+ */
+export const assertGoalOwnership = async (tx, goalId, userId) => {
+  const goal = await tx.savingGoal.findUnique({
+    where: { id: goalId }
+  });
+
+  if (!goal || goal.isDeleted) {
+    throw new NotFoundError('Saving goal not found');
+  }
+
+  if (goal.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to use this saving goal");
+  }
+
+  return goal;
+};
+
+// Ledger entries that count towards a goal: manual ones, and those whose
+// transaction has not been deleted
+const COUNTED_CONTRIBUTIONS = {
+  OR: [
+    { transactionId: null },
+    { transaction: { isDeleted: false } }
+  ]
+};
+
+/**
+ * Recompute a goal's progress from its contributions ledger. isAchieved
+ * follows the total, so a withdrawal below the target clears it again.
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {string} goalId - Goal ID
+ * @returns {Object} Updated goal
+ */
+export const recalculateGoalProgress = async (tx, goalId) => {
+  const [goal, totals] = await Promise.all([
+    tx.savingGoal.findUnique({ where: { id: goalId } }),
+    tx.goalContribution.aggregate({
+      where: { goalId, ...COUNTED_CONTRIBUTIONS },
+      _sum: { amount: true }
+    })
+  ]);
+
+  const currentAmount = Number(totals._sum.amount || 0);
+  const isAchieved = currentAmount >= Number(goal.targetAmount);
+
+  const updatedGoal = await tx.savingGoal.update({
+    where: { id: goalId },
+    data: {
+      currentAmount,
+      isAchieved,
+      achievedAt: isAchieved ? goal.achievedAt || new Date() : null
+    }
+  });
+
+  if (isAchieved && !goal.isAchieved) {
+    logger.info('Saving goal achieved', { goalId, userId: goal.userId });
+  }
+
+  return updatedGoal;
+};
+
+/**
+ * Recompute every goal that has money allocated from the given
+ * transactions, after they were deleted, restored or changed
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {string[]} transactionIds - Transaction IDs
+ */
+export const recalculateGoalsForTransactions = async (tx, transactionIds) => {
+  const contributions = await tx.goalContribution.findMany({
+    where: { transactionId: { in: transactionIds } },
+    select: { goalId: true },
+    distinct: ['goalId']
+  });
+
+  for (const { goalId } of contributions) {
+    await recalculateGoalProgress(tx, goalId);
+  }
+};
+
+/**
+ * Check that a transaction can fund (or receive) an allocation. A
+ * transaction can be split across goals, but no more than its amount in
+ * total can be allocated.
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {Object} goal - Goal the allocation is for
+ * @param {string} transactionId - Transaction ID
+ * @param {number|null} amount - Allocated amount; defaults to what is left
+ * @returns {Object} { transaction, amount }
+ */
+const resolveTransactionAllocation = async (tx, goal, transactionId, amount) => {
+  const transaction = await tx.transaction.findUnique({
+    where: { id: transactionId }
+  });
+
+  if (!transaction || transaction.isDeleted || transaction.userId !== goal.userId) {
+    throw new NotFoundError('Transaction not found');
+  }
+
+  if (transaction.currency !== goal.currency) {
+    throw new BadRequestError(`Only transactions in ${goal.currency} can be allocated to this goal`);
+  }
+
+  const allocated = await tx.goalContribution.findMany({
+    where: { transactionId },
+    select: { amount: true }
+  });
+  const allocatedTotal = allocated.reduce((sum, entry) => sum + Math.abs(Number(entry.amount)), 0);
+  const available = Math.abs(Number(transaction.amount)) - allocatedTotal;
+  const allocation = amount === undefined || amount === null ? available : Math.abs(Number(amount));
+
+  if (allocation <= 0 || allocation - available > 0.005) {
+    throw new BadRequestError(
+      `Only ${Math.max(available, 0).toFixed(2)} of this transaction is left to allocate`
+    );
+  }
+
+  return { transaction, amount: allocation };
+};
+
+/**
+ * Check that allocations from a transaction still fit after its amount or
+ * currency changes
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {Object} transaction - Updated transaction
+ */
+export const assertGoalAllocationsFit = async (tx, transaction) => {
+  const allocations = await tx.goalContribution.findMany({
+    where: { transactionId: transaction.id },
+    include: { goal: { select: { currency: true } } }
+  });
+
+  if (allocations.length === 0) {
+    return;
+  }
+
+  if (allocations.some(allocation => allocation.goal.currency !== transaction.currency)) {
+    throw new BadRequestError('This transaction is allocated to a saving goal in another currency');
+  }
+
+  const allocatedTotal = allocations.reduce((sum, allocation) => sum + Math.abs(Number(allocation.amount)), 0);
+  if (allocatedTotal - Math.abs(Number(transaction.amount)) > 0.005) {
+    throw new BadRequestError(
+      `${allocatedTotal.toFixed(2)} of this transaction is allocated to saving goals; the amount cannot be lower`
+    );
+  }
+};
+
+/**
+ * Get all saving goals for a user with pagination
+ */
+export const getGoals = async (userId, options = {}) => {
+  const {
+    page = 1,
+    limit = 10,
+    includeDeleted = false,
+    isAchieved = null
+  } = options;
+
+  const skip = (page - 1) * limit;
+
+  const whereConditions = {
+    userId,
+    ...(includeDeleted ? {} : { isDeleted: false }),
+    ...(isAchieved !== null ? { isAchieved } : {})
+  };
+
+  const [goals, totalCount] = await Promise.all([
+    prisma.savingGoal.findMany({
+      where: whereConditions,
+      skip,
+      take: limit,
+      orderBy: { deadline: 'asc' }
+    }),
+    prisma.savingGoal.count({ where: whereConditions })
+  ]);
+
+  return {
+    goals,
+    pagination: {
+      total: totalCount,
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Get saving goal by ID
+ */
+export const getGoalById = async (id, userId) => {
+  const goal = await prisma.savingGoal.findUnique({
+    where: { id }
+  });
+
+  if (!goal) {
+    throw new NotFoundError('Saving goal not found');
+  }
+
+  if (goal.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to view this saving goal");
+  }
+
+  if (goal.isDeleted) {
+    throw new NotFoundError('Saving goal has been deleted');
+  }
+
+  return goal;
+};
+
+/**
+ * Create a saving goal. Progress starts at zero and only changes through
+ * contributions. The currency defaults to the user's base currency.
+ */
+export const createGoal = async (userId, goalData) => {
+  const { name, description, targetAmount, deadline, currency } = goalData;
+
+  if (new Date(deadline) <= new Date()) {
+    throw new BadRequestError('Deadline must be in the future');
+  }
+
+  const goal = await prisma.savingGoal.create({
+    data: {
+      userId,
+      name,
+      description,
+      targetAmount,
+      deadline: new Date(deadline),
+      currency: currency ? normalizeCurrency(currency) : await getBaseCurrency(userId)
+    }
+  });
+
+  logger.info('Saving goal created successfully', { goalId: goal.id, userId });
+
+  return goal;
+};
+
+/**
+ * Update a saving goal's details. Changing the target re-evaluates
+ * whether the goal is achieved.
+ */
+export const updateGoal = async (id, userId, goalData) => {
+  const existingGoal = await getGoalById(id, userId);
+  const { name, description, targetAmount, deadline, currency } = goalData;
+
+  // Contributions are recorded in the goal's currency, so it is fixed once used
+  if (currency && normalizeCurrency(currency) !== existingGoal.currency) {
+    const contributionCount = await prisma.goalContribution.count({ where: { goalId: id } });
+    if (contributionCount > 0) {
+      throw new BadRequestError('The currency of a goal with contributions cannot be changed');
+    }
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const goal = await tx.savingGoal.update({
+      where: { id },
+      data: {
+        ...(name && { name }),
+        ...(description !== undefined && { description }),
+        ...(targetAmount !== undefined && { targetAmount }),
+        ...(deadline && { deadline: new Date(deadline) }),
+        ...(currency && { currency: normalizeCurrency(currency) })
+      }
+    });
+
+    logger.info('Saving goal updated successfully', { goalId: id, userId });
+
+    return targetAmount !== undefined ? recalculateGoalProgress(tx, id) : goal;
+  });
+};
+
+/**
+ * Soft delete a saving goal. Its contributions are kept for a restore.
+ */
+export const softDeleteGoal = async (id, userId) => {
+  await getGoalById(id, userId);
+
+  return await prisma.savingGoal.update({
+    where: { id },
+    data: { isDeleted: true }
+  });
+};
+
+/**
+ * Restore a soft-deleted saving goal
+ */
+export const restoreGoal = async (id, userId) => {
+  const goal = await prisma.savingGoal.findUnique({
+    where: { id }
+  });
+
+  if (!goal) {
+    throw new NotFoundError('Saving goal not found');
+  }
+
+  if (goal.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to restore this saving goal");
+  }
+
+  if (!goal.isDeleted) {
+    throw new BadRequestError('Saving goal is not deleted');
+  }
+
+  return await prisma.savingGoal.update({
+    where: { id },
+    data: { isDeleted: false }
+  });
+};
+
+/**
+ * Record a ledger entry inside an existing database transaction and
+ * update the goal's progress
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {Object} goal - Goal the money goes to (or comes from)
+ * @param {Object} contributionData - { amount (negative for withdrawals), date, note, transactionId }
+ * @returns {Object} Created contribution
+ */
+export const insertGoalContribution = async (tx, goal, contributionData) => {
+  const { amount, date, note, transactionId = null } = contributionData;
+
+  const contribution = await tx.goalContribution.create({
+    data: {
+      goalId: goal.id,
+      userId: goal.userId,
+      transactionId,
+      amount,
+      date: date ? new Date(date) : new Date(),
+      note
+    }
+  });
+
+  await recalculateGoalProgress(tx, goal.id);
+
+  return contribution;
+};
+
+/**
+ * Add money to a saving goal, or take it out (direction -1). With a
+ * transactionId, all or part of that transaction is allocated to the goal;
+ * the amount then defaults to the part not yet allocated and the date to
+ * the transaction's date.
+ * @returns {Object} { contribution, goal }
+ */
+const recordGoalMovement = async (id, userId, contributionData, direction) => {
+  return prisma.$transaction(async (tx) => {
+    const goal = await assertGoalOwnership(tx, id, userId);
+    const { transactionId, note } = contributionData;
+    let { amount, date } = contributionData;
+
+    if (transactionId) {
+      const allocation = await resolveTransactionAllocation(tx, goal, transactionId, amount);
+      amount = allocation.amount;
+      date = date || allocation.transaction.date;
+    }
+
+    amount = Math.abs(Number(amount));
+
+    if (direction < 0 && amount - Number(goal.currentAmount) > 0.005) {
+      throw new BadRequestError(
+        `Cannot withdraw more than the ${Number(goal.currentAmount).toFixed(2)} saved towards this goal`
+      );
+    }
+
+    const contribution = await insertGoalContribution(tx, goal, {
+      amount: amount * direction,
+      date,
+      note,
+      transactionId
+    });
+
+    logger.info(direction > 0 ? 'Goal contribution recorded' : 'Goal withdrawal recorded', {
+      goalId: id,
+      contributionId: contribution.id,
+      transactionId,
+      userId
+    });
+
+    return {
+      contribution,
+      goal: await tx.savingGoal.findUnique({ where: { id } })
+    };
+  });
+};
+
+/**
+ * Add money to a saving goal
+ * @returns {Object} { contribution, goal }
+ */
+export const addGoalContribution = (id, userId, contributionData) =>
+  recordGoalMovement(id, userId, contributionData, 1);
+
+/**
+ * Take money out of a saving goal
+ * @returns {Object} { contribution, goal }
+ */
+export const addGoalWithdrawal = (id, userId, withdrawalData) =>
+  recordGoalMovement(id, userId, withdrawalData, -1);
+
+/**
+ * Remove an entry from a goal's ledger (e.g. one recorded by mistake)
+ * @returns {Object} Updated goal
+ */
+export const deleteGoalContribution = async (id, contributionId, userId) => {
+  return prisma.$transaction(async (tx) => {
+    await assertGoalOwnership(tx, id, userId);
+
+    const contribution = await tx.goalContribution.findUnique({
+      where: { id: contributionId }
+    });
+
+    if (!contribution || contribution.goalId !== id) {
+      throw new NotFoundError('Contribution not found');
+    }
+
+    await tx.goalContribution.delete({ where: { id: contributionId } });
+
+    logger.info('Goal contribution removed', { goalId: id, contributionId, userId });
+
+    return recalculateGoalProgress(tx, id);
+  });
+};
+
+/**
+ * Get the contribution history of a goal, newest first. Entries whose
+ * transaction was deleted are listed with counted: false.
+ */
+export const getGoalContributions = async (id, userId, page = 1, limit = 10) => {
+  await getGoalById(id, userId);
+
+  const skip = (page - 1) * limit;
+  const where = { goalId: id };
+
+  const [contributions, total] = await Promise.all([
+    prisma.goalContribution.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: [{ date: 'desc' }, { createdAt: 'desc' }],
+      include: {
+        transaction: {
+          select: { id: true, type: true, amount: true, description: true, date: true, isDeleted: true }
+        }
+      }
+    }),
+    prisma.goalContribution.count({ where })
+  ]);
+
+  return {
+    contributions: contributions.map(contribution => ({
+      ...contribution,
+      type: Number(contribution.amount) < 0 ? 'WITHDRAWAL' : 'CONTRIBUTION',
+      counted: !contribution.transaction || !contribution.transaction.isDeleted
+    })),
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Average month length, used to turn date differences into months
+const MS_PER_MONTH = (365.25 / 12) * 24 * 60 * 60 * 1000;
+
+// The contribution rate is averaged over at least this many months, so a
+// single deposit on day one does not project an absurdly early finish
+const MIN_RATE_MONTHS = 1;
+
+export const GOAL_FORECAST_STATUSES = ['ACHIEVED', 'ON_TRACK', 'OFF_TRACK', 'OVERDUE'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Forecast a saving goal: the monthly amount still needed to reach the
+ * target by the deadline, and when the goal will be reached at the rate
+ * contributions have actually come in since it was created.
+ * @returns {Object} Forecast; projectedCompletionDate is null when the
+ * goal is not growing
+ */
+export const getGoalForecast = async (id, userId) => {
+  const goal = await getGoalById(id, userId);
+  const now = new Date();
+
+  const targetAmount = Number(goal.targetAmount);
+  const currentAmount = Number(goal.currentAmount);
+  const remainingAmount = Math.max(targetAmount - currentAmount, 0);
+  const deadline = new Date(goal.deadline);
+  const monthsRemaining = Math.max((deadline - now) / MS_PER_MONTH, 0);
+
+  // Net of withdrawals, over the whole life of the goal
+  const monthsElapsed = Math.max((now - new Date(goal.createdAt)) / MS_PER_MONTH, MIN_RATE_MONTHS);
+  const averageMonthlyContribution = currentAmount / monthsElapsed;
+
+  let projectedCompletionDate = null;
+  if (goal.isAchieved) {
+    projectedCompletionDate = goal.achievedAt;
+  } else if (averageMonthlyContribution > 0) {
+    projectedCompletionDate = new Date(
+      now.getTime() + (remainingAmount / averageMonthlyContribution) * MS_PER_MONTH
+    );
+  }
+
+  let status;
+  if (goal.isAchieved) {
+    status = 'ACHIEVED';
+  } else if (monthsRemaining === 0) {
+    status = 'OVERDUE';
+  } else if (projectedCompletionDate && projectedCompletionDate <= deadline) {
+    status = 'ON_TRACK';
+  } else {
+    status = 'OFF_TRACK';
+  }
+
+  // Less than a month left means the rest is needed this month
+  const requiredMonthlyAmount = remainingAmount === 0 || monthsRemaining === 0
+    ? 0
+    : remainingAmount / Math.max(monthsRemaining, 1);
+
+  return {
+    goalId: goal.id,
+    currency: goal.currency,
+    targetAmount,
+    currentAmount,
+    remainingAmount: roundMoney(remainingAmount),
+    progressPercent: targetAmount > 0 ? roundMoney(Math.min(currentAmount / targetAmount, 1) * 100) : 0,
+    deadline: goal.deadline,
+    monthsRemaining: Math.round(monthsRemaining * 10) / 10,
+    requiredMonthlyAmount: roundMoney(requiredMonthlyAmount),
+    averageMonthlyContribution: roundMoney(averageMonthlyContribution),
+    projectedCompletionDate,
+    status,
+    isOffTrack: status === 'OFF_TRACK' || status === 'OVERDUE'
+  };
+};
@@ -0,0 +1,319 @@
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { BadRequestError, ConflictError } from '../utils/errors.js';
+import { parseCsvStatement } from '../utils/csvParser.js';
+import { parseOfxStatement } from '../utils/ofxParser.js';
+import { parseQifStatement } from '../utils/qifParser.js';
+import { normalizeDescription } from '../utils/parseHelpers.js';
+import { assertAccountOwnership } from './accountService.js';
+import { insertTransaction } from './transactionService.js';
+import { refreshBudgetAlerts } from './budgetService.js';
+import { getActiveCategorizationRules, evaluateCategorizationRules } from './categorizationRuleService.js';
+import { getPayeeMatchers, matchPayee } from './payeeService.js';
+import { invalidateCategoryModel } from './categorySuggestionService.js';
+
+export const IMPORT_FORMATS = ['csv', 'ofx', 'qfx', 'qif'];
+
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_TIMEOUT_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a statement file into normalized rows
+ * @param {string} format - Statement format
+ * @param {Buffer|string} content - File contents
+ * @param {Object} mapping - Format-specific options (column mapping for CSV)
+ * @param {string} accountId - Target account, which scopes QIF record IDs
+ * @returns {Object[]} Normalized statement rows
+ */
+const parseStatement = (format, content, mapping, accountId) => {
+  switch (format) {
+    case 'csv':
+      return parseCsvStatement(content, mapping);
+    case 'ofx':
+    case 'qfx':
+      return parseOfxStatement(content);
+    case 'qif':
+      return parseQifStatement(content, { ...mapping, accountKey: accountId });
+    default:
+      throw new BadRequestError(`Unsupported import format: ${format}. Supported formats: ${IMPORT_FORMATS.join(', ')}`);
+  }
+};
+
+/**
+ * Jaccard similarity of the word sets of two descriptions
+ */
+const descriptionSimilarity = (a, b) => {
+  const wordsA = new Set(normalizeDescription(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeDescription(b).split(' ').filter(Boolean));
+
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * Flag rows whose statement ID (OFX FITID or derived QIF ID) was already
+ * imported, including into transactions that were deleted since. These are
+ * exact duplicates and are never imported again.
+ */
+const flagExactDuplicates = async (userId, rows) => {
+  const externalIds = rows.map(row => row.externalId).filter(Boolean);
+
+  if (externalIds.length === 0) {
+    return;
+  }
+
+  const existing = await prisma.transaction.findMany({
+    where: { userId, externalId: { in: externalIds } },
+    select: { id: true, externalId: true }
+  });
+  const existingIds = new Map(existing.map(transaction => [transaction.externalId, transaction.id]));
+  const seen = new Set();
+
+  rows.forEach(row => {
+    if (row.status !== 'new' || !row.externalId) {
+      return;
+    }
+
+    // Overlapping statements in one file repeat the same FITID
+    if (existingIds.has(row.externalId) || seen.has(row.externalId)) {
+      row.status = 'duplicate';
+      row.duplicateOf = existingIds.get(row.externalId) || null;
+      row.duplicateConfidence = 'exact';
+    }
+
+    seen.add(row.externalId);
+  });
+};
+
+/**
+ * Flag rows that probably duplicate existing transactions.
+ * A row matches an existing transaction with the same amount dated within a
+ * day of it; same-day matches with similar descriptions are high confidence.
+ * Each existing transaction can be matched by one row only, so two genuine
+ * identical purchases on the same day are not both hidden.
+ */
+const flagDuplicates = async (userId, accountId, rows) => {
+  rows.forEach(row => {
+    row.status = row.errors.length > 0 ? 'invalid' : 'new';
+  });
+
+  await flagExactDuplicates(userId, rows);
+
+  const validRows = rows.filter(row => row.status === 'new');
+
+  if (validRows.length === 0) {
+    return;
+  }
+
+  const times = validRows.map(row => row.date.getTime());
+  const existing = await prisma.transaction.findMany({
+    where: {
+      userId,
+      isDeleted: false,
+      ...(accountId && { accountId }),
+      date: {
+        gte: new Date(Math.min(...times) - DAY_MS),
+        lte: new Date(Math.max(...times) + DAY_MS)
+      }
+    },
+    select: { id: true, date: true, amount: true, description: true, externalId: true }
+  });
+
+  const matched = new Set();
+  const toCents = (amount) => Math.round(Math.abs(Number(amount)) * 100);
+
+  validRows.forEach(row => {
+    let best = null;
+
+    existing.forEach(transaction => {
+      if (matched.has(transaction.id) || toCents(transaction.amount) !== toCents(row.amount)) {
+        return;
+      }
+
+      // Both sides carry statement IDs and they differ, so these are distinct
+      if (row.externalId && transaction.externalId) {
+        return;
+      }
+
+      const dayDistance = Math.abs(transaction.date.getTime() - row.date.getTime());
+      if (dayDistance > DAY_MS) {
+        return;
+      }
+
+      const similarity = descriptionSimilarity(transaction.description, row.description);
+      const score = similarity + (dayDistance < DAY_MS ? 1 : 0);
+
+      if (!best || score > best.score) {
+        best = { transaction, similarity, sameDay: dayDistance < DAY_MS, score };
+      }
+    });
+
+    if (best) {
+      matched.add(best.transaction.id);
+      row.status = 'duplicate';
+      row.duplicateOf = best.transaction.id;
+      row.duplicateConfidence = best.sameDay && best.similarity >= 0.5 ? 'high' : 'medium';
+    }
+  });
+};
+
+/**
+ * Run the user's categorization rules over the parsed rows, so the preview
+ * shows the category, tags and payee each row will be imported with. Rows
+ * no rule gives a payee get the one their description resolves to.
+ */
+const categorizeRows = async (userId, accountId, rows) => {
+  const [rules, payeeMatchers] = await Promise.all([
+    getActiveCategorizationRules(prisma, userId),
+    getPayeeMatchers(prisma, userId)
+  ]);
+
+  rows
+    .filter(row => row.status !== 'invalid')
+    .forEach(row => {
+      const match = evaluateCategorizationRules(rules, { ...row, accountId });
+
+      if (match.ruleIds.length > 0) {
+        row.categoryId = match.categoryId;
+        row.tagIds = match.tagIds;
+        row.matchedRuleIds = match.ruleIds;
+      }
+
+      row.payeeId = match.payeeId || (row.type === 'TRANSFER' ? null : matchPayee(payeeMatchers, row.description));
+    });
+};
+
+/**
+ * Build transaction data for an imported row
+ */
+const buildImportedTransaction = (userId, accountId, row) => ({
+  userId,
+  accountId: accountId || null,
+  type: row.type,
+  amount: row.amount,
+  description: row.description,
+  notes: row.notes,
+  date: row.date,
+  externalId: row.externalId || null,
+  ...(row.categoryId && { categoryId: row.categoryId }),
+  ...(row.tagIds && row.tagIds.length > 0 && { tagIds: row.tagIds }),
+  payeeId: row.payeeId || null
+});
+
+/**
+ * Create the selected rows and an audit entry in one database transaction
+ */
+const importRows = (userId, { format, accountId, rows, rowsToImport }) => {
+  return prisma.$transaction(async (tx) => {
+    for (const row of rowsToImport) {
+      const transaction = await insertTransaction(tx, buildImportedTransaction(userId, accountId, row));
+      row.transactionId = transaction.id;
+    }
+
+    await tx.auditLog.create({
+      data: {
+        userId,
+        action: 'TRANSACTIONS_IMPORTED',
+        details: {
+          format,
+          accountId,
+          imported: rowsToImport.length,
+          skipped: rows.length - rowsToImport.length
+        }
+      }
+    });
+  }, { timeout: IMPORT_TIMEOUT_MS });
+};
+
+/**
+ * Summarize row statuses
+ */
+const summarizeRows = (rows) => ({
+  total: rows.length,
+  new: rows.filter(row => row.status === 'new').length,
+  duplicates: rows.filter(row => row.status === 'duplicate').length,
+  invalid: rows.filter(row => row.status === 'invalid').length,
+  imported: rows.filter(row => row.transactionId).length
+});
+
+/**
+ * Import a statement file.
+ * In dry-run mode nothing is written and the parsed rows are returned with
+ * their status (new, duplicate or invalid) and the category, tags and payee
+ * the user's categorization rules assign. Otherwise all new rows (and
+ * fuzzy duplicates, when includeDuplicates is set) are created in a single
+ * database transaction, so a failure imports nothing.
+ * @param {string} userId - User ID
+ * @param {Object} importOptions - { format, content, mapping, accountId, dryRun, includeDuplicates }
+ * @returns {Object} { dryRun, summary, rows }
+ */
+export const importTransactions = async (userId, importOptions) => {
+  const {
+    format,
+    content,
+    mapping = {},
+    accountId = null,
+    dryRun = true,
+    includeDuplicates = false
+  } = importOptions;
+
+  logger.info('Importing transactions', { userId, format, accountId, dryRun });
+
+  if (accountId) {
+    await assertAccountOwnership(prisma, accountId, userId);
+  }
+
+  let rows;
+  try {
+    rows = parseStatement(format, content, mapping, accountId);
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      throw error;
+    }
+    throw new BadRequestError(`Could not parse ${format} file: ${error.message}`);
+  }
+
+  if (rows.length === 0) {
+    throw new BadRequestError('The file does not contain any transactions');
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new BadRequestError(`Imports are limited to ${MAX_IMPORT_ROWS} rows per file`);
+  }
+
+  await flagDuplicates(userId, accountId, rows);
+  await categorizeRows(userId, accountId, rows);
+
+  if (dryRun) {
+    return { dryRun: true, summary: summarizeRows(rows), rows };
+  }
+
+  const rowsToImport = rows.filter(row =>
+    row.status === 'new' ||
+    (includeDuplicates && row.status === 'duplicate' && row.duplicateConfidence !== 'exact')
+  );
+
+  try {
+    await importRows(userId, { format, accountId, rows, rowsToImport });
+  } catch (error) {
+    // Another import of the same statement committed first
+    if (error.code === 'P2002') {
+      throw new ConflictError('Some of these transactions were imported concurrently; preview the import again');
+    }
+    throw error;
+  }
+
+  invalidateCategoryModel(userId);
+  await refreshBudgetAlerts(rowsToImport.map(row => ({ userId, type: row.type, date: row.date })));
+
+  const summary = summarizeRows(rows);
+
+  logger.info('Transactions imported successfully', { userId, format, ...summary });
+
+  return { dryRun: false, summary, rows };
+};
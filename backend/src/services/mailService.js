@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Mail transports, selected with MAIL_TRANSPORT:
+ * - smtp: sends through SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ * - file: writes each message as an .eml file to MAIL_FILE_DIR (default ./mail)
+ * - console: logs the message; the default, so local runs never send real email
+ * Each factory returns { name, send(message) } where send resolves to { messageId }.
+ */
+const TRANSPORT_FACTORIES = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  file: () => {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || 'mail');
+    // Builds the raw MIME message without sending it anywhere
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      name: 'file',
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[<>@]/g, '')}.eml`;
+
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(path.join(directory, filename), info.message);
+
+        logger.info('Email written to file', { to: message.to, file: path.join(directory, filename) });
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      name: 'console',
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+
+        logger.info('Email (console transport)', {
+          to: message.to,
+          subject: message.subject,
+          text: message.text
+        });
+        return { messageId: info.messageId };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Add a mail transport, or replace a built-in one
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Function} factory - Returns { name, send(message) }
+ */
+export const registerMailTransport = (name, factory) => {
+  TRANSPORT_FACTORIES[name] = factory;
+
+  if (activeTransport && activeTransport.name === name) {
+    activeTransport = null;
+  }
+};
+
+/**
+ * Get the configured transport, created on first use
+ * @returns {Object} { name, send }
+ */
+export const getMailTransport = () => {
+  if (!activeTransport) {
+    const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    const factory = TRANSPORT_FACTORIES[name];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown mail transport "${name}". Must be one of: ${Object.keys(TRANSPORT_FACTORIES).join(', ')}`
+      );
+    }
+
+    activeTransport = factory();
+    logger.info('Mail transport initialized', { transport: name });
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, html, text }
+ * @returns {Object} { messageId, transport }
+ */
+export const sendMail = async (message) => {
+  const transport = getMailTransport();
+
+  const { messageId } = await transport.send({
+    from: process.env.MAIL_FROM || 'Finance Manager <no-reply@localhost>',
+    ...message
+  });
+
+  return { messageId, transport: transport.name };
+};
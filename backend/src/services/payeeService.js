@@ -0,0 +1,431 @@
+import { RE2 } from 're2-wasm';
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import { recordTransactionVersions } from './transactionHistoryService.js';
+
+/**
+ * Payees (merchants) that bank descriptions resolve to.
+ *
+ * Descriptions and alias patterns are normalized the same way: lower case,
+ * without diacritics, with every run of punctuation and spaces turned into a
+ * single space, so "AMZN MKTP US*2K4" becomes "amzn mktp us 2k4". An alias
+ * matches when its words appear as whole words in the description; `*`
+ * inside an alias matches any letters or digits, e.g. "amzn mktp*". The
+ * payee name itself is an alias too. When several payees match, the one
+ * with the longest alias wins, being the most specific. Aliases run against
+ * every description created or imported, so they are compiled with RE2,
+ * which matches in linear time however the wildcards are placed.
+ */
+
+export const MAX_PAYEE_ALIASES = 50;
+export const MAX_ALIAS_WILDCARDS = 5;
+export const MAX_MERGE_SOURCES = 20;
+
+const MERGE_TIMEOUT_MS = 60000;
+
+// Payee as embedded in transactions and rules
+export const PAYEE_SUMMARY = { select: { id: true, name: true, isDeleted: true } };
+
+/**
+ * Normalize a description or alias for matching. Aliases keep their `*`
+ * wildcards; anywhere else `*` is just punctuation.
+ * @param {string} text - Description or alias
+ * @param {boolean} keepWildcards - Keep `*` characters
+ * @returns {string} Normalized text
+ */
+export const normalizePayeeText = (text, keepWildcards = false) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(keepWildcards ? /[^a-z0-9*]+/g : /[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Compile an alias into a whole-word pattern, or null if it has fewer than
+ * two letters or digits to match on
+ */
+const compileAlias = (alias) => {
+  const normalized = normalizePayeeText(alias, true);
+  const specificity = normalized.replace(/[^a-z0-9]/g, '').length;
+
+  if (specificity < 2) {
+    return null;
+  }
+
+  const body = normalized
+    .split(' ')
+    .map(word => word.split('*').map(part => part.replace(/[^a-z0-9]/g, '')).join('[a-z0-9]*'))
+    .join(' ');
+
+  return { pattern: new RE2(`(?:^| )${body}(?: |$)`, 'u'), specificity };
+};
+
+/**
+ * Prepare payees for matching descriptions
+ * @param {Array} payees - Payees with name and aliases
+ * @returns {Array} [{ payeeId, pattern, specificity }], most specific first
+ */
+export const compilePayeeMatchers = (payees) => payees
+  .flatMap(payee => [payee.name, ...payee.aliases]
+    .map(compileAlias)
+    .filter(Boolean)
+    .map(matcher => ({ payeeId: payee.id, ...matcher })))
+  .sort((a, b) => b.specificity - a.specificity);
+
+/**
+ * Load and compile the user's active payees
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {string} userId - User ID
+ */
+export const getPayeeMatchers = async (tx, userId) => {
+  const payees = await tx.payee.findMany({
+    where: { userId, isDeleted: false },
+    select: { id: true, name: true, aliases: true },
+    orderBy: { name: 'asc' }
+  });
+
+  return compilePayeeMatchers(payees);
+};
+
+/**
+ * The payee a description resolves to
+ * @param {Array} matchers - From getPayeeMatchers
+ * @param {string} description - Bank description
+ * @returns {string|null} Payee ID
+ */
+export const matchPayee = (matchers, description) => {
+  const text = normalizePayeeText(description);
+  if (!text) {
+    return null;
+  }
+
+  const match = matchers.find(matcher => matcher.pattern.test(text));
+  return match ? match.payeeId : null;
+};
+
+/**
+ * Resolve a description to one of the user's payees
+ * @returns {string|null} Payee ID
+ */
+export const resolvePayeeId = async (tx, userId, description) => {
+  if (!normalizePayeeText(description)) {
+    return null;
+  }
+
+  return matchPayee(await getPayeeMatchers(tx, userId), description);
+};
+
+/**
+ * Check that a payee exists and belongs to the user
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {string} payeeId - Payee ID
+ * @param {string} userId - User ID
+ * @returns {Object} The payee
+ */
+export const assertPayeeOwnership = async (tx, payeeId, userId) => {
+  const payee = await tx.payee.findUnique({
+    where: { id: payeeId }
+  });
+
+  if (!payee || payee.isDeleted) {
+    throw new NotFoundError('Payee not found');
+  }
+
+  if (payee.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to use this payee");
+  }
+
+  return payee;
+};
+
+/**
+ * Payee names are unique per user regardless of case
+ */
+const assertPayeeNameAvailable = async (userId, name, excludeId = null) => {
+  const existing = await prisma.payee.findFirst({
+    where: {
+      userId,
+      name: { equals: name, mode: 'insensitive' },
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  });
+
+  if (existing) {
+    throw new ConflictError(existing.isDeleted
+      ? `A deleted payee named "${existing.name}" exists; restore it instead`
+      : `A payee named "${existing.name}" already exists`);
+  }
+};
+
+/**
+ * Trimmed aliases without blanks or case-insensitive duplicates; each must
+ * have something to match on
+ */
+const cleanAliases = (aliases) => {
+  const seen = new Set();
+  const cleaned = [];
+
+  for (const alias of aliases.map(value => String(value).trim()).filter(Boolean)) {
+    if (!compileAlias(alias)) {
+      throw new BadRequestError(`Alias "${alias}" needs at least two letters or digits`);
+    }
+
+    if (alias.split('*').length - 1 > MAX_ALIAS_WILDCARDS) {
+      throw new BadRequestError(`Alias "${alias}" can have at most ${MAX_ALIAS_WILDCARDS} * wildcards`);
+    }
+
+    const key = normalizePayeeText(alias, true);
+    if (!seen.has(key)) {
+      seen.add(key);
+      cleaned.push(alias);
+    }
+  }
+
+  if (cleaned.length > MAX_PAYEE_ALIASES) {
+    throw new BadRequestError(`A payee can have at most ${MAX_PAYEE_ALIASES} aliases`);
+  }
+
+  return cleaned;
+};
+
+const cleanName = (name) => {
+  const trimmed = String(name).trim();
+
+  if (!trimmed) {
+    throw new BadRequestError('Payee name cannot be blank');
+  }
+
+  return trimmed;
+};
+
+/**
+ * Get all payees for a user with pagination, alphabetically, with the
+ * number of transactions of each
+ */
+export const getPayees = async (userId, options = {}) => {
+  const {
+    page = 1,
+    limit = 50,
+    includeDeleted = false,
+    search = null
+  } = options;
+
+  const skip = (page - 1) * limit;
+
+  const whereConditions = {
+    userId,
+    ...(includeDeleted ? {} : { isDeleted: false }),
+    ...(search && {
+      OR: [
+        { name: { contains: search, mode: 'insensitive' } },
+        { aliases: { has: search } }
+      ]
+    })
+  };
+
+  const [payees, totalCount] = await Promise.all([
+    prisma.payee.findMany({
+      where: whereConditions,
+      skip,
+      take: limit,
+      orderBy: { name: 'asc' },
+      include: {
+        _count: { select: { transactions: { where: { isDeleted: false } } } }
+      }
+    }),
+    prisma.payee.count({ where: whereConditions })
+  ]);
+
+  return {
+    payees: payees.map(({ _count, ...payee }) => ({ ...payee, transactionCount: _count.transactions })),
+    pagination: {
+      total: totalCount,
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Get payee by ID
+ */
+export const getPayeeById = async (id, userId) => {
+  const payee = await prisma.payee.findUnique({
+    where: { id }
+  });
+
+  if (!payee) {
+    throw new NotFoundError('Payee not found');
+  }
+
+  if (payee.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to view this payee");
+  }
+
+  if (payee.isDeleted) {
+    throw new NotFoundError('Payee has been deleted');
+  }
+
+  return payee;
+};
+
+/**
+ * Create a new payee. Existing transactions are not re-resolved; the aliases
+ * apply to transactions created or imported from now on.
+ */
+export const createPayee = async (userId, payeeData) => {
+  const name = cleanName(payeeData.name);
+  const aliases = cleanAliases(payeeData.aliases || []);
+
+  await assertPayeeNameAvailable(userId, name);
+
+  const payee = await prisma.payee.create({
+    data: { userId, name, aliases }
+  });
+
+  logger.info('Payee created successfully', { payeeId: payee.id, userId });
+
+  return payee;
+};
+
+/**
+ * Update a payee; aliases are replaced as a whole
+ */
+export const updatePayee = async (id, userId, payeeData) => {
+  await getPayeeById(id, userId);
+
+  const data = {};
+
+  if (payeeData.name !== undefined) {
+    data.name = cleanName(payeeData.name);
+    await assertPayeeNameAvailable(userId, data.name, id);
+  }
+
+  if (payeeData.aliases !== undefined) {
+    data.aliases = cleanAliases(payeeData.aliases);
+  }
+
+  const payee = await prisma.payee.update({
+    where: { id },
+    data
+  });
+
+  logger.info('Payee updated successfully', { payeeId: id, userId });
+
+  return payee;
+};
+
+/**
+ * Soft delete a payee. Its transactions keep it, so restoring it needs no
+ * re-resolution, but it stops matching new descriptions.
+ */
+export const softDeletePayee = async (id, userId) => {
+  await getPayeeById(id, userId);
+
+  return await prisma.payee.update({
+    where: { id },
+    data: { isDeleted: true }
+  });
+};
+
+/**
+ * Restore a soft-deleted payee
+ */
+export const restorePayee = async (id, userId) => {
+  const payee = await prisma.payee.findUnique({
+    where: { id }
+  });
+
+  if (!payee) {
+    throw new NotFoundError('Payee not found');
+  }
+
+  if (payee.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to restore this payee");
+  }
+
+  if (!payee.isDeleted) {
+    throw new BadRequestError('Payee is not deleted');
+  }
+
+  return await prisma.payee.update({
+    where: { id },
+    data: { isDeleted: false }
+  });
+};
+
+/**
+ * Merge other payees into one. Their transactions and categorization rules
+ * move to the target, their names and aliases become aliases of the target
+ * so the same descriptions keep resolving, and they are deleted.
+ * @param {string} id - Target payee ID
+ * @param {string} userId - User ID
+ * @param {Array} sourceIds - Payees merged into the target (deleted ones included)
+ * @returns {Object} { payee, mergedPayees, movedTransactions, movedRules }
+ */
+export const mergePayees = async (id, userId, sourceIds) => {
+  const target = await getPayeeById(id, userId);
+  const ids = [...new Set(sourceIds)].filter(sourceId => sourceId !== id);
+
+  if (ids.length === 0) {
+    throw new BadRequestError('Provide at least one other payee to merge');
+  }
+
+  const sources = await prisma.payee.findMany({
+    where: { id: { in: ids }, userId }
+  });
+
+  if (sources.length !== ids.length) {
+    throw new NotFoundError('Payee not found');
+  }
+
+  const aliases = cleanAliases([
+    ...target.aliases,
+    ...sources.flatMap(source => [source.name, ...source.aliases])
+  ].filter(alias => compileAlias(alias) &&
+    normalizePayeeText(alias, true) !== normalizePayeeText(target.name, true)));
+
+  const result = await prisma.$transaction(async (tx) => {
+    const transactions = await tx.transaction.findMany({
+      where: { payeeId: { in: ids } },
+      select: { id: true }
+    });
+    const transactionIds = transactions.map(transaction => transaction.id);
+
+    await tx.transaction.updateMany({
+      where: { id: { in: transactionIds } },
+      data: { payeeId: id }
+    });
+    await recordTransactionVersions(tx, transactionIds, 'UPDATE', userId);
+
+    const { count: movedRules } = await tx.categorizationRule.updateMany({
+      where: { payeeId: { in: ids } },
+      data: { payeeId: id }
+    });
+
+    await tx.payee.deleteMany({ where: { id: { in: ids } } });
+
+    const payee = await tx.payee.update({
+      where: { id },
+      data: { aliases }
+    });
+
+    return { payee, movedTransactions: transactionIds.length, movedRules };
+  }, { timeout: MERGE_TIMEOUT_MS });
+
+  logger.info('Payees merged successfully', {
+    payeeId: id,
+    mergedPayeeIds: ids,
+    movedTransactions: result.movedTransactions,
+    userId
+  });
+
+  return {
+    payee: result.payee,
+    mergedPayees: sources.map(source => ({ id: source.id, name: source.name })),
+    movedTransactions: result.movedTransactions,
+    movedRules: result.movedRules
+  };
+};
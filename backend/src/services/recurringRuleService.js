@@ -0,0 +1,417 @@
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ForbiddenError } from '../utils/errors.js';
+import {
+  getFirstOccurrence,
+  getNextOccurrence,
+  isRecurrenceFinished,
+  getUpcomingOccurrences
+} from '../utils/recurrence.js';
+import { assertAccountOwnership } from './accountService.js';
+import { insertTransaction } from './transactionService.js';
+import { refreshBudgetAlerts } from './budgetService.js';
+
+// Upper bound on occurrences generated for one rule in a single run, so a
+// long-dormant daily rule cannot monopolize the scheduler
+const MAX_OCCURRENCES_PER_RUN = 500;
+
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'dayOfMonth', 'startDate', 'endDate', 'maxOccurrences'];
+
+/**
+ * Validate the accounts referenced by a rule
+ */
+const validateRuleAccounts = async (userId, rule) => {
+  if (rule.type === 'TRANSFER') {
+    if (!rule.accountId || !rule.toAccountId) {
+      throw new BadRequestError('Recurring transfers require both accountId and toAccountId');
+    }
+
+    if (rule.accountId === rule.toAccountId) {
+      throw new BadRequestError('Source and destination accounts must be different');
+    }
+  }
+
+  if (rule.accountId) {
+    await assertAccountOwnership(prisma, rule.accountId, userId);
+  }
+
+  if (rule.toAccountId) {
+    await assertAccountOwnership(prisma, rule.toAccountId, userId);
+  }
+};
+
+/**
+ * Compute the next occurrence of a rule that has not been generated yet
+ * @param {Object} rule - Recurring rule
+ * @param {Date} notBefore - Optional date; earlier occurrences are skipped
+ */
+const computeNextRunDate = (rule, notBefore = null) => {
+  let next = getFirstOccurrence(rule);
+
+  if (rule.lastRunDate) {
+    const lastRun = new Date(rule.lastRunDate);
+    while (next <= lastRun) {
+      next = getNextOccurrence(rule, next);
+    }
+  }
+
+  if (notBefore) {
+    while (next < notBefore) {
+      next = getNextOccurrence(rule, next);
+    }
+  }
+
+  return isRecurrenceFinished(rule, next) ? null : next;
+};
+
+/**
+ * Get all recurring rules for a user with pagination
+ */
+export const getRecurringRules = async (userId, options = {}) => {
+  const {
+    page = 1,
+    limit = 10,
+    includeDeleted = false,
+    isActive = null
+  } = options;
+
+  const skip = (page - 1) * limit;
+
+  const whereConditions = {
+    userId,
+    ...(includeDeleted ? {} : { isDeleted: false }),
+    ...(isActive !== null ? { isActive } : {})
+  };
+
+  const [rules, totalCount] = await Promise.all([
+    prisma.recurringRule.findMany({
+      where: whereConditions,
+      skip,
+      take: limit,
+      orderBy: { nextRunDate: 'asc' }
+    }),
+    prisma.recurringRule.count({ where: whereConditions })
+  ]);
+
+  return {
+    rules,
+    pagination: {
+      total: totalCount,
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Get recurring rule by ID
+ */
+export const getRecurringRuleById = async (id, userId) => {
+  const rule = await prisma.recurringRule.findUnique({
+    where: { id }
+  });
+
+  if (!rule) {
+    throw new NotFoundError('Recurring rule not found');
+  }
+
+  if (rule.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to access this recurring rule");
+  }
+
+  if (rule.isDeleted) {
+    throw new NotFoundError('Recurring rule has been deleted');
+  }
+
+  return rule;
+};
+
+/**
+ * Create a new recurring rule
+ */
+export const createRecurringRule = async (userId, ruleData) => {
+  const rule = {
+    ...ruleData,
+    interval: ruleData.interval || 1,
+    categoryIds: ruleData.categoryIds || []
+  };
+
+  if (rule.endDate && new Date(rule.endDate) < new Date(rule.startDate)) {
+    throw new BadRequestError('End date must be after start date');
+  }
+
+  await validateRuleAccounts(userId, rule);
+
+  const nextRunDate = computeNextRunDate({ ...rule, occurrenceCount: 0 });
+
+  const createdRule = await prisma.recurringRule.create({
+    data: {
+      ...rule,
+      userId,
+      nextRunDate,
+      isActive: nextRunDate !== null
+    }
+  });
+
+  logger.info('Recurring rule created successfully', {
+    recurringRuleId: createdRule.id,
+    userId,
+    nextRunDate
+  });
+
+  return createdRule;
+};
+
+/**
+ * Update a recurring rule.
+ * Changing the schedule recomputes the next run date; occurrences that
+ * were already generated are never generated again.
+ */
+export const updateRecurringRule = async (id, userId, ruleData) => {
+  const existingRule = await getRecurringRuleById(id, userId);
+  const merged = { ...existingRule, ...ruleData };
+
+  if (merged.endDate && new Date(merged.endDate) < new Date(merged.startDate)) {
+    throw new BadRequestError('End date must be after start date');
+  }
+
+  if (ruleData.type || ruleData.accountId || ruleData.toAccountId) {
+    await validateRuleAccounts(userId, merged);
+  }
+
+  const scheduleChanged = SCHEDULE_FIELDS.some(field => ruleData[field] !== undefined);
+  const resumed = ruleData.isActive === true && !existingRule.isActive;
+
+  const data = { ...ruleData };
+  if (scheduleChanged || resumed) {
+    // Occurrences that fell due while a rule was paused are skipped, not caught up
+    data.nextRunDate = computeNextRunDate(merged, resumed ? new Date() : null);
+
+    if (data.nextRunDate === null) {
+      data.isActive = false;
+    }
+  }
+
+  const updatedRule = await prisma.recurringRule.update({
+    where: { id },
+    data
+  });
+
+  logger.info('Recurring rule updated successfully', { recurringRuleId: id, userId });
+
+  return updatedRule;
+};
+
+/**
+ * Soft delete a recurring rule. Transactions it already created are kept.
+ */
+export const softDeleteRecurringRule = async (id, userId) => {
+  await getRecurringRuleById(id, userId);
+
+  return await prisma.recurringRule.update({
+    where: { id },
+    data: { isDeleted: true, isActive: false }
+  });
+};
+
+/**
+ * Restore a soft-deleted recurring rule (it stays paused until resumed)
+ */
+export const restoreRecurringRule = async (id, userId) => {
+  const rule = await prisma.recurringRule.findUnique({
+    where: { id }
+  });
+
+  if (!rule) {
+    throw new NotFoundError('Recurring rule not found');
+  }
+
+  if (rule.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to restore this recurring rule");
+  }
+
+  if (!rule.isDeleted) {
+    throw new BadRequestError('Recurring rule is not deleted');
+  }
+
+  return await prisma.recurringRule.update({
+    where: { id },
+    data: { isDeleted: false }
+  });
+};
+
+/**
+ * Preview the next occurrences of a rule
+ */
+export const getUpcomingRuleOccurrences = async (id, userId, count = 5) => {
+  const rule = await getRecurringRuleById(id, userId);
+
+  if (!rule.isActive) {
+    return [];
+  }
+
+  return getUpcomingOccurrences(rule, count);
+};
+
+/**
+ * Get the transactions generated by a rule
+ */
+export const getRuleTransactions = async (id, userId, page = 1, limit = 10) => {
+  await getRecurringRuleById(id, userId);
+
+  const skip = (page - 1) * limit;
+  const where = { recurringRuleId: id, isDeleted: false };
+
+  const [transactions, total] = await Promise.all([
+    prisma.transaction.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { date: 'desc' }
+    }),
+    prisma.transaction.count({ where })
+  ]);
+
+  return {
+    transactions,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Build the transaction data for one occurrence of a rule
+ */
+const buildOccurrenceTransaction = (rule, occurrenceDate) => ({
+  userId: rule.userId,
+  type: rule.type,
+  amount: rule.amount,
+  description: rule.description,
+  notes: rule.notes,
+  date: occurrenceDate,
+  accountId: rule.accountId,
+  ...(rule.toAccountId && { toAccountId: rule.toAccountId }),
+  recurringRuleId: rule.id,
+  categories: {
+    connect: rule.categoryIds.map(categoryId => ({ id: categoryId }))
+  }
+});
+
+/**
+ * Generate the next due occurrence of a rule inside one database transaction.
+ * The occurrence row is unique per (rule, date), so if two schedulers race
+ * only one of them commits.
+ * @returns {Object|null} Created transaction, or null if nothing was due
+ */
+const materializeNextOccurrence = async (ruleId, now) => {
+  return prisma.$transaction(async (tx) => {
+    const rule = await tx.recurringRule.findUnique({
+      where: { id: ruleId }
+    });
+
+    if (!rule || !rule.isActive || rule.isDeleted || !rule.nextRunDate || rule.nextRunDate > now) {
+      return null;
+    }
+
+    const occurrenceDate = rule.nextRunDate;
+
+    if (isRecurrenceFinished(rule, occurrenceDate)) {
+      await tx.recurringRule.update({
+        where: { id: rule.id },
+        data: { nextRunDate: null, isActive: false }
+      });
+      return null;
+    }
+
+    const occurrence = await tx.recurringOccurrence.create({
+      data: {
+        recurringRuleId: rule.id,
+        occurrenceDate
+      }
+    });
+
+    // Generated by the scheduler, so the history shows no user as the author
+    const transaction = await insertTransaction(tx, buildOccurrenceTransaction(rule, occurrenceDate), {
+      changedBy: null
+    });
+
+    await tx.recurringOccurrence.update({
+      where: { id: occurrence.id },
+      data: { transactionId: transaction.id }
+    });
+
+    const occurrenceCount = rule.occurrenceCount + 1;
+    const next = getNextOccurrence(rule, occurrenceDate);
+    const finished = isRecurrenceFinished(rule, next, occurrenceCount);
+
+    await tx.recurringRule.update({
+      where: { id: rule.id },
+      data: {
+        occurrenceCount,
+        lastRunDate: occurrenceDate,
+        nextRunDate: finished ? null : next,
+        ...(finished && { isActive: false })
+      }
+    });
+
+    return transaction;
+  });
+};
+
+/**
+ * Generate every due occurrence of every active rule, catching up on any
+ * occurrences missed while the server was down
+ * @param {Date} now - Generate occurrences due up to this date
+ * @returns {Object} Number of rules processed and transactions created
+ */
+export const materializeDueOccurrences = async (now = new Date()) => {
+  const dueRules = await prisma.recurringRule.findMany({
+    where: {
+      isActive: true,
+      isDeleted: false,
+      nextRunDate: { lte: now }
+    },
+    select: { id: true }
+  });
+
+  let transactionsCreated = 0;
+
+  for (const { id } of dueRules) {
+    try {
+      for (let i = 0; i < MAX_OCCURRENCES_PER_RUN; i++) {
+        const transaction = await materializeNextOccurrence(id, now);
+        if (!transaction) {
+          break;
+        }
+        transactionsCreated += 1;
+        await refreshBudgetAlerts([transaction]);
+      }
+    } catch (error) {
+      if (error.code === 'P2002') {
+        // Another scheduler instance generated this occurrence first
+        logger.debug('Recurring occurrence already generated', { recurringRuleId: id });
+        continue;
+      }
+
+      logger.error('Failed to generate recurring transaction', {
+        error: error.message,
+        stack: error.stack,
+        recurringRuleId: id
+      });
+    }
+  }
+
+  if (transactionsCreated > 0) {
+    logger.info('Recurring transactions generated', {
+      rulesProcessed: dueRules.length,
+      transactionsCreated
+    });
+  }
+
+  return { rulesProcessed: dueRules.length, transactionsCreated };
+};
@@ -0,0 +1,428 @@
+import { finished } from 'stream/promises';
+import PDFDocument from 'pdfkit';
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { generateReport, getReportById, runReport } from './reportService.js';
+
+// Statements are drawn with pdfkit's built-in fonts and vector graphics, so
+// nothing beyond the Node process is needed to produce them
+const PAGE_MARGIN = 50;
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+  stripe: '#f3f4f6',
+  INCOME: '#16a34a',
+  EXPENSE: '#dc2626',
+  INVESTMENT: '#2563eb',
+  net: '#7c3aed'
+};
+
+const MAX_CHART_CATEGORIES = 10;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// The standard PDF fonts cannot show most currency symbols, so amounts
+// carry the ISO code instead
+const formatMoney = (value, currency) =>
+  `${currency} ${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${value}%`);
+
+const formatPeriodLabel = (value, interval) => {
+  const date = new Date(value);
+  const year = date.getUTCFullYear();
+
+  switch (interval) {
+    case 'year':
+      return String(year);
+    case 'quarter':
+      return `Q${Math.floor(date.getUTCMonth() / 3) + 1} ${year}`;
+    case 'month':
+      return `${MONTH_NAMES[date.getUTCMonth()]} ${year}`;
+    default:
+      return formatDate(date);
+  }
+};
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+/**
+ * Start a new page when the next block would not fit on this one
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+};
+
+const drawSectionTitle = (doc, title) => {
+  ensureSpace(doc, 60);
+  doc.moveDown(1);
+  doc.font(BOLD_FONT).fontSize(13).fillColor(COLORS.text).text(title, PAGE_MARGIN, doc.y);
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + contentWidth(doc), y)
+    .lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.y = y + 8;
+};
+
+/**
+ * Draw a table, repeating the header row on every page it spans
+ * @param {Object[]} columns - { header, width (fraction of the page), align }
+ * @param {Array[]} rows - Cell text per row
+ */
+const drawTable = (doc, columns, rows) => {
+  const width = contentWidth(doc);
+  const rowHeight = 18;
+  const padding = 4;
+
+  const drawRow = (cells, { bold = false, shaded = false } = {}) => {
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+
+    if (shaded) {
+      doc.rect(PAGE_MARGIN, y, width, rowHeight).fill(COLORS.stripe);
+    }
+
+    let x = PAGE_MARGIN;
+    doc.font(bold ? BOLD_FONT : FONT).fontSize(9).fillColor(COLORS.text);
+    columns.forEach((column, index) => {
+      const cellWidth = column.width * width;
+      doc.text(String(cells[index]), x + padding, y + 5, {
+        width: cellWidth - padding * 2,
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += cellWidth;
+    });
+
+    doc.y = y + rowHeight;
+  };
+
+  const drawHeader = () => drawRow(columns.map(column => column.header), { bold: true });
+
+  drawHeader();
+  rows.forEach((row, index) => {
+    if (doc.y + rowHeight > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(row, { shaded: index % 2 === 0 });
+  });
+};
+
+const drawLegend = (doc, series, x, y) => {
+  let legendX = x;
+  doc.font(FONT).fontSize(8);
+  for (const { name, color } of series) {
+    doc.rect(legendX, y, 8, 8).fill(color);
+    doc.fillColor(COLORS.text).text(name, legendX + 12, y, { lineBreak: false });
+    legendX += 12 + doc.widthOfString(name) + 16;
+  }
+};
+
+/**
+ * Vertical grouped bar chart. Values below zero are drawn down from the
+ * zero line.
+ * @param {string[]} labels - One label per group
+ * @param {Object[]} series - { name, color, values }
+ */
+const drawBarChart = (doc, labels, series, currency) => {
+  const height = 180;
+  ensureSpace(doc, height + 50);
+
+  const width = contentWidth(doc);
+  const axisWidth = 70;
+  const top = doc.y + 20;
+  const chartX = PAGE_MARGIN + axisWidth;
+  const chartWidth = width - axisWidth;
+
+  const values = series.flatMap(item => item.values);
+  const max = Math.max(...values, 0);
+  const min = Math.min(...values, 0);
+  const range = max - min || 1;
+  const toY = (value) => top + ((max - value) / range) * height;
+
+  drawLegend(doc, series, PAGE_MARGIN, doc.y);
+
+  // Gridlines with amounts on the axis
+  doc.font(FONT).fontSize(7);
+  for (let step = 0; step <= 4; step++) {
+    const value = max - (range * step) / 4;
+    const y = toY(value);
+    doc.moveTo(chartX, y).lineTo(chartX + chartWidth, y).lineWidth(0.3).strokeColor(COLORS.rule).stroke();
+    doc.fillColor(COLORS.muted).text(formatMoney(value, currency), PAGE_MARGIN, y - 4, {
+      width: axisWidth - 6,
+      align: 'right',
+      lineBreak: false
+    });
+  }
+
+  const groupWidth = chartWidth / Math.max(labels.length, 1);
+  const barWidth = Math.max((groupWidth * 0.8) / series.length, 1);
+  const zeroY = toY(0);
+  // Thin out labels so they do not overlap on long trends
+  const labelEvery = Math.ceil(labels.length / Math.floor(chartWidth / 45));
+
+  labels.forEach((label, index) => {
+    const groupX = chartX + index * groupWidth + groupWidth * 0.1;
+
+    series.forEach((item, seriesIndex) => {
+      const value = item.values[index];
+      const y = toY(Math.max(value, 0));
+      const barHeight = Math.abs(toY(value) - zeroY);
+      if (barHeight > 0) {
+        doc.rect(groupX + seriesIndex * barWidth, y, barWidth, barHeight).fill(item.color);
+      }
+    });
+
+    if (index % labelEvery === 0) {
+      doc.font(FONT).fontSize(7).fillColor(COLORS.muted).text(label, chartX + index * groupWidth, top + height + 4, {
+        width: groupWidth * labelEvery,
+        align: 'left',
+        lineBreak: false
+      });
+    }
+  });
+
+  doc.y = top + height + 20;
+};
+
+/**
+ * Horizontal bar chart, one bar per item, largest first
+ * @param {Object[]} items - { label, value }
+ */
+const drawHorizontalBarChart = (doc, items, color, currency) => {
+  const barHeight = 12;
+  const gap = 6;
+  const height = items.length * (barHeight + gap);
+  ensureSpace(doc, height + 20);
+
+  const width = contentWidth(doc);
+  const labelWidth = 130;
+  const valueWidth = 90;
+  const barArea = width - labelWidth - valueWidth;
+  const max = Math.max(...items.map(item => item.value), 0) || 1;
+  let y = doc.y + 6;
+
+  doc.font(FONT).fontSize(8);
+  for (const item of items) {
+    doc.fillColor(COLORS.text).text(item.label, PAGE_MARGIN, y + 2, {
+      width: labelWidth - 8,
+      lineBreak: false,
+      ellipsis: true
+    });
+    doc.rect(PAGE_MARGIN + labelWidth, y, Math.max((item.value / max) * barArea, 1), barHeight).fill(color);
+    doc.fillColor(COLORS.muted).text(formatMoney(item.value, currency), PAGE_MARGIN + width - valueWidth, y + 2, {
+      width: valueWidth,
+      align: 'right',
+      lineBreak: false
+    });
+    y += barHeight + gap;
+  }
+
+  doc.y = y + 6;
+};
+
+const drawHeader = (doc, report, result, userName) => {
+  doc.font(BOLD_FONT).fontSize(18).fillColor(COLORS.text).text(report.title, PAGE_MARGIN, PAGE_MARGIN);
+  if (report.description) {
+    doc.font(FONT).fontSize(10).fillColor(COLORS.muted).text(report.description);
+  }
+
+  doc.moveDown(0.5);
+  doc.font(FONT).fontSize(10).fillColor(COLORS.text);
+  doc.text(`Prepared for: ${userName}`);
+  doc.text(`Period: ${formatDate(result.startDate)} to ${formatDate(result.endDate)}`);
+  doc.text(`Currency: ${result.currency}`);
+  doc.fillColor(COLORS.muted).text(`Generated: ${new Date(result.generatedAt).toUTCString()}`);
+};
+
+const drawSummary = (doc, summary) => {
+  const { currency } = summary;
+  drawSectionTitle(doc, 'Summary');
+
+  drawTable(doc, [
+    { header: '', width: 0.4 },
+    { header: 'This period', width: 0.3, align: 'right' },
+    { header: 'Previous period', width: 0.3, align: 'right' }
+  ], [
+    ['Income', formatMoney(summary.income.total, currency), formatMoney(summary.previousPeriod.income, currency)],
+    ['Expenses', formatMoney(summary.expenses.total, currency), formatMoney(summary.previousPeriod.expenses, currency)],
+    ['Investments', formatMoney(summary.investments.total, currency), formatMoney(summary.previousPeriod.investments, currency)],
+    ['Net', formatMoney(summary.net, currency), formatMoney(summary.previousPeriod.net, currency)],
+    ['Savings rate', formatPercent(summary.savingsRate), '']
+  ]);
+
+  drawBarChart(doc, ['Income', 'Expenses', 'Investments'], [
+    {
+      name: 'This period',
+      color: COLORS.net,
+      values: [summary.income.total, summary.expenses.total, summary.investments.total]
+    },
+    {
+      name: 'Previous period',
+      color: COLORS.rule,
+      values: [summary.previousPeriod.income, summary.previousPeriod.expenses, summary.previousPeriod.investments]
+    }
+  ], currency);
+};
+
+const drawCategories = (doc, breakdown) => {
+  const { currency } = breakdown;
+  drawSectionTitle(doc, 'Spending and income by category');
+
+  if (breakdown.categories.length === 0) {
+    doc.font(FONT).fontSize(10).fillColor(COLORS.muted).text('No categorized transactions in this period.');
+    return;
+  }
+
+  const expenses = breakdown.categories
+    .filter(category => category.type === 'EXPENSE')
+    .slice(0, MAX_CHART_CATEGORIES)
+    .map(category => ({ label: category.categoryName, value: category.totalAmount }));
+
+  if (expenses.length > 0) {
+    drawHorizontalBarChart(doc, expenses, COLORS.EXPENSE, currency);
+  }
+
+  drawTable(doc, [
+    { header: 'Category', width: 0.36 },
+    { header: 'Type', width: 0.16 },
+    { header: 'Transactions', width: 0.14, align: 'right' },
+    { header: 'Amount', width: 0.2, align: 'right' },
+    { header: 'Share', width: 0.14, align: 'right' }
+  ], breakdown.categories.map(category => [
+    category.categoryName,
+    category.type,
+    category.transactionCount,
+    formatMoney(category.totalAmount, currency),
+    formatPercent(category.share)
+  ]));
+};
+
+const drawTrend = (doc, trend) => {
+  const { currency, interval } = trend;
+  drawSectionTitle(doc, `Trend by ${interval}`);
+
+  const labels = trend.series.map(point => formatPeriodLabel(point.periodStart, interval));
+  drawBarChart(doc, labels, [
+    { name: 'Income', color: COLORS.INCOME, values: trend.series.map(point => point.income) },
+    { name: 'Expenses', color: COLORS.EXPENSE, values: trend.series.map(point => point.expenses) },
+    { name: 'Net', color: COLORS.net, values: trend.series.map(point => point.net) }
+  ], currency);
+
+  drawTable(doc, [
+    { header: 'Period', width: 0.2 },
+    { header: 'Income', width: 0.2, align: 'right' },
+    { header: 'Expenses', width: 0.2, align: 'right' },
+    { header: 'Net', width: 0.2, align: 'right' },
+    { header: 'Cumulative', width: 0.2, align: 'right' }
+  ], trend.series.map((point, index) => [
+    labels[index],
+    formatMoney(point.income, currency),
+    formatMoney(point.expenses, currency),
+    formatMoney(point.net, currency),
+    formatMoney(point.cumulativeNet, currency)
+  ]));
+};
+
+const drawFooters = (doc, userName) => {
+  const { start, count } = doc.bufferedPageRange();
+
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise add a page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font(FONT).fontSize(8).fillColor(COLORS.muted).text(
+      `${userName} - page ${index + 1} of ${count}`,
+      PAGE_MARGIN,
+      doc.page.height - PAGE_MARGIN + 15,
+      { width: contentWidth(doc), align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+const getUserDisplayName = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { username: true, userData: { select: { firstName: true, lastName: true } } }
+  });
+
+  if (user && user.userData) {
+    return `${user.userData.firstName} ${user.userData.lastName}`.trim();
+  }
+
+  return user ? user.username : '';
+};
+
+/**
+ * Render a saved report as a PDF statement into a writable stream. Every
+ * statement has the summary totals and the category tables for the
+ * report's period and filters; trend reports add the trend chart. The
+ * report is run first if it has no stored result, or when refresh is set.
+ * @param {Object} stream - Writable stream (e.g. the HTTP response)
+ * @param {string} id - Report ID
+ * @param {string} userId - User ID
+ * @param {Object} options - { refresh }
+ */
+export const streamReportPdf = async (stream, id, userId, options = {}) => {
+  let report = await getReportById(id, userId);
+
+  if (!report.data || options.refresh) {
+    ({ report } = await runReport(id, userId));
+  }
+
+  const result = report.data;
+  // The other sections cover exactly the same dates as the stored result
+  const sectionFilters = {
+    ...result.filters,
+    range: undefined,
+    startDate: result.startDate,
+    endDate: result.endDate
+  };
+
+  const [summary, breakdown, userName] = await Promise.all([
+    report.type === 'INCOME_VS_EXPENSE' ? result : generateReport(userId, 'INCOME_VS_EXPENSE', sectionFilters),
+    report.type === 'CATEGORY_BREAKDOWN' ? result : generateReport(userId, 'CATEGORY_BREAKDOWN', sectionFilters),
+    getUserDisplayName(userId)
+  ]);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: { Title: report.title, Author: userName }
+  });
+  doc.pipe(stream);
+
+  drawHeader(doc, report, result, userName);
+  drawSummary(doc, summary);
+  if (report.type === 'TREND') {
+    drawTrend(doc, result);
+  }
+  drawCategories(doc, breakdown);
+
+  const unconvertedCount = Math.max(summary.unconvertedCount, result.unconvertedCount || 0);
+  if (unconvertedCount > 0) {
+    doc.moveDown(1);
+    doc.font(FONT).fontSize(8).fillColor(COLORS.muted).text(
+      `${unconvertedCount} transaction(s) were left out because no exchange rate into ${result.currency} was available.`,
+      PAGE_MARGIN
+    );
+  }
+
+  drawFooters(doc, userName);
+  doc.end();
+
+  await finished(stream);
+
+  logger.info('Report PDF rendered', { reportId: id, userId });
+};
@@ -0,0 +1,431 @@
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ForbiddenError } from '../utils/errors.js';
+import { renderDigestEmail } from '../utils/digestEmail.js';
+import { transactionSummary } from './transactionService.js';
+import { sendMail } from './mailService.js';
+
+export const DIGEST_FREQUENCIES = ['WEEKLY', 'MONTHLY'];
+
+const DEFAULT_DAY_OF_WEEK = 1; // Monday
+const DEFAULT_DAY_OF_MONTH = 1;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the first run of a schedule strictly after a date. Weekly digests go
+ * out on dayOfWeek and monthly ones on dayOfMonth, at `hour` UTC.
+ * @param {Object} schedule - { frequency, dayOfWeek, dayOfMonth, hour }
+ * @param {Date} after - Reference date
+ * @returns {Date} Next run
+ */
+export const getNextDigestRun = (schedule, after = new Date()) => {
+  const { frequency, hour } = schedule;
+  const year = after.getUTCFullYear();
+  const month = after.getUTCMonth();
+
+  if (frequency === 'WEEKLY') {
+    const dayOfWeek = schedule.dayOfWeek ?? DEFAULT_DAY_OF_WEEK;
+    const candidate = new Date(Date.UTC(year, month, after.getUTCDate(), hour));
+    candidate.setUTCDate(candidate.getUTCDate() + ((dayOfWeek - candidate.getUTCDay() + 7) % 7));
+
+    if (candidate <= after) {
+      candidate.setUTCDate(candidate.getUTCDate() + 7);
+    }
+    return candidate;
+  }
+
+  const dayOfMonth = schedule.dayOfMonth ?? DEFAULT_DAY_OF_MONTH;
+  const candidate = new Date(Date.UTC(year, month, dayOfMonth, hour));
+
+  return candidate > after ? candidate : new Date(Date.UTC(year, month + 1, dayOfMonth, hour));
+};
+
+/**
+ * The period a digest sent at runAt covers: the seven days before the run
+ * day for weekly digests, the previous calendar month for monthly ones
+ * @returns {Object} { start, end } (end inclusive)
+ */
+export const getDigestPeriod = (frequency, runAt) => {
+  const runDay = Date.UTC(runAt.getUTCFullYear(), runAt.getUTCMonth(), runAt.getUTCDate());
+
+  if (frequency === 'WEEKLY') {
+    return { start: new Date(runDay - 7 * MS_PER_DAY), end: new Date(runDay - 1) };
+  }
+
+  const monthStart = Date.UTC(runAt.getUTCFullYear(), runAt.getUTCMonth(), 1);
+  return {
+    start: new Date(Date.UTC(runAt.getUTCFullYear(), runAt.getUTCMonth() - 1, 1)),
+    end: new Date(monthStart - 1)
+  };
+};
+
+/**
+ * Check the timing fields make sense for the frequency and fill in defaults
+ */
+const resolveTiming = (data) => {
+  const { frequency } = data;
+
+  if (frequency === 'WEEKLY' && data.dayOfMonth !== undefined && data.dayOfMonth !== null) {
+    throw new BadRequestError('dayOfMonth only applies to monthly digests');
+  }
+
+  if (frequency === 'MONTHLY' && data.dayOfWeek !== undefined && data.dayOfWeek !== null) {
+    throw new BadRequestError('dayOfWeek only applies to weekly digests');
+  }
+
+  return {
+    frequency,
+    dayOfWeek: frequency === 'WEEKLY' ? data.dayOfWeek ?? DEFAULT_DAY_OF_WEEK : null,
+    dayOfMonth: frequency === 'MONTHLY' ? data.dayOfMonth ?? DEFAULT_DAY_OF_MONTH : null,
+    hour: data.hour ?? 8
+  };
+};
+
+/**
+ * Get all report schedules for a user with pagination
+ */
+export const getReportSchedules = async (userId, options = {}) => {
+  const {
+    page = 1,
+    limit = 10,
+    includeDeleted = false
+  } = options;
+
+  const skip = (page - 1) * limit;
+
+  const whereConditions = {
+    userId,
+    ...(includeDeleted ? {} : { isDeleted: false })
+  };
+
+  const [schedules, totalCount] = await Promise.all([
+    prisma.reportSchedule.findMany({
+      where: whereConditions,
+      skip,
+      take: limit,
+      orderBy: { nextRunAt: 'asc' }
+    }),
+    prisma.reportSchedule.count({ where: whereConditions })
+  ]);
+
+  return {
+    schedules,
+    pagination: {
+      total: totalCount,
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Get report schedule by ID
+ */
+export const getReportScheduleById = async (id, userId) => {
+  const schedule = await prisma.reportSchedule.findUnique({
+    where: { id }
+  });
+
+  if (!schedule) {
+    throw new NotFoundError('Report schedule not found');
+  }
+
+  if (schedule.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to view this report schedule");
+  }
+
+  if (schedule.isDeleted) {
+    throw new NotFoundError('Report schedule has been deleted');
+  }
+
+  return schedule;
+};
+
+/**
+ * Create a report schedule. Without a recipient, digests go to the
+ * user's account email.
+ */
+export const createReportSchedule = async (userId, scheduleData) => {
+  const { name, recipient, isActive = true } = scheduleData;
+  const timing = resolveTiming(scheduleData);
+
+  const schedule = await prisma.reportSchedule.create({
+    data: {
+      userId,
+      name,
+      recipient,
+      isActive,
+      ...timing,
+      nextRunAt: getNextDigestRun(timing)
+    }
+  });
+
+  logger.info('Report schedule created successfully', { scheduleId: schedule.id, userId });
+
+  return schedule;
+};
+
+/**
+ * Update a report schedule. Changing the timing, or turning the schedule
+ * back on, moves the next run to the next matching time from now.
+ */
+export const updateReportSchedule = async (id, userId, scheduleData) => {
+  const existingSchedule = await getReportScheduleById(id, userId);
+  const { name, recipient, isActive } = scheduleData;
+
+  const timingChanged = ['frequency', 'dayOfWeek', 'dayOfMonth', 'hour']
+    .some(field => scheduleData[field] !== undefined);
+  const reactivated = isActive === true && !existingSchedule.isActive;
+
+  // A new frequency drops the day field of the old one
+  const frequencyChanged = scheduleData.frequency !== undefined &&
+    scheduleData.frequency !== existingSchedule.frequency;
+  const timing = timingChanged
+    ? resolveTiming({
+      frequency: existingSchedule.frequency,
+      hour: existingSchedule.hour,
+      ...(frequencyChanged ? {} : {
+        dayOfWeek: existingSchedule.dayOfWeek,
+        dayOfMonth: existingSchedule.dayOfMonth
+      }),
+      ...Object.fromEntries(
+        ['frequency', 'dayOfWeek', 'dayOfMonth', 'hour']
+          .filter(field => scheduleData[field] !== undefined)
+          .map(field => [field, scheduleData[field]])
+      )
+    })
+    : null;
+
+  const schedule = await prisma.reportSchedule.update({
+    where: { id },
+    data: {
+      ...(name && { name }),
+      ...(recipient !== undefined && { recipient }),
+      ...(isActive !== undefined && { isActive }),
+      ...timing,
+      ...((timing || reactivated) && { nextRunAt: getNextDigestRun(timing || existingSchedule) })
+    }
+  });
+
+  logger.info('Report schedule updated successfully', { scheduleId: id, userId });
+
+  return schedule;
+};
+
+/**
+ * Soft delete a report schedule. Its deliveries are kept.
+ */
+export const softDeleteReportSchedule = async (id, userId) => {
+  await getReportScheduleById(id, userId);
+
+  return await prisma.reportSchedule.update({
+    where: { id },
+    data: { isDeleted: true }
+  });
+};
+
+/**
+ * Restore a soft-deleted report schedule. Runs missed while it was deleted
+ * are skipped.
+ */
+export const restoreReportSchedule = async (id, userId) => {
+  const schedule = await prisma.reportSchedule.findUnique({
+    where: { id }
+  });
+
+  if (!schedule) {
+    throw new NotFoundError('Report schedule not found');
+  }
+
+  if (schedule.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to restore this report schedule");
+  }
+
+  if (!schedule.isDeleted) {
+    throw new BadRequestError('Report schedule is not deleted');
+  }
+
+  return await prisma.reportSchedule.update({
+    where: { id },
+    data: { isDeleted: false, nextRunAt: getNextDigestRun(schedule) }
+  });
+};
+
+/**
+ * Get the delivery history of a schedule, newest first
+ */
+export const getReportDeliveries = async (id, userId, page = 1, limit = 10) => {
+  await getReportScheduleById(id, userId);
+
+  const skip = (page - 1) * limit;
+  const where = { scheduleId: id };
+
+  const [deliveries, total] = await Promise.all([
+    prisma.reportDelivery.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.reportDelivery.count({ where })
+  ]);
+
+  return {
+    deliveries,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Build, send and record one digest. A digest that cannot be built or sent
+ * is recorded as a FAILED delivery rather than thrown; until the digest is
+ * rendered the delivery carries the schedule's name as its subject.
+ * @param {Object} schedule - Report schedule
+ * @param {Date} runAt - When the digest is due; decides the period covered
+ * @returns {Object} Delivery record
+ */
+const deliverDigest = async (schedule, runAt) => {
+  const { start, end } = getDigestPeriod(schedule.frequency, runAt);
+
+  const delivery = {
+    scheduleId: schedule.id,
+    userId: schedule.userId,
+    recipient: schedule.recipient || '',
+    subject: schedule.name,
+    periodStart: start,
+    periodEnd: end
+  };
+
+  let outcome;
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: schedule.userId },
+      select: { email: true, username: true, userData: { select: { firstName: true } } }
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    delivery.recipient = schedule.recipient || user.email;
+    const summary = await transactionSummary(
+      schedule.userId,
+      schedule.frequency === 'WEEKLY' ? 'week' : 'month',
+      start,
+      end
+    );
+
+    const { subject, html, text } = renderDigestEmail({
+      summary,
+      userName: user.userData ? user.userData.firstName : user.username,
+      scheduleName: schedule.name,
+      frequency: schedule.frequency
+    });
+    delivery.subject = subject;
+
+    const { messageId, transport } = await sendMail({ to: delivery.recipient, subject, html, text });
+
+    logger.info('Report digest sent', { scheduleId: schedule.id, userId: schedule.userId, transport });
+
+    outcome = { status: 'SENT', transport, messageId };
+  } catch (error) {
+    logger.error('Failed to send report digest', {
+      error: error.message,
+      stack: error.stack,
+      scheduleId: schedule.id,
+      userId: schedule.userId
+    });
+
+    outcome = {
+      status: 'FAILED',
+      transport: process.env.MAIL_TRANSPORT || 'console',
+      error: error.message
+    };
+  }
+
+  return prisma.reportDelivery.create({
+    data: { ...delivery, ...outcome }
+  });
+};
+
+/**
+ * Send a schedule's digest for the latest complete period straight away,
+ * without moving its next run
+ * @returns {Object} Delivery record
+ */
+export const sendReportScheduleNow = async (id, userId) => {
+  const schedule = await getReportScheduleById(id, userId);
+
+  return deliverDigest(schedule, new Date());
+};
+
+/**
+ * Send every due digest. A schedule that missed several runs while the
+ * server was down sends one digest, for the latest missed run's period,
+ * and moves on.
+ * @param {Date} now - Send digests due up to this date
+ * @returns {Object} Number of schedules processed and digests sent and failed
+ */
+export const sendDueDigests = async (now = new Date()) => {
+  const dueSchedules = await prisma.reportSchedule.findMany({
+    where: {
+      isActive: true,
+      isDeleted: false,
+      nextRunAt: { lte: now }
+    }
+  });
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const schedule of dueSchedules) {
+    try {
+      // Claim the run by moving nextRunAt; another scheduler instance that
+      // got here first leaves nothing to update
+      const claimed = await prisma.reportSchedule.updateMany({
+        where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+        data: { nextRunAt: getNextDigestRun(schedule, now), lastRunAt: now }
+      });
+
+      if (claimed.count === 0) {
+        logger.debug('Report digest already sent', { scheduleId: schedule.id });
+        continue;
+      }
+
+      let runAt = schedule.nextRunAt;
+      for (let next = getNextDigestRun(schedule, runAt); next <= now; next = getNextDigestRun(schedule, next)) {
+        runAt = next;
+      }
+
+      const delivery = await deliverDigest(schedule, runAt);
+      if (delivery.status === 'SENT') {
+        sent += 1;
+      } else {
+        failed += 1;
+      }
+    } catch (error) {
+      failed += 1;
+      logger.error('Failed to process report schedule', {
+        error: error.message,
+        stack: error.stack,
+        scheduleId: schedule.id
+      });
+    }
+  }
+
+  if (dueSchedules.length > 0) {
+    logger.info('Report digests processed', {
+      schedulesProcessed: dueSchedules.length,
+      sent,
+      failed
+    });
+  }
+
+  return { schedulesProcessed: dueSchedules.length, sent, failed };
+};
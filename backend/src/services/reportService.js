@@ -0,0 +1,612 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ForbiddenError } from '../utils/errors.js';
+import { exchangeRateSql, getBaseCurrency } from './currencyService.js';
+
+export const REPORT_TYPES = ['INCOME_VS_EXPENSE', 'CATEGORY_BREAKDOWN', 'TREND'];
+
+// Relative date ranges are resolved each time a report runs, so a saved
+// "last month" report always shows the latest last month
+export const REPORT_RANGES = ['THIS_MONTH', 'LAST_MONTH', 'LAST_30_DAYS', 'LAST_90_DAYS', 'THIS_YEAR', 'LAST_12_MONTHS'];
+export const REPORT_INTERVALS = ['day', 'week', 'month', 'quarter', 'year'];
+
+// Transfers only move money between the user's own accounts, so they are
+// never part of a report
+export const REPORT_TRANSACTION_TYPES = ['INCOME', 'EXPENSE', 'INVESTMENT'];
+
+const DEFAULT_RANGES = {
+  INCOME_VS_EXPENSE: 'THIS_MONTH',
+  CATEGORY_BREAKDOWN: 'THIS_MONTH',
+  TREND: 'LAST_12_MONTHS'
+};
+
+const INTERVAL_STEPS = {
+  day: '1 day',
+  week: '1 week',
+  month: '1 month',
+  quarter: '3 months',
+  year: '1 year'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const APPROX_INTERVAL_DAYS = { day: 1, week: 7, month: 30, quarter: 91, year: 365 };
+const MAX_TREND_POINTS = 400;
+
+const FILTER_KEYS = ['range', 'startDate', 'endDate', 'type', 'categoryIds', 'accountIds', 'interval'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Percentage change, or null when there is nothing to compare against
+const percentChange = (current, previous) =>
+  previous === 0 ? null : roundMoney(((current - previous) / Math.abs(previous)) * 100);
+
+/**
+ * Start and (inclusive) end of a relative range, in UTC
+ */
+const resolveRange = (range, now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const endOfMonth = (y, m) => new Date(Date.UTC(y, m + 1, 1) - 1);
+
+  switch (range) {
+    case 'LAST_MONTH':
+      return { start: new Date(Date.UTC(year, month - 1, 1)), end: endOfMonth(year, month - 1) };
+    case 'LAST_30_DAYS':
+      return { start: new Date(now.getTime() - 30 * MS_PER_DAY), end: now };
+    case 'LAST_90_DAYS':
+      return { start: new Date(now.getTime() - 90 * MS_PER_DAY), end: now };
+    case 'THIS_YEAR':
+      return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1) - 1) };
+    case 'LAST_12_MONTHS':
+      return { start: new Date(Date.UTC(year, month - 11, 1)), end: endOfMonth(year, month) };
+    case 'THIS_MONTH':
+    default:
+      return { start: new Date(Date.UTC(year, month, 1)), end: endOfMonth(year, month) };
+  }
+};
+
+/**
+ * Keep only known filter parameters, in a form that can be stored as JSON
+ * @param {Object} filters - ReportFilter parameters
+ * @returns {Object} Normalized filters
+ */
+export const normalizeReportFilters = (filters = {}) => {
+  const normalized = {};
+
+  for (const key of FILTER_KEYS) {
+    const value = filters[key];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    normalized[key] = value instanceof Date ? value.toISOString() : value;
+  }
+
+  if (normalized.range && !REPORT_RANGES.includes(normalized.range)) {
+    throw new BadRequestError(`range must be one of: ${REPORT_RANGES.join(', ')}`);
+  }
+
+  if (normalized.type && !REPORT_TRANSACTION_TYPES.includes(normalized.type)) {
+    throw new BadRequestError(`type must be one of: ${REPORT_TRANSACTION_TYPES.join(', ')}`);
+  }
+
+  if (normalized.interval && !REPORT_INTERVALS.includes(normalized.interval)) {
+    throw new BadRequestError(`interval must be one of: ${REPORT_INTERVALS.join(', ')}`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Work out the dates a report covers. Explicit dates win over a range;
+ * a missing one is taken from the report type's default range.
+ */
+const resolveReportPeriod = (type, filters) => {
+  const fallback = resolveRange(filters.range || DEFAULT_RANGES[type]);
+  const start = filters.startDate ? new Date(filters.startDate) : fallback.start;
+  const end = filters.endDate ? new Date(filters.endDate) : fallback.end;
+
+  if (start > end) {
+    throw new BadRequestError('startDate must be before endDate');
+  }
+
+  return { start, end };
+};
+
+/**
+ * SQL conditions selecting the transactions a report covers (alias t)
+ */
+const buildScopeSql = (userId, filters, start, end) => {
+  const conditions = [
+    Prisma.sql`t."userId" = ${userId}`,
+    Prisma.sql`t."isDeleted" = false`,
+    Prisma.sql`t.type <> 'TRANSFER'`,
+    Prisma.sql`t.date >= ${start}`,
+    Prisma.sql`t.date <= ${end}`
+  ];
+
+  if (filters.type) {
+    conditions.push(Prisma.sql`t.type = ${filters.type}::"TransactionType"`);
+  }
+
+  if (filters.accountIds && filters.accountIds.length > 0) {
+    conditions.push(Prisma.sql`t."accountId" IN (${Prisma.join(filters.accountIds)})`);
+  }
+
+  // A transaction matches a category through either a split line or its
+  // category links
+  if (filters.categoryIds && filters.categoryIds.length > 0) {
+    const categoryIds = Prisma.join(filters.categoryIds);
+    conditions.push(Prisma.sql`(
+      EXISTS (SELECT 1 FROM transaction_splits s WHERE s."transactionId" = t.id AND s."categoryId" IN (${categoryIds}))
+      OR EXISTS (SELECT 1 FROM "_CategoryToTransaction" ct WHERE ct."B" = t.id AND ct."A" IN (${categoryIds}))
+    )`);
+  }
+
+  return Prisma.join(conditions, ' AND ');
+};
+
+/**
+ * Totals per transaction type, converted into the base currency
+ */
+const getTypeTotals = async (userId, filters, start, end, baseCurrency) => {
+  const rateSql = exchangeRateSql(Prisma.sql`t.currency`, baseCurrency, Prisma.sql`t.date`);
+
+  const rows = await prisma.$queryRaw`
+    SELECT c.type::text AS type,
+           COUNT(*)::int AS count,
+           COALESCE(SUM(ABS(c.amount) * c.rate), 0) AS total,
+           (COUNT(*) FILTER (WHERE c.rate IS NULL))::int AS "unconverted"
+    FROM (
+      SELECT t.type, t.amount, ${rateSql} AS rate
+      FROM transactions t
+      WHERE ${buildScopeSql(userId, filters, start, end)}
+    ) c
+    GROUP BY c.type
+  `;
+
+  const totalsFor = (type) => {
+    const row = rows.find(totals => totals.type === type);
+    return { total: row ? roundMoney(Number(row.total)) : 0, count: row ? row.count : 0 };
+  };
+
+  const income = totalsFor('INCOME');
+  const expenses = totalsFor('EXPENSE');
+  const investments = totalsFor('INVESTMENT');
+
+  return {
+    income,
+    expenses,
+    investments,
+    net: roundMoney(income.total - expenses.total - investments.total),
+    unconvertedCount: rows.reduce((sum, row) => sum + row.unconverted, 0)
+  };
+};
+
+/**
+ * Income against expenses for the period, compared with the period of the
+ * same length just before it
+ */
+const buildIncomeVsExpense = async (userId, filters, start, end, baseCurrency) => {
+  const length = end.getTime() - start.getTime();
+  const previousEnd = new Date(start.getTime() - 1);
+  const previousStart = new Date(previousEnd.getTime() - length);
+
+  const [current, previous] = await Promise.all([
+    getTypeTotals(userId, filters, start, end, baseCurrency),
+    getTypeTotals(userId, filters, previousStart, previousEnd, baseCurrency)
+  ]);
+
+  return {
+    ...current,
+    savingsRate: current.income.total > 0
+      ? roundMoney((current.net / current.income.total) * 100)
+      : null,
+    previousPeriod: {
+      startDate: previousStart,
+      endDate: previousEnd,
+      income: previous.income.total,
+      expenses: previous.expenses.total,
+      investments: previous.investments.total,
+      net: previous.net
+    },
+    change: {
+      income: percentChange(current.income.total, previous.income.total),
+      expenses: percentChange(current.expenses.total, previous.expenses.total),
+      net: roundMoney(current.net - previous.net)
+    }
+  };
+};
+
+/**
+ * Amounts per category and type, with each category's share of its type.
+ * Split transactions contribute each split line; unsplit ones their full
+ * amount to each linked category (or to "Uncategorized").
+ */
+const buildCategoryBreakdown = async (userId, filters, start, end, baseCurrency) => {
+  const rateSql = exchangeRateSql(Prisma.sql`t.currency`, baseCurrency, Prisma.sql`t.date`);
+  const categoryCondition = filters.categoryIds && filters.categoryIds.length > 0
+    ? Prisma.sql`WHERE l."categoryId" IN (${Prisma.join(filters.categoryIds)})`
+    : Prisma.empty;
+
+  const rows = await prisma.$queryRaw`
+    WITH scoped AS (
+      SELECT t.id, t.type, t.amount, ${rateSql} AS rate
+      FROM transactions t
+      WHERE ${buildScopeSql(userId, filters, start, end)}
+    ),
+    lines AS (
+      SELECT s."categoryId", ABS(s.amount) * t.rate AS amount, t.rate, s."transactionId", t.type
+      FROM transaction_splits s
+      JOIN scoped t ON t.id = s."transactionId"
+      UNION ALL
+      SELECT ct."A", ABS(t.amount) * t.rate, t.rate, t.id, t.type
+      FROM scoped t
+      LEFT JOIN "_CategoryToTransaction" ct ON ct."B" = t.id
+      WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s."transactionId" = t.id)
+    )
+    SELECT l."categoryId",
+           c.name AS "categoryName",
+           l.type::text AS type,
+           COUNT(DISTINCT l."transactionId")::int AS "transactionCount",
+           COALESCE(SUM(l.amount), 0) AS "totalAmount",
+           (COUNT(*) FILTER (WHERE l.rate IS NULL))::int AS "unconverted"
+    FROM lines l
+    LEFT JOIN categories c ON c.id = l."categoryId"
+    ${categoryCondition}
+    GROUP BY l."categoryId", c.name, l.type
+    ORDER BY "totalAmount" DESC
+  `;
+
+  const totalsByType = {};
+  for (const row of rows) {
+    totalsByType[row.type] = (totalsByType[row.type] || 0) + Number(row.totalAmount);
+  }
+
+  return {
+    totalsByType: Object.fromEntries(
+      Object.entries(totalsByType).map(([type, total]) => [type, roundMoney(total)])
+    ),
+    categories: rows.map(row => ({
+      categoryId: row.categoryId,
+      categoryName: row.categoryName || (row.categoryId ? 'Unknown' : 'Uncategorized'),
+      type: row.type,
+      transactionCount: row.transactionCount,
+      totalAmount: roundMoney(Number(row.totalAmount)),
+      share: totalsByType[row.type] > 0
+        ? roundMoney((Number(row.totalAmount) / totalsByType[row.type]) * 100)
+        : 0
+    })),
+    unconvertedCount: rows.reduce((sum, row) => sum + row.unconverted, 0)
+  };
+};
+
+/**
+ * Income, expenses and net per day, week, month, quarter or year. Periods
+ * without transactions are included with zero amounts.
+ */
+const buildTrend = async (userId, filters, start, end, baseCurrency) => {
+  const interval = filters.interval || 'month';
+  const points = (end - start) / (APPROX_INTERVAL_DAYS[interval] * MS_PER_DAY);
+
+  if (points > MAX_TREND_POINTS) {
+    throw new BadRequestError(`Too many ${interval}s in this date range; use a longer interval`);
+  }
+
+  const rateSql = exchangeRateSql(Prisma.sql`t.currency`, baseCurrency, Prisma.sql`t.date`);
+
+  const rows = await prisma.$queryRaw`
+    WITH buckets AS (
+      SELECT generate_series(
+        date_trunc(${interval}::text, ${start}::timestamp),
+        ${end}::timestamp,
+        ${INTERVAL_STEPS[interval]}::interval
+      ) AS bucket
+    ),
+    totals AS (
+      SELECT date_trunc(${interval}::text, c.date) AS bucket,
+             c.type,
+             SUM(ABS(c.amount) * c.rate) AS total,
+             COUNT(*)::int AS count,
+             (COUNT(*) FILTER (WHERE c.rate IS NULL))::int AS unconverted
+      FROM (
+        SELECT t.date, t.type, t.amount, ${rateSql} AS rate
+        FROM transactions t
+        WHERE ${buildScopeSql(userId, filters, start, end)}
+      ) c
+      GROUP BY 1, 2
+    )
+    SELECT b.bucket AS "periodStart",
+           COALESCE(SUM(x.total) FILTER (WHERE x.type = 'INCOME'), 0) AS income,
+           COALESCE(SUM(x.total) FILTER (WHERE x.type = 'EXPENSE'), 0) AS expenses,
+           COALESCE(SUM(x.total) FILTER (WHERE x.type = 'INVESTMENT'), 0) AS investments,
+           COALESCE(SUM(x.count), 0)::int AS "transactionCount",
+           COALESCE(SUM(x.unconverted), 0)::int AS unconverted
+    FROM buckets b
+    LEFT JOIN totals x ON x.bucket = b.bucket
+    GROUP BY b.bucket
+    ORDER BY b.bucket
+  `;
+
+  let cumulativeNet = 0;
+  const series = rows.map(row => {
+    const income = Number(row.income);
+    const expenses = Number(row.expenses);
+    const investments = Number(row.investments);
+    const net = income - expenses - investments;
+    cumulativeNet += net;
+
+    return {
+      periodStart: row.periodStart,
+      income: roundMoney(income),
+      expenses: roundMoney(expenses),
+      investments: roundMoney(investments),
+      net: roundMoney(net),
+      cumulativeNet: roundMoney(cumulativeNet),
+      transactionCount: row.transactionCount
+    };
+  });
+
+  const average = (key) => series.length > 0
+    ? roundMoney(series.reduce((sum, point) => sum + point[key], 0) / series.length)
+    : 0;
+
+  return {
+    interval,
+    series,
+    averages: {
+      income: average('income'),
+      expenses: average('expenses'),
+      net: average('net')
+    },
+    unconvertedCount: rows.reduce((sum, row) => sum + row.unconverted, 0)
+  };
+};
+
+const REPORT_BUILDERS = {
+  INCOME_VS_EXPENSE: buildIncomeVsExpense,
+  CATEGORY_BREAKDOWN: buildCategoryBreakdown,
+  TREND: buildTrend
+};
+
+/**
+ * Generate a report from ReportFilter parameters. Amounts are in the
+ * user's base currency.
+ * @param {string} userId - User ID
+ * @param {string} type - One of REPORT_TYPES
+ * @param {Object} filters - ReportFilter parameters
+ * @returns {Object} Report result, ready to be stored as JSON
+ */
+export const generateReport = async (userId, type, filters = {}) => {
+  if (!REPORT_TYPES.includes(type)) {
+    throw new BadRequestError(`Report type must be one of: ${REPORT_TYPES.join(', ')}`);
+  }
+
+  const normalizedFilters = normalizeReportFilters(filters);
+  const { start, end } = resolveReportPeriod(type, normalizedFilters);
+  const baseCurrency = await getBaseCurrency(userId);
+
+  const result = await REPORT_BUILDERS[type](userId, normalizedFilters, start, end, baseCurrency);
+
+  logger.info('Report generated', { userId, type });
+
+  // Round-trip through JSON so dates and decimals are stored as they are sent
+  return JSON.parse(JSON.stringify({
+    type,
+    filters: normalizedFilters,
+    startDate: start,
+    endDate: end,
+    currency: baseCurrency,
+    generatedAt: new Date(),
+    ...result
+  }));
+};
+
+/**
+ * Get saved reports for a user with pagination. The stored results are
+ * left out of the listing.
+ */
+export const getReports = async (userId, options = {}) => {
+  const {
+    page = 1,
+    limit = 10,
+    includeDeleted = false,
+    type = null
+  } = options;
+
+  const skip = (page - 1) * limit;
+
+  const whereConditions = {
+    userId,
+    ...(includeDeleted ? {} : { isDeleted: false }),
+    ...(type ? { type } : {})
+  };
+
+  const [reports, totalCount] = await Promise.all([
+    prisma.report.findMany({
+      where: whereConditions,
+      skip,
+      take: limit,
+      orderBy: { updatedAt: 'desc' },
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        type: true,
+        filters: true,
+        generatedAt: true,
+        isDeleted: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    }),
+    prisma.report.count({ where: whereConditions })
+  ]);
+
+  return {
+    reports,
+    pagination: {
+      total: totalCount,
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Get a saved report by ID, with the result of its last run
+ */
+export const getReportById = async (id, userId) => {
+  const report = await prisma.report.findUnique({
+    where: { id }
+  });
+
+  if (!report) {
+    throw new NotFoundError('Report not found');
+  }
+
+  if (report.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to view this report");
+  }
+
+  if (report.isDeleted) {
+    throw new NotFoundError('Report has been deleted');
+  }
+
+  return report;
+};
+
+/**
+ * Save a report definition and store the result of a first run
+ */
+export const saveReport = async (userId, reportData) => {
+  const { title, description, type, filters = {} } = reportData;
+
+  const result = await generateReport(userId, type, filters);
+
+  const report = await prisma.report.create({
+    data: {
+      userId,
+      title,
+      description,
+      type,
+      filters: result.filters,
+      data: result,
+      generatedAt: new Date(result.generatedAt)
+    }
+  });
+
+  logger.info('Report saved successfully', { reportId: report.id, userId });
+
+  return report;
+};
+
+/**
+ * Update a saved report. A new type or new filters re-run it.
+ */
+export const updateReport = async (id, userId, reportData) => {
+  const existingReport = await getReportById(id, userId);
+  const { title, description, type, filters } = reportData;
+
+  const definitionChanged = type !== undefined || filters !== undefined;
+  const result = definitionChanged
+    ? await generateReport(userId, type || existingReport.type, filters !== undefined ? filters : existingReport.filters)
+    : null;
+
+  const report = await prisma.report.update({
+    where: { id },
+    data: {
+      ...(title && { title }),
+      ...(description !== undefined && { description }),
+      ...(type && { type }),
+      ...(result && {
+        filters: result.filters,
+        data: result,
+        generatedAt: new Date(result.generatedAt)
+      })
+    }
+  });
+
+  logger.info('Report updated successfully', { reportId: id, userId });
+
+  return report;
+};
+
+/**
+ * Re-run a saved report against current data. Without overrides the new
+ * result replaces the stored one; filters given as overrides (e.g. another
+ * date range) apply to this run only and nothing is stored.
+ * @returns {Object} { report, result }
+ */
+export const runReport = async (id, userId, overrides = {}) => {
+  const report = await getReportById(id, userId);
+  const overrideFilters = normalizeReportFilters(overrides);
+  const isAdHoc = Object.keys(overrideFilters).length > 0;
+
+  // Explicit dates replace a stored range and the other way round
+  const baseFilters = { ...report.filters };
+  if (overrideFilters.range) {
+    delete baseFilters.startDate;
+    delete baseFilters.endDate;
+  }
+  if (overrideFilters.startDate || overrideFilters.endDate) {
+    delete baseFilters.range;
+  }
+
+  const result = await generateReport(userId, report.type, { ...baseFilters, ...overrideFilters });
+
+  if (isAdHoc) {
+    return { report, result };
+  }
+
+  const updatedReport = await prisma.report.update({
+    where: { id },
+    data: {
+      data: result,
+      generatedAt: new Date(result.generatedAt)
+    }
+  });
+
+  logger.info('Report re-run', { reportId: id, userId });
+
+  return { report: updatedReport, result };
+};
+
+/**
+ * Soft delete a saved report
+ */
+export const softDeleteReport = async (id, userId) => {
+  await getReportById(id, userId);
+
+  return await prisma.report.update({
+    where: { id },
+    data: { isDeleted: true }
+  });
+};
+
+/**
+ * Restore a soft-deleted report
+ */
+export const restoreReport = async (id, userId) => {
+  const report = await prisma.report.findUnique({
+    where: { id }
+  });
+
+  if (!report) {
+    throw new NotFoundError('Report not found');
+  }
+
+  if (report.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to restore this report");
+  }
+
+  if (!report.isDeleted) {
+    throw new BadRequestError('Report is not deleted');
+  }
+
+  return await prisma.report.update({
+    where: { id },
+    data: { isDeleted: false }
+  });
+};
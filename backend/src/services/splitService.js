@@ -0,0 +1,114 @@
+import { BadRequestError } from '../utils/errors.js';
+
+const toCents = (amount) => Math.round(Math.abs(Number(amount)) * 100);
+
+/**
+ * Check that split lines are well formed and add up to the transaction amount
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {Object} transaction - Parent transaction (type and amount)
+ * @param {Object[]} splits - Split lines of { categoryId, amount, memo }
+ */
+export const validateSplits = async (tx, transaction, splits) => {
+  if (!Array.isArray(splits)) {
+    throw new BadRequestError('Splits must be an array');
+  }
+
+  if (transaction.type === 'TRANSFER') {
+    throw new BadRequestError('Transfers cannot be split');
+  }
+
+  splits.forEach((split, index) => {
+    if (!split || !split.categoryId) {
+      throw new BadRequestError(`Split ${index + 1} requires a categoryId`);
+    }
+
+    const amount = Number(split.amount);
+    if (isNaN(amount) || amount <= 0) {
+      throw new BadRequestError(`Split ${index + 1} amount must be a positive number`);
+    }
+  });
+
+  const splitTotal = splits.reduce((sum, split) => sum + toCents(split.amount), 0);
+  const transactionTotal = toCents(transaction.amount);
+
+  if (splitTotal !== transactionTotal) {
+    throw new BadRequestError(
+      `Split amounts add up to ${(splitTotal / 100).toFixed(2)} but the transaction amount is ${(transactionTotal / 100).toFixed(2)}`
+    );
+  }
+
+  const categoryIds = [...new Set(splits.map(split => split.categoryId))];
+  const categories = await tx.category.findMany({
+    where: { id: { in: categoryIds }, isDeleted: false },
+    select: { id: true }
+  });
+
+  if (categories.length !== categoryIds.length) {
+    const found = new Set(categories.map(category => category.id));
+    const missing = categoryIds.filter(id => !found.has(id));
+    throw new BadRequestError(`Unknown category: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Replace the split lines of a transaction. The transaction's categories
+ * are kept in sync with the split categories so category filters still
+ * match split transactions. An empty list removes the split.
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {Object} transaction - Parent transaction
+ * @param {Object[]} splits - Split lines of { categoryId, amount, memo }
+ * @returns {Object[]} Created split lines
+ */
+export const replaceTransactionSplits = async (tx, transaction, splits) => {
+  await tx.transactionSplit.deleteMany({
+    where: { transactionId: transaction.id }
+  });
+
+  if (!splits || splits.length === 0) {
+    return [];
+  }
+
+  await validateSplits(tx, transaction, splits);
+
+  const created = await tx.transactionSplit.createManyAndReturn({
+    data: splits.map(split => ({
+      transactionId: transaction.id,
+      categoryId: split.categoryId,
+      amount: Math.abs(Number(split.amount)),
+      memo: split.memo || null
+    }))
+  });
+
+  await tx.transaction.update({
+    where: { id: transaction.id },
+    data: {
+      categories: {
+        set: [...new Set(splits.map(split => split.categoryId))].map(id => ({ id }))
+      }
+    }
+  });
+
+  return created;
+};
+
+/**
+ * Make sure existing split lines still add up after the parent amount changed
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {Object} transaction - Updated parent transaction
+ */
+export const assertSplitsMatchAmount = async (tx, transaction) => {
+  const splits = await tx.transactionSplit.findMany({
+    where: { transactionId: transaction.id },
+    select: { amount: true }
+  });
+
+  if (splits.length === 0) {
+    return;
+  }
+
+  const splitTotal = splits.reduce((sum, split) => sum + toCents(split.amount), 0);
+
+  if (splitTotal !== toCents(transaction.amount)) {
+    throw new BadRequestError('The transaction is split; send updated splits together with the new amount');
+  }
+};
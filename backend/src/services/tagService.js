@@ -0,0 +1,212 @@
+import { prisma } from '../config/db.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ConflictError, ForbiddenError } from '../utils/errors.js';
+
+// Deleted tags stay linked to their transactions so that restoring one
+// brings its links back, but they are hidden wherever tags are shown
+export const ACTIVE_TAGS = { where: { isDeleted: false }, select: { id: true, name: true, color: true } };
+
+/**
+ * Check that tags exist and belong to the user
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {Array} tagIds - Tag IDs
+ * @param {string} userId - User ID
+ * @returns {Array} The tags
+ */
+export const assertTagOwnership = async (tx, tagIds, userId) => {
+  const ids = [...new Set(tagIds)];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const tags = await tx.tag.findMany({
+    where: { id: { in: ids }, isDeleted: false }
+  });
+
+  if (tags.length !== ids.length) {
+    throw new NotFoundError('Tag not found');
+  }
+
+  if (tags.some(tag => tag.userId !== userId)) {
+    throw new ForbiddenError("You don't have permission to use this tag");
+  }
+
+  return tags;
+};
+
+/**
+ * Tag names are unique per user regardless of case
+ */
+const assertTagNameAvailable = async (userId, name, excludeId = null) => {
+  const existing = await prisma.tag.findFirst({
+    where: {
+      userId,
+      name: { equals: name, mode: 'insensitive' },
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  });
+
+  if (existing) {
+    throw new ConflictError(existing.isDeleted
+      ? `A deleted tag named "${existing.name}" exists; restore it instead`
+      : `A tag named "${existing.name}" already exists`);
+  }
+};
+
+/**
+ * Get all tags for a user with pagination, alphabetically, with the number
+ * of transactions carrying each one
+ */
+export const getTags = async (userId, options = {}) => {
+  const {
+    page = 1,
+    limit = 50,
+    includeDeleted = false,
+    search = null
+  } = options;
+
+  const skip = (page - 1) * limit;
+
+  const whereConditions = {
+    userId,
+    ...(includeDeleted ? {} : { isDeleted: false }),
+    ...(search && { name: { contains: search, mode: 'insensitive' } })
+  };
+
+  const [tags, totalCount] = await Promise.all([
+    prisma.tag.findMany({
+      where: whereConditions,
+      skip,
+      take: limit,
+      orderBy: { name: 'asc' },
+      include: {
+        _count: { select: { transactions: { where: { isDeleted: false } } } }
+      }
+    }),
+    prisma.tag.count({ where: whereConditions })
+  ]);
+
+  return {
+    tags: tags.map(({ _count, ...tag }) => ({ ...tag, transactionCount: _count.transactions })),
+    pagination: {
+      total: totalCount,
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Get tag by ID
+ */
+export const getTagById = async (id, userId) => {
+  const tag = await prisma.tag.findUnique({
+    where: { id }
+  });
+
+  if (!tag) {
+    throw new NotFoundError('Tag not found');
+  }
+
+  if (tag.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to view this tag");
+  }
+
+  if (tag.isDeleted) {
+    throw new NotFoundError('Tag has been deleted');
+  }
+
+  return tag;
+};
+
+/**
+ * Create a new tag
+ */
+export const createTag = async (userId, tagData) => {
+  const name = tagData.name.trim();
+
+  if (!name) {
+    throw new BadRequestError('Tag name cannot be blank');
+  }
+
+  await assertTagNameAvailable(userId, name);
+
+  const tag = await prisma.tag.create({
+    data: {
+      userId,
+      name,
+      color: tagData.color || null
+    }
+  });
+
+  logger.info('Tag created successfully', { tagId: tag.id, userId });
+
+  return tag;
+};
+
+/**
+ * Update a tag; renaming it relabels every transaction that carries it
+ */
+export const updateTag = async (id, userId, tagData) => {
+  await getTagById(id, userId);
+
+  const data = { ...tagData };
+  if (data.name !== undefined) {
+    data.name = data.name.trim();
+
+    if (!data.name) {
+      throw new BadRequestError('Tag name cannot be blank');
+    }
+
+    await assertTagNameAvailable(userId, data.name, id);
+  }
+
+  const tag = await prisma.tag.update({
+    where: { id },
+    data
+  });
+
+  logger.info('Tag updated successfully', { tagId: id, userId });
+
+  return tag;
+};
+
+/**
+ * Soft delete a tag. Its links are kept, so restoring it re-tags the same
+ * transactions.
+ */
+export const softDeleteTag = async (id, userId) => {
+  await getTagById(id, userId);
+
+  return await prisma.tag.update({
+    where: { id },
+    data: { isDeleted: true }
+  });
+};
+
+/**
+ * Restore a soft-deleted tag
+ */
+export const restoreTag = async (id, userId) => {
+  const tag = await prisma.tag.findUnique({
+    where: { id }
+  });
+
+  if (!tag) {
+    throw new NotFoundError('Tag not found');
+  }
+
+  if (tag.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to restore this tag");
+  }
+
+  if (!tag.isDeleted) {
+    throw new BadRequestError('Tag is not deleted');
+  }
+
+  return await prisma.tag.update({
+    where: { id },
+    data: { isDeleted: false }
+  });
+};
@@ -0,0 +1,209 @@
+import { prisma } from '../config/db.js';
+import { NotFoundError, ForbiddenError } from '../utils/errors.js';
+
+/**
+ * Change history of transactions.
+ *
+ * Every create, update, delete, restore and revert stores a version holding
+ * the full state of the transaction right after the change, so any version
+ * can be restored and diffs are computed between consecutive versions.
+ * Versions are written inside the same database transaction as the change.
+ * Snapshots are canonical (sorted IDs and split lines, numeric amounts) so
+ * that an update which changes nothing can be recognized and skipped; the
+ * migration that introduced versions writes the same shape.
+ */
+
+// Fields of a snapshot, in the order diffs list them
+export const SNAPSHOT_FIELDS = [
+  'type',
+  'amount',
+  'currency',
+  'accountId',
+  'date',
+  'description',
+  'notes',
+  'payeeId',
+  'categoryIds',
+  'tagIds',
+  'splits',
+  'isDeleted'
+];
+
+const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const compareSplits = (a, b) =>
+  compareText(a.categoryId, b.categoryId) || a.amount - b.amount || compareText(a.memo || '', b.memo || '');
+
+/**
+ * Read the current state of a transaction as a snapshot
+ * @param {Object} tx - Prisma client or interactive transaction client
+ * @param {string} transactionId - Transaction ID
+ * @returns {Object} The snapshot
+ */
+export const snapshotTransaction = async (tx, transactionId) => {
+  const transaction = await tx.transaction.findUnique({
+    where: { id: transactionId },
+    include: {
+      categories: { select: { id: true } },
+      tags: { select: { id: true } },
+      splits: { select: { categoryId: true, amount: true, memo: true } }
+    }
+  });
+
+  if (!transaction) {
+    throw new NotFoundError('Transaction not found');
+  }
+
+  return {
+    type: transaction.type,
+    amount: Number(transaction.amount),
+    currency: transaction.currency,
+    accountId: transaction.accountId,
+    date: transaction.date.toISOString(),
+    description: transaction.description,
+    notes: transaction.notes,
+    payeeId: transaction.payeeId,
+    categoryIds: transaction.categories.map(category => category.id).sort(compareText),
+    tagIds: transaction.tags.map(tag => tag.id).sort(compareText),
+    splits: transaction.splits
+      .map(split => ({ categoryId: split.categoryId, amount: Number(split.amount), memo: split.memo }))
+      .sort(compareSplits),
+    isDeleted: transaction.isDeleted
+  };
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level differences between two snapshots; without a previous
+ * snapshot every field counts as set
+ * @returns {Array} [{ field, from, to }]
+ */
+export const diffSnapshots = (previous, current) => SNAPSHOT_FIELDS
+  .filter(field => !previous || !isSameValue(previous[field], current[field]))
+  .map(field => ({
+    field,
+    from: previous ? previous[field] ?? null : null,
+    to: current[field] ?? null
+  }));
+
+/**
+ * Store a version for each of the given transactions after a change.
+ * Updates that leave a transaction as it was are not recorded.
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {Array} transactionIds - Changed transactions (both legs of a transfer)
+ * @param {string} action - TransactionChangeAction
+ * @param {string|null} changedById - User who made the change; null for the system
+ * @param {Object} options - { revertedToVersion }
+ */
+export const recordTransactionVersions = async (tx, transactionIds, action, changedById, options = {}) => {
+  for (const transactionId of transactionIds) {
+    const snapshot = await snapshotTransaction(tx, transactionId);
+    const latest = await tx.transactionVersion.findFirst({
+      where: { transactionId },
+      orderBy: { version: 'desc' },
+      select: { version: true, snapshot: true }
+    });
+
+    if ((action === 'UPDATE' || action === 'REVERT') && latest &&
+      diffSnapshots(latest.snapshot, snapshot).length === 0) {
+      continue;
+    }
+
+    await tx.transactionVersion.create({
+      data: {
+        transactionId,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        changedById,
+        snapshot,
+        revertedToVersion: options.revertedToVersion ?? null
+      }
+    });
+  }
+};
+
+/**
+ * Check that a transaction exists and belongs to the user. Deleted
+ * transactions keep their history, so they are not rejected here.
+ */
+const assertTransactionOwnership = async (transactionId, userId) => {
+  const transaction = await prisma.transaction.findUnique({
+    where: { id: transactionId },
+    select: { userId: true }
+  });
+
+  if (!transaction) {
+    throw new NotFoundError('Transaction not found');
+  }
+
+  if (transaction.userId !== userId) {
+    throw new ForbiddenError("You don't have permission to view this transaction");
+  }
+};
+
+const CHANGED_BY_SELECT = { select: { id: true, username: true } };
+
+/**
+ * Get the history of a transaction, newest first, with the fields each
+ * version changed compared with the one before it
+ * @param {string} transactionId - Transaction ID
+ * @param {string} userId - User ID
+ * @param {Object} options - { page, limit }
+ * @returns {Object} { versions, pagination }
+ */
+export const getTransactionHistory = async (transactionId, userId, options = {}) => {
+  const { page = 1, limit = 20 } = options;
+
+  await assertTransactionOwnership(transactionId, userId);
+
+  const skip = (page - 1) * limit;
+
+  // One extra, older version is read as the base for the oldest diff on the page
+  const [versions, totalCount] = await Promise.all([
+    prisma.transactionVersion.findMany({
+      where: { transactionId },
+      orderBy: { version: 'desc' },
+      skip,
+      take: limit + 1,
+      include: { changedBy: CHANGED_BY_SELECT }
+    }),
+    prisma.transactionVersion.count({ where: { transactionId } })
+  ]);
+
+  return {
+    versions: versions.slice(0, limit).map(({ snapshot, changedById, ...version }, index) => ({
+      ...version,
+      changes: diffSnapshots(versions[index + 1]?.snapshot || null, snapshot)
+    })),
+    pagination: {
+      total: totalCount,
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(totalCount / limit)
+    }
+  };
+};
+
+/**
+ * Get one version of a transaction with its full snapshot
+ * @param {string} transactionId - Transaction ID
+ * @param {number} version - Version number
+ * @param {string} userId - User ID
+ * @returns {Object} The version
+ */
+export const getTransactionVersion = async (transactionId, version, userId) => {
+  await assertTransactionOwnership(transactionId, userId);
+
+  const transactionVersion = await prisma.transactionVersion.findUnique({
+    where: { transactionId_version: { transactionId, version } },
+    include: { changedBy: CHANGED_BY_SELECT }
+  });
+
+  if (!transactionVersion) {
+    throw new NotFoundError(`Version ${version} of this transaction not found`);
+  }
+
+  const { changedById, ...result } = transactionVersion;
+  return result;
+};
@@ -1,14 +1,302 @@
+import { randomUUID } from "crypto";
+import { Prisma } from "@prisma/client";
 import { prisma } from "../config/db.js";
 import { logger } from "../utils/logger.js";
 import { getTransactionTypes } from "./categoryService.js";
+import { applyBalanceEffect, assertAccountOwnership } from "./accountService.js";
+import { replaceTransactionSplits, assertSplitsMatchAmount } from "./splitService.js";
+import { convertAmount, exchangeRateSql, getBaseCurrency, normalizeCurrency } from "./currencyService.js";
+import { refreshBudgetAlerts } from "./budgetService.js";
+import { assertGoalAllocationsFit, recalculateGoalsForTransactions } from "./goalService.js";
+import { applyCategorizationRules } from "./categorizationRuleService.js";
+import { invalidateCategoryModel, learnCategorizedTransaction } from "./categorySuggestionService.js";
+import { ACTIVE_TAGS, assertTagOwnership } from "./tagService.js";
+import { PAYEE_SUMMARY, assertPayeeOwnership, resolvePayeeId } from "./payeeService.js";
+import { recordTransactionVersions, snapshotTransaction, getTransactionVersion } from "./transactionHistoryService.js";
+import { NotFoundError, BadRequestError } from "../utils/errors.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
 
 // Cache for transaction types to avoid excessive database queries
 let transactionTypesCache = null;
 let lastCacheTime = null;
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
 
+// Listings are ordered newest first, with the ID breaking ties between
+// transactions on the same date so that the order is stable
+const LISTING_ORDER = [{ date: 'desc' }, { id: 'desc' }];
+
 /**
- * Create a new transaction
+ * Page through transactions matching a where clause, newest first.
+ * With a cursor the page is found by keyset over (date, id), which stays
+ * fast on long histories and neither skips nor repeats rows when new
+ * transactions arrive; without one the page/limit offset is used. Both
+ * modes return nextCursor and prevCursor so offset clients can switch over.
+ * @param {Object} where - Prisma where clause
+ * @param {Object} options - { page, limit, cursor, include }
+ * @returns {Object} Transactions with pagination info
+ */
+const paginateTransactions = async (where, options = {}) => {
+  const { page = 1, limit = 10, cursor = null, include } = options;
+
+  if (!cursor) {
+    const [transactions, total] = await Promise.all([
+      prisma.transaction.findMany({
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: LISTING_ORDER,
+        include
+      }),
+      prisma.transaction.count({ where })
+    ]);
+
+    const first = transactions[0];
+    const last = transactions[transactions.length - 1];
+
+    return {
+      transactions,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        nextCursor: last && page * limit < total ? encodeCursor(last, 'next') : null,
+        prevCursor: first && page > 1 ? encodeCursor(first, 'prev') : null
+      }
+    };
+  }
+
+  const { date, id, direction } = decodeCursor(cursor);
+  const forward = direction === 'next';
+  const comparison = forward ? 'lt' : 'gt';
+
+  // Fetch one extra row to know whether another page follows
+  const rows = await prisma.transaction.findMany({
+    where: {
+      AND: [
+        where,
+        {
+          OR: [
+            { date: { [comparison]: date } },
+            { date, id: { [comparison]: id } }
+          ]
+        }
+      ]
+    },
+    take: limit + 1,
+    orderBy: forward ? LISTING_ORDER : [{ date: 'asc' }, { id: 'asc' }],
+    include
+  });
+
+  return takeKeysetPage(rows, limit, forward);
+};
+
+/**
+ * Turn the rows of a keyset query (fetched with one extra row, in the
+ * direction of travel) into a page in listing order with its cursors
+ * @param {Array} rows - Up to limit + 1 rows
+ * @param {number} limit - Items per page
+ * @param {boolean} forward - Whether the query moved towards older rows
+ * @returns {Object} { transactions, pagination }
+ */
+const takeKeysetPage = (rows, limit, forward) => {
+  const hasMore = rows.length > limit;
+  const transactions = rows.slice(0, limit);
+  if (!forward) {
+    transactions.reverse();
+  }
+
+  const first = transactions[0];
+  const last = transactions[transactions.length - 1];
+
+  return {
+    transactions,
+    pagination: {
+      limit,
+      nextCursor: last && (forward ? hasMore : true) ? encodeCursor(last, 'next') : null,
+      prevCursor: first && (forward ? true : hasMore) ? encodeCursor(first, 'prev') : null
+    }
+  };
+};
+
+/**
+ * Work out the currency of a transaction. A transaction on an account is
+ * always in the account's currency, since it changes that account's
+ * balance; otherwise it defaults to the user's base currency.
+ * @param {Object|null} account - Account the transaction is on
+ * @param {string} currency - Requested currency, if any
+ * @param {string} userId - User ID
+ * @returns {string} Currency code
+ */
+const resolveTransactionCurrency = async (account, currency, userId) => {
+  const requested = currency ? normalizeCurrency(currency) : null;
+
+  if (account) {
+    if (requested && requested !== account.currency) {
+      throw new BadRequestError(`Transactions on this account must be in ${account.currency}`);
+    }
+    return account.currency;
+  }
+
+  return requested || getBaseCurrency(userId);
+};
+
+/**
+ * Amount credited to the destination of a transfer. Between accounts in
+ * different currencies it is converted at the rate for the transfer date
+ * unless the caller gives the exact amount received (toAmount).
+ */
+const getTransferInAmount = async (tx, amount, fromAccount, toAccount, date, toAmount) => {
+  if (fromAccount.currency === toAccount.currency) {
+    return amount;
+  }
+
+  if (toAmount !== undefined && toAmount !== null) {
+    return Math.abs(Number(toAmount));
+  }
+
+  const converted = await convertAmount(amount, fromAccount.currency, toAccount.currency, date || new Date(), tx);
+
+  if (converted === null) {
+    throw new BadRequestError(
+      `No exchange rate from ${fromAccount.currency} to ${toAccount.currency}; provide toAmount for this transfer`
+    );
+  }
+
+  return Math.round(converted * 100) / 100;
+};
+
+/**
+ * Create both legs of a transfer between two accounts.
+ * The legs share a transferId; the OUT leg debits the source account and
+ * the IN leg credits the destination account. Each leg is in its account's
+ * currency, so the IN amount differs when the currencies do.
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {Object} transferData - Transaction data with accountId, toAccountId and optional toAmount
+ * @returns {Object} The outgoing leg with the incoming leg as linkedTransaction
+ */
+export const createTransferLegs = async (tx, transferData) => {
+  const { toAccountId, toAmount, currency, ...data } = transferData;
+
+  if (!data.accountId || !toAccountId) {
+    throw new BadRequestError('Transfers require both a source account and a destination account');
+  }
+
+  if (data.accountId === toAccountId) {
+    throw new BadRequestError('Source and destination accounts must be different');
+  }
+
+  const fromAccount = await assertAccountOwnership(tx, data.accountId, data.userId);
+  const toAccount = await assertAccountOwnership(tx, toAccountId, data.userId);
+
+  const transferId = randomUUID();
+  const legData = {
+    ...data,
+    type: 'TRANSFER',
+    amount: Math.abs(Number(data.amount)),
+    transferId
+  };
+  const incomingAmount = await getTransferInAmount(tx, legData.amount, fromAccount, toAccount, data.date, toAmount);
+
+  const outgoing = await tx.transaction.create({
+    data: { ...legData, currency: fromAccount.currency, transferDirection: 'OUT' }
+  });
+
+  const incoming = await tx.transaction.create({
+    data: {
+      ...legData,
+      accountId: toAccountId,
+      currency: toAccount.currency,
+      amount: incomingAmount,
+      transferDirection: 'IN'
+    }
+  });
+
+  await applyBalanceEffect(tx, outgoing);
+  await applyBalanceEffect(tx, incoming);
+
+  return { ...outgoing, linkedTransaction: incoming };
+};
+
+/**
+ * Insert a transaction (or both legs of a transfer) and update account
+ * balances using an existing database transaction
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {Object} transactionData - The transaction data, optionally with a
+ *   categoryId or split lines of { categoryId, amount, memo }, tagIds and
+ *   payeeId; without a payeeId the payee is resolved from the description
+ * @param {Object} options - { changedBy } for the history; defaults to the
+ *   owner, null marks a transaction created by the system
+ * @returns {Object} Created transaction
+ */
+export const insertTransaction = async (tx, transactionData, options = {}) => {
+  const { splits, categoryId, tagIds, ...rest } = transactionData;
+  const changedBy = options.changedBy !== undefined ? options.changedBy : rest.userId;
+
+  // Both legs of a transfer carry the same tags
+  if (tagIds && tagIds.length > 0) {
+    const tags = await assertTagOwnership(tx, tagIds, rest.userId);
+    rest.tags = { connect: tags.map(tag => ({ id: tag.id })) };
+  }
+
+  // Transfers stay between the user's own accounts, so they only get a payee when given one
+  if (rest.payeeId) {
+    await assertPayeeOwnership(tx, rest.payeeId, rest.userId);
+  } else if (rest.payeeId === undefined && rest.type !== 'TRANSFER') {
+    rest.payeeId = await resolvePayeeId(tx, rest.userId, rest.description);
+  }
+
+  if (rest.type === 'TRANSFER') {
+    if (splits && splits.length > 0) {
+      throw new BadRequestError('Transfers cannot be split');
+    }
+    const transfer = await createTransferLegs(tx, rest);
+    await recordTransactionVersions(tx, [transfer.id, transfer.linkedTransaction.id], 'CREATE', changedBy);
+    return transfer;
+  }
+
+  const { toAccountId, toAmount, ...data } = rest;
+
+  const account = data.accountId
+    ? await assertAccountOwnership(tx, data.accountId, data.userId)
+    : null;
+
+  data.currency = await resolveTransactionCurrency(account, data.currency, data.userId);
+
+  if (categoryId && !data.categories) {
+    data.categories = { connect: [{ id: categoryId }] };
+  }
+
+  const created = await tx.transaction.create({
+    data
+  });
+
+  if (splits && splits.length > 0) {
+    created.splits = await replaceTransactionSplits(tx, created, splits);
+  }
+
+  await applyBalanceEffect(tx, created);
+  await recordTransactionVersions(tx, [created.id], 'CREATE', changedBy);
+
+  return created;
+};
+
+/**
+ * Category lines of transaction data, for teaching category suggestions
+ */
+const getCategorizedLines = ({ splits, categoryId, amount }) => {
+  if (splits && splits.length > 0) {
+    return splits;
+  }
+  return categoryId ? [{ categoryId, amount }] : [];
+};
+
+// Changing any of these can change what a transaction teaches the category suggestion model
+const CATEGORY_MODEL_FIELDS = ['type', 'amount', 'description', 'categoryId', 'categories', 'splits'];
+
+/**
+ * Create a new transaction. The user's categorization rules fill in the
+ * category, tags and payee when the caller did not give them.
  * @param {Object} transactionData - The transaction data
  * @returns {Object} Created transaction
  */
@@ -16,8 +304,10 @@ export const createTransaction = async (transactionData) => {
   try {
     logger.info('Creating new transaction', { userId: transactionData.userId });
     
-    const transaction = await prisma.transaction.create({
-      data: transactionData
+    let categorizedData = transactionData;
+    const transaction = await prisma.$transaction(async (tx) => {
+      categorizedData = await applyCategorizationRules(tx, transactionData);
+      return insertTransaction(tx, categorizedData);
     });
     
     logger.info('Transaction created successfully', { 
@@ -25,6 +315,9 @@ export const createTransaction = async (transactionData) => {
       userId: transaction.userId 
     });
     
+    learnCategorizedTransaction(transaction.userId, categorizedData, getCategorizedLines(categorizedData));
+    await refreshBudgetAlerts([transaction]);
+    
     return transaction;
   } catch (error) {
     logger.error('Failed to create transaction', { 
@@ -36,26 +329,194 @@ export const createTransaction = async (transactionData) => {
   }
 };
 
+/**
+ * Update both legs of a transfer together.
+ * Shared fields (amount, date, description, notes) are written to both legs;
+ * accountId moves the edited leg and toAccountId moves the other one.
+ * Between accounts in different currencies the other leg's amount is
+ * toAmount, or the edited leg's amount converted at the transfer date.
+ */
+const updateTransferLegs = async (tx, existing, transactionData) => {
+  const { type, toAccountId, toAmount, accountId, splits, categoryId, currency, ...sharedData } = transactionData;
+
+  if (type && type !== 'TRANSFER') {
+    throw new BadRequestError('The type of a transfer cannot be changed; delete it and create a new transaction instead');
+  }
+
+  if (splits && splits.length > 0) {
+    throw new BadRequestError('Transfers cannot be split');
+  }
+
+  const legs = await tx.transaction.findMany({
+    where: { transferId: existing.transferId }
+  });
+  const counterpart = legs.find(leg => leg.id !== existing.id);
+
+  if (!counterpart) {
+    throw new NotFoundError('Linked transfer transaction not found');
+  }
+
+  const legAccountId = accountId || existing.accountId;
+  const counterpartAccountId = toAccountId || counterpart.accountId;
+
+  if (legAccountId === counterpartAccountId) {
+    throw new BadRequestError('Source and destination accounts must be different');
+  }
+
+  const legAccount = await assertAccountOwnership(tx, legAccountId, existing.userId);
+  const counterpartAccount = await assertAccountOwnership(tx, counterpartAccountId, existing.userId);
+
+  const { amount, ...otherData } = sharedData;
+  const legAmount = amount !== undefined ? Math.abs(Number(amount)) : Number(existing.amount);
+
+  // The other leg's amount only needs recalculating when something it depends on changed
+  const needsCounterpartAmount = amount !== undefined || toAmount !== undefined ||
+    legAccount.currency !== existing.currency || counterpartAccount.currency !== counterpart.currency;
+  const counterpartAmount = needsCounterpartAmount
+    ? await getTransferInAmount(tx, legAmount, legAccount, counterpartAccount, otherData.date || existing.date, toAmount)
+    : Number(counterpart.amount);
+
+  await applyBalanceEffect(tx, existing, -1);
+  await applyBalanceEffect(tx, counterpart, -1);
+
+  const updated = await tx.transaction.update({
+    where: { id: existing.id },
+    data: { ...otherData, amount: legAmount, accountId: legAccountId, currency: legAccount.currency }
+  });
+
+  const updatedCounterpart = await tx.transaction.update({
+    where: { id: counterpart.id },
+    data: {
+      ...otherData,
+      amount: counterpartAmount,
+      accountId: counterpartAccountId,
+      currency: counterpartAccount.currency
+    }
+  });
+
+  await applyBalanceEffect(tx, updated);
+  await applyBalanceEffect(tx, updatedCounterpart);
+
+  await assertGoalAllocationsFit(tx, updated);
+  await assertGoalAllocationsFit(tx, updatedCounterpart);
+
+  return { ...updated, linkedTransaction: updatedCounterpart };
+};
+
+/**
+ * Update a transaction using an existing database transaction; see
+ * updateTransaction, which wraps it in its own
+ * @param {Object} tx - Prisma interactive transaction client
+ * @returns {Object} Updated transaction
+ */
+export const applyTransactionUpdate = async (tx, id, transactionData, options = {}) => {
+  const existing = await tx.transaction.findUnique({
+    where: { id }
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Transaction not found');
+  }
+
+  const recordChange = (transactionIds) => recordTransactionVersions(
+    tx,
+    transactionIds,
+    options.action || 'UPDATE',
+    options.changedBy !== undefined ? options.changedBy : existing.userId,
+    { revertedToVersion: options.revertedToVersion }
+  );
+
+  // Tags are replaced as a whole (on both legs of a transfer)
+  const { tagIds, ...changes } = transactionData;
+  if (tagIds !== undefined) {
+    const tags = await assertTagOwnership(tx, tagIds, existing.userId);
+    changes.tags = { set: tags.map(tag => ({ id: tag.id })) };
+  }
+
+  if (changes.payeeId) {
+    await assertPayeeOwnership(tx, changes.payeeId, existing.userId);
+  }
+
+  if (existing.transferId) {
+    const transfer = await updateTransferLegs(tx, existing, changes);
+    await recordChange([transfer.id, transfer.linkedTransaction.id]);
+    return transfer;
+  }
+
+  if (changes.type === 'TRANSFER') {
+    throw new BadRequestError('A transaction cannot be turned into a transfer; create a new transfer instead');
+  }
+
+  const { toAccountId, toAmount, splits, categoryId, ...data } = changes;
+
+  // Moving to another account, or changing the currency, must keep the two consistent
+  if (data.accountId !== undefined || data.currency !== undefined) {
+    const accountId = data.accountId !== undefined ? data.accountId : existing.accountId;
+    const account = accountId
+      ? await assertAccountOwnership(tx, accountId, existing.userId)
+      : null;
+    data.currency = account || data.currency
+      ? await resolveTransactionCurrency(account, data.currency, existing.userId)
+      : existing.currency;
+  }
+
+  if (categoryId && splits === undefined) {
+    data.categories = { set: [{ id: categoryId }] };
+  }
+
+  // Reverse the old balance effect before applying the updated one
+  await applyBalanceEffect(tx, existing, -1);
+
+  const updated = await tx.transaction.update({
+    where: { id },
+    data
+  });
+
+  // Splits are replaced as a whole; otherwise existing ones must still add up
+  if (splits !== undefined) {
+    updated.splits = await replaceTransactionSplits(tx, updated, splits);
+  } else if (data.amount !== undefined) {
+    await assertSplitsMatchAmount(tx, updated);
+  }
+
+  await applyBalanceEffect(tx, updated);
+
+  // Money allocated to saving goals must still be covered by the transaction
+  if (data.amount !== undefined || data.currency !== undefined) {
+    await assertGoalAllocationsFit(tx, updated);
+  }
+
+  await recordChange([updated.id]);
+
+  return updated;
+};
+
 /**
  * Update an existing transaction
- * @param {number} id - Transaction ID
+ * @param {string} id - Transaction ID
  * @param {Object} transactionData - Updated transaction data
+ * @param {Object} options - { changedBy, action, revertedToVersion } for the
+ *   history; changedBy defaults to the owner
  * @returns {Object} Updated transaction
  */
-export const updateTransaction = async (id, transactionData) => {
+export const updateTransaction = async (id, transactionData, options = {}) => {
   try {
     logger.info('Updating transaction', { transactionId: id });
     
-    const transaction = await prisma.transaction.update({
-      where: { id },
-      data: transactionData
-    });
+    const transaction = await prisma.$transaction((tx) => applyTransactionUpdate(tx, id, transactionData, options));
     
     logger.info('Transaction updated successfully', { 
       transactionId: transaction.id,
       userId: transaction.userId 
     });
     
+    // Edits are how users correct categories, so suggestions retrain on them
+    if (CATEGORY_MODEL_FIELDS.some(field => transactionData[field] !== undefined)) {
+      invalidateCategoryModel(transaction.userId);
+    }
+    
+    await refreshBudgetAlerts([transaction]);
+    
     return transaction;
   } catch (error) {
     logger.error('Failed to update transaction', { 
@@ -69,23 +530,70 @@ export const updateTransaction = async (id, transactionData) => {
 };
 
 /**
- * Delete a transaction
- * @param {number} id - Transaction ID
+ * Soft delete a transaction (both legs of a transfer) using an existing
+ * database transaction; see deleteTransaction
+ * @param {Object} tx - Prisma interactive transaction client
  * @returns {Object} Deleted transaction
  */
-export const deleteTransaction = async (id) => {
+export const applyTransactionDelete = async (tx, id, options = {}) => {
+  const existing = await tx.transaction.findUnique({
+    where: { id }
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Transaction not found');
+  }
+
+  if (existing.isDeleted) {
+    throw new BadRequestError('Transaction is already deleted');
+  }
+
+  const legs = existing.transferId
+    ? await tx.transaction.findMany({ where: { transferId: existing.transferId, isDeleted: false } })
+    : [existing];
+
+  for (const leg of legs) {
+    await applyBalanceEffect(tx, leg, -1);
+  }
+
+  await tx.transaction.updateMany({
+    where: { id: { in: legs.map(leg => leg.id) } },
+    data: { isDeleted: true }
+  });
+
+  // Allocations from deleted transactions stop counting towards their goals
+  await recalculateGoalsForTransactions(tx, legs.map(leg => leg.id));
+
+  await recordTransactionVersions(
+    tx,
+    legs.map(leg => leg.id),
+    'DELETE',
+    options.changedBy !== undefined ? options.changedBy : existing.userId
+  );
+
+  return { ...existing, isDeleted: true };
+};
+
+/**
+ * Soft delete a transaction.
+ * Deleting either leg of a transfer deletes both legs.
+ * @param {string} id - Transaction ID
+ * @param {Object} options - { changedBy } for the history; defaults to the owner
+ * @returns {Object} Deleted transaction
+ */
+export const deleteTransaction = async (id, options = {}) => {
   try {
     logger.info('Deleting transaction', { transactionId: id });
     
-    const transaction = await prisma.transaction.delete({
-      where: { id }
-    });
+    const transaction = await prisma.$transaction((tx) => applyTransactionDelete(tx, id, options));
     
     logger.info('Transaction deleted successfully', { 
       transactionId: transaction.id,
       userId: transaction.userId 
     });
     
+    invalidateCategoryModel(transaction.userId);
+    
     return transaction;
   } catch (error) {
     logger.error('Failed to delete transaction', { 
@@ -145,7 +653,7 @@ export const getTransactions = async (page = 1, limit = 10) => {
 
 /**
  * Get a transaction by ID
- * @param {number} id - Transaction ID
+ * @param {string} id - Transaction ID
  * @returns {Object} Transaction
  */
 export const getTransactionById = async (id) => {
@@ -153,7 +661,16 @@ export const getTransactionById = async (id) => {
     logger.info('Retrieving transaction by ID', { transactionId: id });
     
     const transaction = await prisma.transaction.findUnique({
-      where: { id }
+      where: { id },
+      include: {
+        categories: true,
+        tags: ACTIVE_TAGS,
+        payee: PAYEE_SUMMARY,
+        splits: { include: { category: { select: { id: true, name: true } } } },
+        goalContributions: {
+          select: { id: true, amount: true, goal: { select: { id: true, name: true } } }
+        }
+      }
     });
     
     if (!transaction) {
@@ -294,65 +811,16 @@ export const getTransactionByType = async (type, page = 1, limit = 10) => {
 };
 
 /**
- * Get transactions by description
- * @param {string} description - Transaction description
+ * Get a user's transactions by description, through the full-text search
+ * (which also covers category names and notes), most relevant first
+ * @param {string} userId - User ID
+ * @param {string} description - Words to look for; web search syntax is accepted
  * @param {number} page - Page number
  * @param {number} limit - Items per page
  * @returns {Object} Transactions with pagination info
  */
-export const getTransactionByDescription = async (description, page = 1, limit = 10) => {
-  try {
-    logger.info('Retrieving transactions by description', { description, page, limit });
-    
-    const skip = (page - 1) * limit;
-    const [transactions, total] = await Promise.all([
-      prisma.transaction.findMany({
-        where: { 
-          description: {
-            contains: description,
-            mode: 'insensitive'
-          }
-        },
-        skip,
-        take: limit,
-        orderBy: { createdAt: 'desc' }
-      }),
-      prisma.transaction.count({
-        where: {
-          description: {
-            contains: description,
-            mode: 'insensitive'
-          }
-        }
-      })
-    ]);
-    
-    logger.info('Transactions by description retrieved successfully', { 
-      description,
-      count: transactions.length,
-      total
-    });
-    
-    return {
-      transactions,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit)
-      }
-    };
-  } catch (error) {
-    logger.error('Failed to retrieve transactions by description', { 
-      error: error.message,
-      stack: error.stack,
-      description,
-      page,
-      limit
-    });
-    throw error;
-  }
-};
+export const getTransactionByDescription = (userId, description, page = 1, limit = 10) =>
+  searchTransactions(description, page, limit, userId);
 
 /**
  * Get transactions by amount range
@@ -424,38 +892,84 @@ export const getTransactionByAmount = async (minAmount, maxAmount, page = 1, lim
 };
 
 /**
- * Get transactions by category
- * @param {string} category - Transaction category
+ * Get a user's transactions in a category.
+ * A split transaction matches through its split lines and counts only the
+ * split amounts for the category; an unsplit one counts its full amount.
+ * @param {string} userId - User ID
+ * @param {string} categoryId - Category ID
  * @param {number} page - Page number
  * @param {number} limit - Items per page
- * @returns {Object} Transactions with pagination info
+ * @returns {Object} Transactions with their categoryAmount, the category total in the user's base currency and pagination info
  */
-export const getTransactionByCategory = async (category, page = 1, limit = 10) => {
+export const getTransactionByCategory = async (userId, categoryId, page = 1, limit = 10) => {
   try {
-    logger.info('Retrieving transactions by category', { category, page, limit });
+    logger.info('Retrieving transactions by category', { userId, categoryId, page, limit });
+    
+    const where = {
+      userId,
+      isDeleted: false,
+      OR: [
+        { splits: { some: { categoryId } } },
+        { splits: { none: {} }, categories: { some: { id: categoryId } } }
+      ]
+    };
+    
+    const baseCurrency = await getBaseCurrency(userId);
+    const rateSql = exchangeRateSql(Prisma.sql`t.currency`, baseCurrency, Prisma.sql`t.date`);
     
     const skip = (page - 1) * limit;
-    const [transactions, total] = await Promise.all([
+    const [transactions, total, [totals]] = await Promise.all([
       prisma.transaction.findMany({
-        where: { categoryId: category },
+        where,
         skip,
         take: limit,
-        orderBy: { createdAt: 'desc' },
-        include: { category: true }
+        orderBy: { date: 'desc' },
+        include: {
+          categories: true,
+          splits: { include: { category: { select: { id: true, name: true } } } }
+        }
       }),
-      prisma.transaction.count({
-        where: { categoryId: category }
-      })
+      prisma.transaction.count({ where }),
+      prisma.$queryRaw`
+        SELECT COALESCE(SUM(line.amount), 0) AS "totalAmount"
+        FROM (
+          SELECT ABS(s.amount) * ${rateSql} AS amount
+          FROM transaction_splits s
+          JOIN transactions t ON t.id = s."transactionId"
+          WHERE s."categoryId" = ${categoryId}
+            AND t."userId" = ${userId}
+            AND t."isDeleted" = false
+          UNION ALL
+          SELECT ABS(t.amount) * ${rateSql}
+          FROM transactions t
+          JOIN "_CategoryToTransaction" ct ON ct."B" = t.id
+          WHERE ct."A" = ${categoryId}
+            AND t."userId" = ${userId}
+            AND t."isDeleted" = false
+            AND NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s."transactionId" = t.id)
+        ) AS line
+      `
     ]);
     
+    const withCategoryAmounts = transactions.map(transaction => ({
+      ...transaction,
+      categoryAmount: transaction.splits.length > 0
+        ? transaction.splits
+          .filter(split => split.categoryId === categoryId)
+          .reduce((sum, split) => sum + Math.abs(Number(split.amount)), 0)
+        : Math.abs(Number(transaction.amount))
+    }));
+    
     logger.info('Transactions by category retrieved successfully', { 
-      category,
+      categoryId,
       count: transactions.length,
       total
     });
     
     return {
-      transactions,
+      transactions: withCategoryAmounts,
+      totalAmount: Number(totals.totalAmount),
+      currency: baseCurrency,
       pagination: {
         total,
         page,
@@ -467,7 +981,8 @@ export const getTransactionByCategory = async (category, page = 1, limit = 10) =
     logger.error('Failed to retrieve transactions by category', { 
       error: error.message,
       stack: error.stack,
-      category,
+      userId,
+      categoryId,
       page,
       limit
     });
@@ -478,43 +993,27 @@ export const getTransactionByCategory = async (category, page = 1, limit = 10) =
 /**
  * Get transactions by user ID
  * @param {number} userId - User ID
- * @param {number} page - Page number
+ * @param {number} page - Page number (offset mode)
  * @param {number} limit - Items per page
+ * @param {string} cursor - Cursor from a previous page (cursor mode)
  * @returns {Object} Transactions with pagination info
  */
-export const getTransactionByUserId = async (userId, page = 1, limit = 10) => {
+export const getTransactionByUserId = async (userId, page = 1, limit = 10, cursor = null) => {
   try {
-    logger.info('Retrieving transactions by user ID', { userId, page, limit });
+    logger.info('Retrieving transactions by user ID', { userId, page, limit, cursor });
     
-    const skip = (page - 1) * limit;
-    const [transactions, total] = await Promise.all([
-      prisma.transaction.findMany({
-        where: { userId },
-        skip,
-        take: limit,
-        orderBy: { createdAt: 'desc' },
-        include: { category: true }
-      }),
-      prisma.transaction.count({
-        where: { userId }
-      })
-    ]);
+    const result = await paginateTransactions(
+      { userId, isDeleted: false },
+      { page, limit, cursor, include: { categories: true } }
+    );
     
     logger.info('Transactions by user ID retrieved successfully', { 
       userId,
-      count: transactions.length,
-      total
+      count: result.transactions.length,
+      total: result.pagination.total
     });
     
-    return {
-      transactions,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit)
-      }
-    };
+    return result;
   } catch (error) {
     logger.error('Failed to retrieve transactions by user ID', { 
       error: error.message,
@@ -527,58 +1026,140 @@ export const getTransactionByUserId = async (userId, page = 1, limit = 10) => {
   }
 };
 
+export const SEARCH_SORTS = ['relevance', 'date'];
+
+// Snippets mark matches with <mark>; the source text is HTML-escaped first
+const SNIPPET_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=20, MinWords=5, MaxFragments=2, FragmentDelimiter=" ... "';
+
+const escapedTextSql = (column) => Prisma.sql`
+  replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')
+`;
+
 /**
- * Search transactions by keyword
- * @param {string} keyword - Search keyword
- * @param {number} page - Page number
+ * Full-text search over description, category names and notes, using the
+ * trigger-maintained tsvector. The keyword accepts web search syntax
+ * ("quoted phrases", or, -excluded). Results are ranked by relevance
+ * (offset pagination) or listed newest first (offset or cursor pagination;
+ * a cursor implies date order). Each transaction carries its rank and
+ * highlighted snippets of the description and notes.
+ * @param {string} keyword - Search query
+ * @param {number} page - Page number (offset mode)
  * @param {number} limit - Items per page
+ * @param {string} userId - Only search this user's transactions
+ * @param {string} cursor - Cursor from a previous page (cursor mode)
+ * @param {string} sort - 'relevance' or 'date'
  * @returns {Object} Transactions with pagination info
  */
-export const searchTransactions = async (keyword, page = 1, limit = 10) => {
+export const searchTransactions = async (keyword, page = 1, limit = 10, userId = null, cursor = null, sort = 'relevance') => {
   try {
-    logger.info('Searching transactions', { keyword, page, limit });
-    
-    const skip = (page - 1) * limit;
-    const [transactions, total] = await Promise.all([
-      prisma.transaction.findMany({
-        where: {
-          OR: [
-            { description: { contains: keyword, mode: 'insensitive' } },
-            { notes: { contains: keyword, mode: 'insensitive' } },
-            { category: { name: { contains: keyword, mode: 'insensitive' } } }
-          ]
-        },
-        skip,
-        take: limit,
-        orderBy: { createdAt: 'desc' },
-        include: { category: true }
-      }),
-      prisma.transaction.count({
-        where: {
-          OR: [
-            { description: { contains: keyword, mode: 'insensitive' } },
-            { notes: { contains: keyword, mode: 'insensitive' } },
-            { category: { name: { contains: keyword, mode: 'insensitive' } } }
-          ]
-        }
-      })
+    logger.info('Searching transactions', { keyword, page, limit, userId, cursor, sort });
+
+    if (!SEARCH_SORTS.includes(sort)) {
+      throw new BadRequestError(`Sort must be one of: ${SEARCH_SORTS.join(', ')}`);
+    }
+
+    const query = Prisma.sql`websearch_to_tsquery('english', ${keyword})`;
+    const conditions = [
+      Prisma.sql`t."isDeleted" = false`,
+      Prisma.sql`t."searchVector" @@ ${query}`
+    ];
+    if (userId) {
+      conditions.push(Prisma.sql`t."userId" = ${userId}`);
+    }
+
+    const byRelevance = sort === 'relevance' && !cursor;
+    const keyset = cursor ? decodeCursor(cursor) : null;
+    const forward = !keyset || keyset.direction === 'next';
+
+    if (keyset) {
+      conditions.push(forward
+        ? Prisma.sql`(t."date", t."id") < (${keyset.date}::timestamp, ${keyset.id}::text)`
+        : Prisma.sql`(t."date", t."id") > (${keyset.date}::timestamp, ${keyset.id}::text)`);
+    }
+
+    const where = Prisma.join(conditions, ' AND ');
+    const orderBy = (alias) => {
+      const column = (name) => Prisma.raw(`${alias}."${name}"`);
+      if (byRelevance) {
+        return Prisma.sql`${column('rank')} DESC, ${column('date')} DESC, ${column('id')} DESC`;
+      }
+      return forward
+        ? Prisma.sql`${column('date')} DESC, ${column('id')} DESC`
+        : Prisma.sql`${column('date')} ASC, ${column('id')} ASC`;
+    };
+    const pageSql = keyset
+      ? Prisma.sql`LIMIT ${limit + 1}`
+      : Prisma.sql`LIMIT ${limit} OFFSET ${(page - 1) * limit}`;
+
+    // Snippets are only built for the rows on the page
+    const [matches, countResult] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT m."id", m."date", m."rank",
+          ts_headline('english', ${escapedTextSql(Prisma.sql`m."description"`)}, ${query}, ${SNIPPET_OPTIONS}) AS "descriptionSnippet",
+          ts_headline('english', ${escapedTextSql(Prisma.sql`m."notes"`)}, ${query}, ${SNIPPET_OPTIONS}) AS "notesSnippet"
+        FROM (
+          SELECT t."id", t."date", t."description", t."notes",
+            ts_rank_cd(t."searchVector", ${query}) AS "rank"
+          FROM "transactions" t
+          WHERE ${where}
+          ORDER BY ${orderBy('t')}
+          ${pageSql}
+        ) m
+        ORDER BY ${orderBy('m')}
+      `,
+      keyset
+        ? Promise.resolve(null)
+        : prisma.$queryRaw`SELECT COUNT(*)::int AS "total" FROM "transactions" t WHERE ${where}`
     ]);
-    
+
+    const rows = await prisma.transaction.findMany({
+      where: { id: { in: matches.map(match => match.id) } },
+      include: { categories: true }
+    });
+    const rowsById = new Map(rows.map(row => [row.id, row]));
+
+    const results = matches
+      .filter(match => rowsById.has(match.id))
+      .map(match => ({
+        ...rowsById.get(match.id),
+        search: {
+          rank: Number(match.rank),
+          snippets: {
+            description: match.descriptionSnippet,
+            notes: match.notesSnippet
+          }
+        }
+      }));
+
+    let result;
+    if (keyset) {
+      result = takeKeysetPage(results, limit, forward);
+    } else {
+      const total = countResult[0].total;
+      const first = results[0];
+      const last = results[results.length - 1];
+
+      result = {
+        transactions: results,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+          // Cursors follow date order, so relevance-ranked pages have none
+          nextCursor: !byRelevance && last && page * limit < total ? encodeCursor(last, 'next') : null,
+          prevCursor: !byRelevance && first && page > 1 ? encodeCursor(first, 'prev') : null
+        }
+      };
+    }
+
     logger.info('Transaction search completed', { 
       keyword,
-      resultsCount: transactions.length,
-      total
+      resultsCount: result.transactions.length,
+      total: result.pagination.total
     });
     
-    return {
-      transactions,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit)
-      }
-    };
+    return result;
   } catch (error) {
     logger.error('Failed to search transactions', { 
       error: error.message,
@@ -597,9 +1178,10 @@ export const searchTransactions = async (keyword, page = 1, limit = 10) => {
  * @param {string} period - Period (day, week, month, year)
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
+ * @param {Object} options - { groupBy }; grouping by tag adds a tagSummary
  * @returns {Object} Transaction summary with aggregated data
  */
-export const transactionSummary = async (userId, period, startDate, endDate) => {
+export const transactionSummary = async (userId, period, startDate, endDate, options = {}) => {
   try {
     logger.info('Generating transaction summary', { 
       userId, 
@@ -612,91 +1194,169 @@ export const transactionSummary = async (userId, period, startDate, endDate) =>
     const start = startDate ? new Date(startDate) : new Date(new Date().setDate(1));
     const end = endDate ? new Date(endDate) : new Date(new Date().setMonth(new Date().getMonth() + 1, 0));
     
-    // Get income, expenses and balance
-    const [income, expenses] = await Promise.all([
-      prisma.transaction.aggregate({
-        where: {
-          userId,
-          type: 'INCOME',
-          date: {
-            gte: start,
-            lte: end
-          }
-        },
-        _sum: { amount: true },
-        _count: true
-      }),
-      prisma.transaction.aggregate({
-        where: {
-          userId,
-          type: 'EXPENSE',
-          date: {
-            gte: start,
-            lte: end
-          }
-        },
-        _sum: { amount: true },
-        _count: true
-      })
-    ]);
-    
-    // Get transactions by category
-    const categoryTransactions = await prisma.transaction.groupBy({
-      by: ['categoryId'],
-      where: {
-        userId,
-        date: {
-          gte: start,
-          lte: end
-        }
-      },
-      _sum: { amount: true },
-      _count: true
-    });
-    
-    // Get category details
-    const categoryIds = categoryTransactions.map(ct => ct.categoryId);
-    const categories = await prisma.category.findMany({
-      where: { id: { in: categoryIds } }
-    });
+    // Amounts are converted into the user's base currency at the rate for
+    // each transaction's date; rows without a rate are counted separately
+    const baseCurrency = await getBaseCurrency(userId);
+    const rateSql = exchangeRateSql(Prisma.sql`t.currency`, baseCurrency, Prisma.sql`t.date`);
+    
+    // Get income, expenses and transfers (each transfer once, through its outgoing leg)
+    const totalsByType = await prisma.$queryRaw`
+      SELECT c.type::text AS type,
+             COUNT(*)::int AS count,
+             COALESCE(SUM(ABS(c.amount) * c.rate), 0) AS total,
+             (COUNT(*) FILTER (WHERE c.rate IS NULL))::int AS "unconverted"
+      FROM (
+        SELECT t.type, t.amount, ${rateSql} AS rate
+        FROM transactions t
+        WHERE t."userId" = ${userId}
+          AND t."isDeleted" = false
+          AND t.date >= ${start}
+          AND t.date <= ${end}
+          AND (t.type <> 'TRANSFER' OR t."transferDirection" = 'OUT')
+      ) c
+      GROUP BY c.type
+    `;
+    
+    const totalsFor = (type) => {
+      const row = totalsByType.find(totals => totals.type === type);
+      return { total: row ? Number(row.total) : 0, count: row ? row.count : 0 };
+    };
+    const income = totalsFor('INCOME');
+    const expenses = totalsFor('EXPENSE');
+    const transfers = totalsFor('TRANSFER');
+    const unconvertedCount = totalsByType.reduce((sum, totals) => sum + totals.unconverted, 0);
+    
+    // Get amounts by category. Split transactions contribute each split
+    // line; unsplit ones their full amount to each linked category (or to
+    // "Uncategorized"). Transfers only move money between the user's own
+    // accounts, so they are left out of the breakdown.
+    const categoryLines = await prisma.$queryRaw`
+      WITH scoped AS (
+        SELECT t.id, t.type, t.amount, ${rateSql} AS rate
+        FROM transactions t
+        WHERE t."userId" = ${userId}
+          AND t."isDeleted" = false
+          AND t.type <> 'TRANSFER'
+          AND t.date >= ${start}
+          AND t.date <= ${end}
+      ),
+      lines AS (
+        SELECT s."categoryId", ABS(s.amount) * t.rate AS amount, s."transactionId", t.type
+        FROM transaction_splits s
+        JOIN scoped t ON t.id = s."transactionId"
+        UNION ALL
+        SELECT ct."A", ABS(t.amount) * t.rate, t.id, t.type
+        FROM scoped t
+        LEFT JOIN "_CategoryToTransaction" ct ON ct."B" = t.id
+        WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s."transactionId" = t.id)
+      )
+      SELECT l."categoryId",
+             c.name AS "categoryName",
+             l.type::text AS type,
+             COUNT(DISTINCT l."transactionId")::int AS "transactionCount",
+             COALESCE(SUM(l.amount), 0) AS "totalAmount"
+      FROM lines l
+      LEFT JOIN categories c ON c.id = l."categoryId"
+      GROUP BY l."categoryId", c.name, l.type
+      ORDER BY "totalAmount" DESC
+    `;
     
     // Format category summary
-    const categorySummary = categoryTransactions.map(ct => {
-      const category = categories.find(c => c.id === ct.categoryId);
-      return {
-        categoryId: ct.categoryId,
-        categoryName: category?.name || 'Unknown',
-        transactionCount: ct._count,
-        totalAmount: ct._sum.amount
-      };
-    });
+    const categorySummary = categoryLines.map(line => ({
+      categoryId: line.categoryId,
+      categoryName: line.categoryName || (line.categoryId ? 'Unknown' : 'Uncategorized'),
+      type: line.type,
+      transactionCount: line.transactionCount,
+      totalAmount: Number(line.totalAmount)
+    }));
+    
+    // Get spending by payee, so e.g. every Amazon purchase adds up to one
+    // line whatever the bank called it; expenses without a payee are
+    // grouped under a null payee
+    const payeeLines = await prisma.$queryRaw`
+      SELECT t."payeeId",
+             p.name AS "payeeName",
+             COUNT(*)::int AS "transactionCount",
+             COALESCE(SUM(ABS(t.amount) * ${rateSql}), 0) AS "totalAmount"
+      FROM transactions t
+      LEFT JOIN payees p ON p.id = t."payeeId"
+      WHERE t."userId" = ${userId}
+        AND t."isDeleted" = false
+        AND t.type = 'EXPENSE'
+        AND t.date >= ${start}
+        AND t.date <= ${end}
+      GROUP BY t."payeeId", p.name
+      ORDER BY "totalAmount" DESC
+    `;
+    
+    const payeeSummary = payeeLines.map(line => ({
+      payeeId: line.payeeId,
+      payeeName: line.payeeName || 'No payee',
+      transactionCount: line.transactionCount,
+      totalAmount: Number(line.totalAmount)
+    }));
     
     // Calculate balance
-    const totalIncome = income._sum.amount || 0;
-    const totalExpenses = expenses._sum.amount || 0;
-    const balance = totalIncome - totalExpenses;
+    const balance = income.total - expenses.total;
     
     const summary = {
       period,
       startDate: start,
       endDate: end,
-      income: {
-        total: totalIncome,
-        count: income._count
-      },
-      expenses: {
-        total: totalExpenses,
-        count: expenses._count
-      },
+      currency: baseCurrency,
+      income,
+      expenses,
+      transfers,
       balance,
-      categorySummary
+      unconvertedCount,
+      categorySummary,
+      payeeSummary
     };
     
+    // Amounts by tag. A transaction counts in full towards each of its tags,
+    // so tag totals can add up to more than the overall totals; untagged
+    // transactions are grouped under a null tag.
+    if (options.groupBy === 'tag') {
+      const tagLines = await prisma.$queryRaw`
+        WITH scoped AS (
+          SELECT t.id, t.type, t.amount, ${rateSql} AS rate
+          FROM transactions t
+          WHERE t."userId" = ${userId}
+            AND t."isDeleted" = false
+            AND t.type <> 'TRANSFER'
+            AND t.date >= ${start}
+            AND t.date <= ${end}
+        ),
+        links AS (
+          SELECT tt."B" AS "transactionId", tg.id AS "tagId", tg.name AS "tagName"
+          FROM "_TagToTransaction" tt
+          JOIN tags tg ON tg.id = tt."A" AND tg."isDeleted" = false
+        )
+        SELECT l."tagId",
+               l."tagName",
+               t.type::text AS type,
+               COUNT(DISTINCT t.id)::int AS "transactionCount",
+               COALESCE(SUM(ABS(t.amount) * t.rate), 0) AS "totalAmount"
+        FROM scoped t
+        LEFT JOIN links l ON l."transactionId" = t.id
+        GROUP BY l."tagId", l."tagName", t.type
+        ORDER BY "totalAmount" DESC
+      `;
+      
+      summary.tagSummary = tagLines.map(line => ({
+        tagId: line.tagId,
+        tagName: line.tagName || 'Untagged',
+        type: line.type,
+        transactionCount: line.transactionCount,
+        totalAmount: Number(line.totalAmount)
+      }));
+    }
+    
     logger.info('Transaction summary generated successfully', { 
       userId,
       period,
-      incomeCount: income._count,
-      expenseCount: expenses._count,
+      incomeCount: income.count,
+      expenseCount: expenses.count,
       balance
     });
     
@@ -714,81 +1374,93 @@ export const transactionSummary = async (userId, period, startDate, endDate) =>
   }
 };
 
+/**
+ * Build the Prisma where clause for the transaction filter parameters.
+ * Shared by the paged filter endpoint and the export, so both select the
+ * same rows.
+ * @param {Object} filters - { userId, type, categoryId, accountId, payeeId, tagIds, tagMatch, startDate, endDate, minAmount, maxAmount, keyword }
+ * @returns {Object} Prisma where clause
+ */
+export const buildTransactionFilterWhere = (filters) => {
+  const {
+    userId,
+    type,
+    categoryId,
+    accountId,
+    payeeId,
+    tagIds,
+    tagMatch = 'any',
+    startDate,
+    endDate,
+    minAmount,
+    maxAmount,
+    keyword
+  } = filters;
+
+  const where = { isDeleted: false };
+
+  if (userId) where.userId = userId;
+  if (type) where.type = type;
+  if (categoryId) where.categories = { some: { id: categoryId } };
+  if (accountId) where.accountId = accountId;
+  if (payeeId) where.payeeId = payeeId;
+
+  // Transactions with any of the tags, or with all of them
+  if (tagIds && tagIds.length > 0) {
+    if (tagMatch === 'all') {
+      where.AND = tagIds.map(id => ({ tags: { some: { id, isDeleted: false } } }));
+    } else {
+      where.tags = { some: { id: { in: tagIds }, isDeleted: false } };
+    }
+  }
+
+  if (startDate || endDate) {
+    where.date = {};
+    if (startDate) where.date.gte = new Date(startDate);
+    if (endDate) where.date.lte = new Date(endDate);
+  }
+
+  if (minAmount || maxAmount) {
+    where.amount = {};
+    if (minAmount) where.amount.gte = parseFloat(minAmount);
+    if (maxAmount) where.amount.lte = parseFloat(maxAmount);
+  }
+
+  if (keyword) {
+    where.OR = [
+      { description: { contains: keyword, mode: 'insensitive' } },
+      { notes: { contains: keyword, mode: 'insensitive' } },
+      { categories: { some: { name: { contains: keyword, mode: 'insensitive' } } } }
+    ];
+  }
+
+  return where;
+};
+
 /**
  * Filter transactions by multiple criteria
  * @param {Object} filters - Filter criteria
- * @param {number} page - Page number
+ * @param {number} page - Page number (offset mode)
  * @param {number} limit - Items per page
+ * @param {string} cursor - Cursor from a previous page (cursor mode)
  * @returns {Object} Filtered transactions with pagination info
  */
-export const transactionFilter = async (filters, page = 1, limit = 10) => {
+export const transactionFilter = async (filters, page = 1, limit = 10, cursor = null) => {
   try {
-    logger.info('Filtering transactions', { filters, page, limit });
-    
-    const { 
-      userId, 
-      type, 
-      categoryId, 
-      startDate, 
-      endDate, 
-      minAmount, 
-      maxAmount, 
-      keyword 
-    } = filters;
-    
-    // Build where clause based on filters
-    const where = {};
-    
-    if (userId) where.userId = userId;
-    if (type) where.type = type;
-    if (categoryId) where.categoryId = categoryId;
-    
-    if (startDate || endDate) {
-      where.date = {};
-      if (startDate) where.date.gte = new Date(startDate);
-      if (endDate) where.date.lte = new Date(endDate);
-    }
-    
-    if (minAmount || maxAmount) {
-      where.amount = {};
-      if (minAmount) where.amount.gte = parseFloat(minAmount);
-      if (maxAmount) where.amount.lte = parseFloat(maxAmount);
-    }
+    logger.info('Filtering transactions', { filters, page, limit, cursor });
     
-    if (keyword) {
-      where.OR = [
-        { description: { contains: keyword, mode: 'insensitive' } },
-        { notes: { contains: keyword, mode: 'insensitive' } }
-      ];
-    }
-    
-    const skip = (page - 1) * limit;
-    const [transactions, total] = await Promise.all([
-      prisma.transaction.findMany({
-        where,
-        skip,
-        take: limit,
-        orderBy: { date: 'desc' },
-        include: { category: true }
-      }),
-      prisma.transaction.count({ where })
-    ]);
+    const result = await paginateTransactions(
+      buildTransactionFilterWhere(filters),
+      { page, limit, cursor, include: { categories: true, tags: ACTIVE_TAGS, payee: PAYEE_SUMMARY } }
+    );
     
     logger.info('Transactions filtered successfully', { 
       filtersApplied: Object.keys(filters).filter(k => filters[k]),
-      resultsCount: transactions.length,
-      total
+      resultsCount: result.transactions.length,
+      total: result.pagination.total
     });
     
-    return {
-      transactions,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit)
-      }
-    };
+    return result;
   } catch (error) {
     logger.error('Failed to filter transactions', { 
       error: error.message,
@@ -801,42 +1473,76 @@ export const transactionFilter = async (filters, page = 1, limit = 10) => {
   }
 };
 
+/**
+ * Restore a soft-deleted transaction (both legs of a transfer) and put the
+ * amounts back on the account balances, using an existing database
+ * transaction; see restoreTransaction
+ * @param {Object} tx - Prisma interactive transaction client
+ * @returns {Object} Restored transaction
+ */
+export const applyTransactionRestore = async (tx, id, options = {}) => {
+  const existing = await tx.transaction.findUnique({
+    where: { id },
+    select: { userId: true, isDeleted: true, transferId: true }
+  });
+
+  if (!existing) {
+    logger.warn('Transaction not found for restoration', { transactionId: id });
+    throw new NotFoundError('Transaction not found');
+  }
+
+  if (!existing.isDeleted) {
+    logger.warn('Transaction is not deleted, cannot restore', { transactionId: id });
+    throw new BadRequestError('Transaction is not deleted');
+  }
+
+  const legs = await tx.transaction.findMany({
+    where: existing.transferId
+      ? { transferId: existing.transferId, isDeleted: true }
+      : { id }
+  });
+
+  await tx.transaction.updateMany({
+    where: { id: { in: legs.map(leg => leg.id) } },
+    data: { isDeleted: false }
+  });
+
+  for (const leg of legs) {
+    await applyBalanceEffect(tx, { ...leg, isDeleted: false });
+  }
+
+  await recalculateGoalsForTransactions(tx, legs.map(leg => leg.id));
+
+  await recordTransactionVersions(
+    tx,
+    legs.map(leg => leg.id),
+    'RESTORE',
+    options.changedBy !== undefined ? options.changedBy : existing.userId
+  );
+
+  return tx.transaction.findUnique({ where: { id } });
+};
+
 /**
  * Restore a soft-deleted transaction
- * @param {number} id - Transaction ID
+ * @param {string} id - Transaction ID
+ * @param {Object} options - { changedBy } for the history; defaults to the owner
  * @returns {Object} Restored transaction
  */
-export const restoreTransaction = async (id) => {
+export const restoreTransaction = async (id, options = {}) => {
   try {
     logger.info('Restoring transaction', { transactionId: id });
     
-    // Check if transaction exists and is deleted
-    const existingTransaction = await prisma.transaction.findUnique({
-      where: { id },
-      select: { deletedAt: true }
-    });
-    
-    if (!existingTransaction) {
-      logger.warn('Transaction not found for restoration', { transactionId: id });
-      throw new Error('Transaction not found');
-    }
-    
-    if (!existingTransaction.deletedAt) {
-      logger.warn('Transaction is not deleted, cannot restore', { transactionId: id });
-      throw new Error('Transaction is not deleted');
-    }
-    
-    // Restore transaction
-    const transaction = await prisma.transaction.update({
-      where: { id },
-      data: { deletedAt: null }
-    });
+    const transaction = await prisma.$transaction((tx) => applyTransactionRestore(tx, id, options));
     
     logger.info('Transaction restored successfully', { 
       transactionId: transaction.id,
       userId: transaction.userId
     });
     
+    invalidateCategoryModel(transaction.userId);
+    await refreshBudgetAlerts([transaction]);
+    
     return transaction;
   } catch (error) {
     logger.error('Failed to restore transaction', { 
@@ -848,6 +1554,84 @@ export const restoreTransaction = async (id) => {
   }
 };
 
+// Snapshot fields that revertTransaction writes back as they are
+const REVERTIBLE_FIELDS = ['type', 'amount', 'currency', 'accountId', 'date', 'description', 'notes', 'payeeId'];
+
+/**
+ * Put a transaction back in the state of an earlier version. A deleted
+ * transaction is restored first, in the same database transaction, so a
+ * revert that fails changes nothing. The revert is itself recorded as a new
+ * version, so it can be reverted in turn.
+ * @param {string} id - Transaction ID
+ * @param {number} version - Version to return to
+ * @param {string} userId - User making the change
+ * @returns {Object} The reverted transaction
+ */
+export const revertTransaction = async (id, version, userId) => {
+  const target = (await getTransactionVersion(id, version, userId)).snapshot;
+
+  if (target.isDeleted) {
+    throw new BadRequestError(`Version ${version} is a deleted state; delete the transaction instead`);
+  }
+
+  const transaction = await prisma.$transaction(async (tx) => {
+    // Restoring changes nothing but isDeleted, so the changes are worked out beforehand
+    const current = await snapshotTransaction(tx, id);
+    const isSame = (field) => JSON.stringify(current[field]) === JSON.stringify(target[field]);
+    const changes = {};
+
+    for (const field of REVERTIBLE_FIELDS.filter(field => !isSame(field))) {
+      changes[field] = field === 'date' ? new Date(target.date) : target[field];
+    }
+
+    // A payee deleted or merged into another since then stays as it is now
+    if (changes.payeeId) {
+      const payee = await tx.payee.findUnique({ where: { id: changes.payeeId }, select: { isDeleted: true } });
+      if (!payee || payee.isDeleted) {
+        delete changes.payeeId;
+      }
+    }
+
+    if (!isSame('tagIds')) {
+      changes.tagIds = target.tagIds;
+    }
+
+    // Split lines set the categories themselves; otherwise the categories are set as they were
+    if (!isSame('splits')) {
+      changes.splits = target.splits;
+    }
+    if (target.splits.length === 0 && (!isSame('categoryIds') || !isSame('splits'))) {
+      changes.categories = { set: target.categoryIds.map(categoryId => ({ id: categoryId })) };
+    }
+
+    const hasChanges = Object.keys(changes).length > 0;
+    if (!hasChanges && !current.isDeleted) {
+      throw new BadRequestError(`The transaction already matches version ${version}`);
+    }
+
+    logger.info('Reverting transaction', { transactionId: id, version, userId });
+
+    let reverted = current.isDeleted
+      ? await applyTransactionRestore(tx, id, { changedBy: userId })
+      : null;
+
+    if (hasChanges) {
+      reverted = await applyTransactionUpdate(tx, id, changes, {
+        changedBy: userId,
+        action: 'REVERT',
+        revertedToVersion: version
+      });
+    }
+
+    return reverted;
+  });
+
+  invalidateCategoryModel(transaction.userId);
+  await refreshBudgetAlerts([transaction]);
+
+  return transaction;
+};
+
 /**
  * Get transaction types with caching
  * @returns {Object} Transaction types object
@@ -878,11 +1662,12 @@ export const getTransactionTypesWithCache = async () => {
  * @param {number} page - Page number
  * @param {number} limit - Items per page
  * @param {string} userId - Optional user ID to filter by
+ * @param {string} cursor - Cursor from a previous page; takes precedence over page
  * @returns {Object} Transactions with pagination info
  */
-export const getTransactionsByType = async (type, page = 1, limit = 10, userId = null) => {
+export const getTransactionsByType = async (type, page = 1, limit = 10, userId = null, cursor = null) => {
   try {
-    logger.info('Retrieving transactions by type', { type, page, limit, userId });
+    logger.info('Retrieving transactions by type', { type, page, limit, userId, cursor });
     
     // Validate transaction type
     const validTypes = await getTransactionTypesWithCache();
@@ -890,8 +1675,6 @@ export const getTransactionsByType = async (type, page = 1, limit = 10, userId =
       throw new Error(`Invalid transaction type: ${type}`);
     }
     
-    const skip = (page - 1) * limit;
-    
     // Build where clause
     const where = { 
       type,
@@ -904,41 +1687,29 @@ export const getTransactionsByType = async (type, page = 1, limit = 10, userId =
     }
     
     // Execute query with pagination
-    const [transactions, total] = await Promise.all([
-      prisma.transaction.findMany({
-        where,
-        skip,
-        take: limit,
-        orderBy: { date: 'desc' },
-        include: {
-          categories: true,
-          user: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true
-            }
+    const result = await paginateTransactions(where, {
+      page,
+      limit,
+      cursor,
+      include: {
+        categories: true,
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
           }
         }
-      }),
-      prisma.transaction.count({ where })
-    ]);
+      }
+    });
     
     logger.info('Transactions by type retrieved successfully', { 
       type,
-      count: transactions.length,
-      total
+      count: result.transactions.length,
+      total: result.pagination.total
     });
     
-    return {
-      transactions,
-      pagination: {
-        total,
-        page,
-        limit,
-        pages: Math.ceil(total / limit)
-      }
-    };
+    return result;
   } catch (error) {
     logger.error('Failed to retrieve transactions by type', { 
       error: error.message,
@@ -950,17 +1721,17 @@ export const getTransactionsByType = async (type, page = 1, limit = 10, userId =
 };
 
 // Named exports for specific transaction types
-export const transactionIncome = (page = 1, limit = 10, userId = null) => 
-  getTransactionsByType('INCOME', page, limit, userId);
+export const transactionIncome = (page = 1, limit = 10, userId = null, cursor = null) => 
+  getTransactionsByType('INCOME', page, limit, userId, cursor);
 
-export const transactionExpense = (page = 1, limit = 10, userId = null) => 
-  getTransactionsByType('EXPENSE', page, limit, userId);
+export const transactionExpense = (page = 1, limit = 10, userId = null, cursor = null) => 
+  getTransactionsByType('EXPENSE', page, limit, userId, cursor);
 
-export const transactionSavings = (page = 1, limit = 10, userId = null) => 
-  getTransactionsByType('TRANSFER', page, limit, userId);
+export const transactionSavings = (page = 1, limit = 10, userId = null, cursor = null) => 
+  getTransactionsByType('TRANSFER', page, limit, userId, cursor);
 
-export const transactionInvestment = (page = 1, limit = 10, userId = null) => 
-  getTransactionsByType('INVESTMENT', page, limit, userId);
+export const transactionInvestment = (page = 1, limit = 10, userId = null, cursor = null) => 
+  getTransactionsByType('INVESTMENT', page, limit, userId, cursor);
 
 // For backward compatibility, keep the old function names
 /* 
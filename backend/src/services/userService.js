@@ -1,6 +1,7 @@
 import { prisma } from '../config/db.js';
 import { hashPassword } from "../utils/argon2.js";
 import { logger } from "../utils/logger.js";
+import { removeStoredAttachments } from "./attachmentService.js";
 
 /**
  * Get all users with pagination
@@ -339,14 +340,45 @@ export const hardDeleteUser = async (id) => {
       username: user?.username
     });
     
-    const result = await prisma.user.delete({
-      where: { id }
-    });
+    // Attachment files are removed once the rows are gone
+    const attachments = await prisma.attachment.findMany({
+      where: { userId: id },
+      select: { storageKey: true, thumbnailKey: true }
+    });
+    
+    // Everything the user owns refers to them without cascading, so it is
+    // deleted first, children before parents, in the same database transaction.
+    // Splits, versions, goal contributions and attachments go with the
+    // transactions; versions the user wrote on other transactions keep a null author.
+    const where = { userId: id };
+    const results = await prisma.$transaction([
+      prisma.attachment.deleteMany({ where }),
+      prisma.budgetAlert.deleteMany({ where }),
+      prisma.reportDelivery.deleteMany({ where }),
+      prisma.reportSchedule.deleteMany({ where }),
+      prisma.report.deleteMany({ where }),
+      prisma.budget.deleteMany({ where }),
+      prisma.transaction.deleteMany({ where }),
+      prisma.savingGoal.deleteMany({ where }),
+      prisma.recurringRule.deleteMany({ where }),
+      prisma.categorizationRule.deleteMany({ where }),
+      prisma.tag.deleteMany({ where }),
+      prisma.payee.deleteMany({ where }),
+      prisma.account.deleteMany({ where }),
+      prisma.passwordReset.deleteMany({ where }),
+      prisma.emailVerification.deleteMany({ where }),
+      prisma.auditLog.deleteMany({ where }),
+      prisma.user.delete({ where: { id } })
+    ]);
+    const result = results[results.length - 1];
+    
+    await removeStoredAttachments(attachments);
     
     logger.info('User hard deleted successfully', { 
       userId: id,
       email: user?.email,
-      username: user?.username
+      username: user?.username,
+      removedAttachments: attachments.length
     });
     
     return result;
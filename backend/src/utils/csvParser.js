@@ -0,0 +1,138 @@
+/**
+ * CSV Statement Parser
+ *
+ * Turns a bank CSV export into normalized statement rows using a
+ * configurable column mapping.
+ */
+import { parse } from 'csv-parse/sync';
+import { parseAmount, parseDate } from './parseHelpers.js';
+
+// Transfers need a destination account, so a single CSV row cannot describe one
+const IMPORTABLE_TYPES = ['INCOME', 'EXPENSE', 'INVESTMENT'];
+
+/**
+ * Default mapping, matching the column names of our own CSV export
+ */
+export const DEFAULT_CSV_MAPPING = {
+  hasHeader: true,
+  delimiter: ',',
+  date: 'date',
+  dateFormat: null,
+  description: 'description',
+  notes: null,
+  amount: 'amount',
+  debit: null,
+  credit: null,
+  type: null,
+  decimalSeparator: '.',
+  thousandsSeparator: null,
+  invertSign: false
+};
+
+/**
+ * Read a mapped column from a record. Without a header row, columns are
+ * referenced by zero-based index.
+ */
+const readColumn = (record, column) => {
+  if (column === null || column === undefined || column === '') {
+    return undefined;
+  }
+
+  const value = record[column];
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Parse a CSV statement
+ * @param {string|Buffer} content - CSV file contents
+ * @param {Object} mapping - Column mapping (see DEFAULT_CSV_MAPPING)
+ * @returns {Object[]} Rows of { rowNumber, date, amount, type, description, notes, errors }
+ */
+export const parseCsvStatement = (content, mapping = {}) => {
+  const options = { ...DEFAULT_CSV_MAPPING, ...mapping };
+  const numberOptions = {
+    decimalSeparator: options.decimalSeparator,
+    thousandsSeparator: options.thousandsSeparator
+  };
+
+  const records = parse(content, {
+    columns: options.hasHeader ? (header) => header.map(column => column.trim()) : false,
+    delimiter: options.delimiter,
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true
+  });
+
+  if (options.hasHeader && records.length > 0) {
+    const columns = Object.keys(records[0]);
+    const required = [options.date, options.debit || options.credit ? null : options.amount]
+      .filter(Boolean);
+    const missing = required.filter(column => !columns.includes(column));
+
+    if (missing.length > 0) {
+      throw new Error(`CSV is missing mapped column(s): ${missing.join(', ')}`);
+    }
+  }
+
+  // Data starts on line 2 when there is a header row
+  const firstLine = options.hasHeader ? 2 : 1;
+
+  return records.map((record, index) => {
+    const errors = [];
+
+    const rawDate = readColumn(record, options.date);
+    const date = parseDate(rawDate, options.dateFormat);
+    if (!date) {
+      errors.push(`Invalid date: "${rawDate ?? ''}"`);
+    }
+
+    // Either one signed amount column or separate debit/credit columns
+    let amount = null;
+    if (options.debit || options.credit) {
+      const debit = parseAmount(readColumn(record, options.debit), numberOptions);
+      const credit = parseAmount(readColumn(record, options.credit), numberOptions);
+
+      if (debit) {
+        amount = -Math.abs(debit);
+      } else if (credit) {
+        amount = Math.abs(credit);
+      }
+    } else {
+      amount = parseAmount(readColumn(record, options.amount), numberOptions);
+    }
+
+    if (amount === null || amount === 0) {
+      errors.push('Missing or invalid amount');
+    } else if (options.invertSign) {
+      amount = -amount;
+    }
+
+    // An explicit type column wins over the sign of the amount
+    let type = amount !== null && amount > 0 ? 'INCOME' : 'EXPENSE';
+    const rawType = readColumn(record, options.type);
+    if (rawType) {
+      const normalizedType = rawType.toUpperCase();
+      if (IMPORTABLE_TYPES.includes(normalizedType)) {
+        type = normalizedType;
+      } else {
+        errors.push(`Unknown transaction type: "${rawType}"`);
+      }
+    }
+
+    const description = readColumn(record, options.description) || '';
+    if (!description) {
+      errors.push('Missing description');
+    }
+
+    return {
+      rowNumber: firstLine + index,
+      date,
+      amount: amount !== null ? Math.abs(amount) : null,
+      type,
+      description: description.slice(0, 100),
+      notes: readColumn(record, options.notes) || null,
+      errors
+    };
+  });
+};
@@ -0,0 +1,44 @@
+import { BadRequestError } from './errors.js';
+
+export const CURSOR_DIRECTIONS = ['next', 'prev'];
+
+/**
+ * Encode an opaque pagination cursor pointing at a row of a listing
+ * ordered by (date, id). The direction says which side of the row the
+ * next page is on, so clients only ever pass the cursor back.
+ * @param {Object} row - Row with date and id
+ * @param {string} direction - 'next' for older rows, 'prev' for newer rows
+ * @returns {string} Base64url encoded cursor
+ */
+export const encodeCursor = (row, direction = 'next') => {
+  const payload = JSON.stringify({
+    d: new Date(row.date).toISOString(),
+    i: row.id,
+    r: direction
+  });
+
+  return Buffer.from(payload, 'utf8').toString('base64url');
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object} { date, id, direction }
+ * @throws {BadRequestError} When the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new BadRequestError('Invalid pagination cursor');
+  }
+
+  const date = new Date(payload?.d);
+
+  if (isNaN(date.getTime()) || typeof payload.i !== 'string' || !CURSOR_DIRECTIONS.includes(payload.r)) {
+    throw new BadRequestError('Invalid pagination cursor');
+  }
+
+  return { date, id: payload.i, direction: payload.r };
+};
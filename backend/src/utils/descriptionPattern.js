@@ -0,0 +1,96 @@
+import { RE2 } from 're2-wasm';
+import { BadRequestError } from './errors.js';
+
+/**
+ * User-supplied description patterns of categorization rules.
+ *
+ * The patterns run against every description on create, import and when
+ * rules are re-applied, so they are compiled with RE2, which matches in
+ * linear time instead of backtracking. That rules out backreferences and
+ * lookarounds; patterns are also limited in length and may not repeat a
+ * group that itself contains a quantifier, such as (a+)+.
+ */
+
+export const MAX_PATTERN_LENGTH = 200;
+
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})/;
+
+/**
+ * Whether a pattern repeats a group that contains a quantifier
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean}
+ */
+export const hasNestedQuantifier = (pattern) => {
+  // One frame per open group, recording whether a quantifier occurs inside it
+  const groups = [{ quantified: false }];
+  let index = 0;
+
+  const readQuantifier = (position) => {
+    const match = QUANTIFIER.exec(pattern.slice(position));
+    return match ? match[0].length : 0;
+  };
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+    let atomEnd = index + 1;
+
+    if (char === '\\') {
+      atomEnd = index + 2;
+    } else if (char === '[') {
+      // Character classes end at the first unescaped ], which may not be the first character
+      atomEnd = index + 1;
+      if (pattern[atomEnd] === '^') atomEnd += 1;
+      if (pattern[atomEnd] === ']') atomEnd += 1;
+      while (atomEnd < pattern.length && pattern[atomEnd] !== ']') {
+        atomEnd += pattern[atomEnd] === '\\' ? 2 : 1;
+      }
+      atomEnd += 1;
+    } else if (char === '(') {
+      groups.push({ quantified: false });
+      index += 1;
+      continue;
+    } else if (char === ')') {
+      const group = groups.length > 1 ? groups.pop() : { quantified: false };
+      const length = readQuantifier(index + 1);
+
+      if (length > 0 && group.quantified) {
+        return true;
+      }
+
+      groups[groups.length - 1].quantified ||= group.quantified || length > 0;
+      index += 1 + length;
+      continue;
+    }
+
+    const length = readQuantifier(atomEnd);
+    if (length > 0) {
+      groups[groups.length - 1].quantified = true;
+    }
+
+    index = atomEnd + length;
+  }
+
+  return false;
+};
+
+/**
+ * Compile a description pattern for case-insensitive matching
+ * @param {string} pattern - Regular expression source
+ * @returns {RE2} The compiled pattern, with a RegExp-like test()
+ * @throws {BadRequestError} When the pattern is too long, unsafe or invalid
+ */
+export const compileDescriptionPattern = (pattern) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new BadRequestError(`descriptionPattern cannot exceed ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  if (hasNestedQuantifier(pattern)) {
+    throw new BadRequestError('descriptionPattern cannot repeat a group that contains a quantifier, such as (a+)+');
+  }
+
+  try {
+    return new RE2(pattern, 'iu');
+  } catch (error) {
+    throw new BadRequestError(`Invalid descriptionPattern: ${error.message}`);
+  }
+};
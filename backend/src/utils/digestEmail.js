@@ -0,0 +1,110 @@
+/**
+ * Digest Email
+ *
+ * Renders a transactionSummary result as the HTML and plain-text bodies of
+ * a scheduled digest email. Styles are inline because most mail clients
+ * ignore <style> blocks.
+ */
+
+const TOP_CATEGORY_COUNT = 5;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (value, currency) =>
+  `${currency} ${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Top expense categories, largest first
+ */
+const topExpenseCategories = (summary) => summary.categorySummary
+  .filter(category => category.type === 'EXPENSE')
+  .slice(0, TOP_CATEGORY_COUNT);
+
+/**
+ * Render a digest email
+ * @param {Object} digest - { summary, userName, scheduleName, frequency }
+ * @returns {Object} { subject, html, text }
+ */
+export const renderDigestEmail = ({ summary, userName, scheduleName, frequency }) => {
+  const { currency } = summary;
+  const label = frequency === 'WEEKLY' ? 'Weekly' : 'Monthly';
+  const period = `${formatDate(summary.startDate)} to ${formatDate(summary.endDate)}`;
+  const subject = `${label} summary: ${period}`;
+  const categories = topExpenseCategories(summary);
+
+  const totals = [
+    ['Income', summary.income.total, summary.income.count, '#16a34a'],
+    ['Expenses', summary.expenses.total, summary.expenses.count, '#dc2626'],
+    ['Transfers', summary.transfers.total, summary.transfers.count, '#6b7280']
+  ];
+
+  const cell = 'padding:8px 12px;border-bottom:1px solid #e5e7eb;';
+
+  const totalRows = totals.map(([name, total, count, color]) => `
+        <tr>
+          <td style="${cell}">${name}</td>
+          <td style="${cell}text-align:right;color:${color};">${escapeHtml(formatMoney(total, currency))}</td>
+          <td style="${cell}text-align:right;color:#6b7280;">${count}</td>
+        </tr>`).join('');
+
+  const categoryRows = categories.map(category => `
+        <tr>
+          <td style="${cell}">${escapeHtml(category.categoryName)}</td>
+          <td style="${cell}text-align:right;">${escapeHtml(formatMoney(category.totalAmount, currency))}</td>
+          <td style="${cell}text-align:right;color:#6b7280;">${category.transactionCount}</td>
+        </tr>`).join('');
+
+  const balanceColor = summary.balance >= 0 ? '#16a34a' : '#dc2626';
+  const unconvertedNote = summary.unconvertedCount > 0
+    ? `<p style="color:#6b7280;font-size:12px;">${summary.unconvertedCount} transaction(s) had no exchange rate into ${escapeHtml(currency)} and are not included.</p>`
+    : '';
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f9fafb;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+      <h1 style="font-size:20px;margin:0 0 4px;">${escapeHtml(label)} summary</h1>
+      <p style="margin:0 0 16px;color:#6b7280;">${escapeHtml(scheduleName)} &middot; ${escapeHtml(period)}</p>
+      <p>Hi ${escapeHtml(userName)}, here is where your money went.</p>
+      <p style="font-size:28px;font-weight:bold;margin:16px 0;color:${balanceColor};">${escapeHtml(formatMoney(summary.balance, currency))}</p>
+      <p style="margin:0 0 16px;color:#6b7280;">Net balance (income minus expenses)</p>
+      <table style="width:100%;border-collapse:collapse;font-size:14px;">
+        <tr>
+          <th style="${cell}text-align:left;"></th>
+          <th style="${cell}text-align:right;">Amount</th>
+          <th style="${cell}text-align:right;">Transactions</th>
+        </tr>${totalRows}
+      </table>
+      ${categories.length > 0 ? `
+      <h2 style="font-size:16px;margin:24px 0 8px;">Top spending categories</h2>
+      <table style="width:100%;border-collapse:collapse;font-size:14px;">${categoryRows}
+      </table>` : ''}
+      ${unconvertedNote}
+    </div>
+  </body>
+</html>`;
+
+  const text = [
+    `${label} summary (${scheduleName})`,
+    period,
+    '',
+    `Net balance: ${formatMoney(summary.balance, currency)}`,
+    ...totals.map(([name, total, count]) => `${name}: ${formatMoney(total, currency)} (${count} transactions)`),
+    ...(categories.length > 0
+      ? ['', 'Top spending categories:', ...categories.map(category =>
+        `- ${category.categoryName}: ${formatMoney(category.totalAmount, currency)}`)]
+      : []),
+    ...(summary.unconvertedCount > 0
+      ? ['', `${summary.unconvertedCount} transaction(s) had no exchange rate into ${currency} and are not included.`]
+      : [])
+  ].join('\n');
+
+  return { subject, html, text };
+};
@@ -0,0 +1,174 @@
+/**
+ * OFX/QFX Statement Parser
+ *
+ * Reads bank and credit card statements in OFX 1.x (SGML, with unclosed
+ * element tags) and OFX 2.x (XML). QFX is OFX with Quicken-specific extras,
+ * which are ignored.
+ */
+import { parseAmount } from './parseHelpers.js';
+
+/**
+ * OFX TRNTYPE values and the transaction type they usually map to. The
+ * signed TRNAMT decides when the two disagree, as for a POS refund or a
+ * PAYMENT credited to the account; XFER, OTHER and unknown values go by the
+ * sign alone, since a statement transfer only shows one side and cannot
+ * become a TRANSFER.
+ */
+const OFX_TYPE_MAP = {
+  CREDIT: 'INCOME',
+  DEP: 'INCOME',
+  DIRECTDEP: 'INCOME',
+  INT: 'INCOME',
+  DIV: 'INCOME',
+  DEBIT: 'EXPENSE',
+  FEE: 'EXPENSE',
+  SRVCHG: 'EXPENSE',
+  PAYMENT: 'EXPENSE',
+  CHECK: 'EXPENSE',
+  ATM: 'EXPENSE',
+  POS: 'EXPENSE',
+  CASH: 'EXPENSE',
+  DIRECTDEBIT: 'EXPENSE',
+  REPEATPMT: 'EXPENSE'
+};
+
+/**
+ * Decode the file, honouring the legacy OFX 1.x CHARSET header
+ */
+const decodeContent = (content) => {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  const head = content.subarray(0, 512).toString('latin1');
+  return /CHARSET:\s*(1252|ISO-8859-1)/i.test(head)
+    ? content.toString('latin1')
+    : content.toString('utf8');
+};
+
+/**
+ * Read the value of a leaf element. Works for both SGML (value runs to the
+ * next tag or line break) and XML (value followed by a closing tag).
+ */
+const readElement = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? decodeEntities(match[1].trim()) : null;
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Parse an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]).
+ * Only the calendar day is kept, as UTC midnight, so a posting time near
+ * midnight in the bank's time zone does not move the transaction a day.
+ */
+const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day] = match.slice(1).map(part => parseInt(part, 10));
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date;
+};
+
+/**
+ * OFX amounts use a period as decimal separator, but some banks emit a comma
+ */
+const parseOfxAmount = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const decimalSeparator = value.includes(',') && !value.includes('.') ? ',' : '.';
+  return parseAmount(value, { decimalSeparator, thousandsSeparator: '' });
+};
+
+/**
+ * Parse an OFX/QFX statement
+ * @param {string|Buffer} content - OFX file contents
+ * @returns {Object[]} Rows of { rowNumber, date, amount, type, description, notes, externalId, errors }
+ */
+export const parseOfxStatement = (content) => {
+  const text = decodeContent(content);
+
+  if (!/<OFX>/i.test(text)) {
+    throw new Error('File is not an OFX document');
+  }
+
+  // A file can hold several statements (e.g. checking and credit card)
+  const statements = text.match(/<(STMTRS|CCSTMTRS)>[\s\S]*?<\/\1>/gi) || [];
+
+  if (statements.length === 0) {
+    throw new Error('No bank or credit card statement found in OFX file');
+  }
+
+  const rows = [];
+
+  statements.forEach(statement => {
+    // FITIDs are only unique within one bank account
+    const accountKey = [readElement(statement, 'BANKID'), readElement(statement, 'ACCTID')]
+      .filter(Boolean)
+      .join('/') || 'default';
+
+    const blocks = statement.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+    blocks.forEach(block => {
+      const errors = [];
+
+      const rawDate = readElement(block, 'DTPOSTED');
+      const date = parseOfxDate(rawDate);
+      if (!date) {
+        errors.push(`Invalid date: "${rawDate ?? ''}"`);
+      }
+
+      const amount = parseOfxAmount(readElement(block, 'TRNAMT'));
+      if (amount === null || amount === 0) {
+        errors.push('Missing or invalid amount');
+      }
+
+      const fitId = readElement(block, 'FITID');
+      if (!fitId) {
+        errors.push('Missing FITID');
+      }
+
+      const trnType = (readElement(block, 'TRNTYPE') || '').toUpperCase();
+      const signedType = amount ? (amount > 0 ? 'INCOME' : 'EXPENSE') : null;
+      const type = signedType || OFX_TYPE_MAP[trnType] || 'EXPENSE';
+
+      // NAME holds the payee (also nested under PAYEE); MEMO has the details
+      const name = readElement(block, 'NAME');
+      const memo = readElement(block, 'MEMO');
+      const checkNumber = readElement(block, 'CHECKNUM');
+      const description = name || memo || (checkNumber ? `Check ${checkNumber}` : '');
+
+      if (!description) {
+        errors.push('Missing description');
+      }
+
+      rows.push({
+        rowNumber: rows.length + 1,
+        date,
+        amount: amount !== null ? Math.abs(amount) : null,
+        type,
+        description: description.slice(0, 100),
+        notes: name && memo && memo !== name ? memo : null,
+        externalId: fitId ? `ofx:${accountKey}:${fitId}` : null,
+        errors
+      });
+    });
+  });
+
+  return rows;
+};
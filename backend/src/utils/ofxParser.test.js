@@ -0,0 +1,66 @@
+import { parseOfxStatement } from './ofxParser.js';
+
+/**
+ * Wrap STMTTRN blocks in a minimal OFX 1.x bank statement
+ */
+const statement = (...transactions) => `OFXHEADER:100
+DATA:OFXSGML
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<BANKACCTFROM><BANKID>021000021<ACCTID>1234</BANKACCTFROM>
+<BANKTRANLIST>
+${transactions.join('\n')}
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const transaction = ({ type, amount, name = 'STORE', fitId = '1' }) => `<STMTTRN>
+<TRNTYPE>${type}
+<DTPOSTED>20261015120000
+<TRNAMT>${amount}
+<FITID>${fitId}
+<NAME>${name}
+</STMTTRN>`;
+
+const parseOne = (fields) => {
+  const [row] = parseOfxStatement(statement(transaction(fields)));
+  return row;
+};
+
+describe('parseOfxStatement', () => {
+  it('reads a POS purchase as an expense', () => {
+    expect(parseOne({ type: 'POS', amount: '-12.50' })).toMatchObject({ type: 'EXPENSE', amount: 12.5, errors: [] });
+  });
+
+  it('reads a positive POS amount (a refund) as income', () => {
+    expect(parseOne({ type: 'POS', amount: '+12.50' })).toMatchObject({ type: 'INCOME', amount: 12.5 });
+  });
+
+  it('reads a positive PAYMENT (a credit card payment received) as income', () => {
+    expect(parseOne({ type: 'PAYMENT', amount: '250.00' })).toMatchObject({ type: 'INCOME', amount: 250 });
+  });
+
+  it('reads a negative PAYMENT as an expense', () => {
+    expect(parseOne({ type: 'PAYMENT', amount: '-250.00' })).toMatchObject({ type: 'EXPENSE', amount: 250 });
+  });
+
+  it('reads a negative CREDIT (a reversal) as an expense', () => {
+    expect(parseOne({ type: 'CREDIT', amount: '-40.00' })).toMatchObject({ type: 'EXPENSE', amount: 40 });
+  });
+
+  it('goes by the sign for XFER and unknown types', () => {
+    expect(parseOne({ type: 'XFER', amount: '100.00' }).type).toBe('INCOME');
+    expect(parseOne({ type: 'OTHER', amount: '-100.00' }).type).toBe('EXPENSE');
+  });
+
+  it('falls back to TRNTYPE when the amount is missing', () => {
+    const row = parseOne({ type: 'DEP', amount: '' });
+
+    expect(row.type).toBe('INCOME');
+    expect(row.errors).toContain('Missing or invalid amount');
+  });
+
+  it('scopes external IDs to the bank account', () => {
+    expect(parseOne({ type: 'POS', amount: '-1.00', fitId: 'ABC' }).externalId).toBe('ofx:021000021/1234:ABC');
+  });
+});
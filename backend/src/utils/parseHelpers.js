@@ -0,0 +1,140 @@
+/**
+ * Parse Helpers
+ *
+ * Number and date parsing for imported bank statements, which use a wide
+ * range of locale-specific formats.
+ */
+
+/**
+ * Parse a monetary amount
+ * @param {string|number} value - Raw amount, e.g. "1.234,56", "(12.00)", "-5", "$1,000.00"
+ * @param {Object} options - { decimalSeparator: '.' | ',', thousandsSeparator }
+ * @returns {number|null} Parsed amount, or null if the value is empty or invalid
+ */
+export const parseAmount = (value, options = {}) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    return isNaN(value) ? null : value;
+  }
+
+  const decimalSeparator = options.decimalSeparator || '.';
+  const thousandsSeparator = options.thousandsSeparator ?? (decimalSeparator === ',' ? '.' : ',');
+
+  let text = String(value).trim();
+  if (text === '') {
+    return null;
+  }
+
+  // Accounting notation: (12.00) means -12.00
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+
+  // Trailing minus, as used by some European banks: "12,00-"
+  if (text.endsWith('-')) {
+    negative = !negative;
+    text = text.slice(0, -1);
+  }
+
+  // Drop currency symbols, codes and whitespace
+  text = text.replace(/[^\d.,'\s+-]/g, '').replace(/\s/g, '');
+
+  if (thousandsSeparator) {
+    text = text.split(thousandsSeparator).join('');
+  }
+
+  if (decimalSeparator !== '.') {
+    text = text.replace(decimalSeparator, '.');
+  }
+
+  if (!/^[+-]?\d*\.?\d+$/.test(text)) {
+    return null;
+  }
+
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+};
+
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{1,2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+  D: '(\\d{1,2})'
+};
+
+/**
+ * Parse a date using an explicit format such as "DD/MM/YYYY" or "M-D-YY".
+ * Without a format, ISO 8601 and anything Date can parse is accepted.
+ * @param {string} value - Raw date
+ * @param {string} format - Date format built from YYYY, YY, MM, M, DD and D
+ * @returns {Date|null} Parsed date (UTC midnight), or null if invalid
+ */
+export const parseDate = (value, format = null) => {
+  if (!value) {
+    return null;
+  }
+
+  const text = String(value).trim();
+
+  if (!format) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const tokens = [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/YYYY|YY|MM|M|DD|D/g, (token) => {
+      tokens.push(token);
+      return DATE_TOKENS[token];
+    });
+
+  const match = new RegExp(`^${pattern}$`).exec(text);
+  if (!match) {
+    return null;
+  }
+
+  let year;
+  let month;
+  let day;
+  tokens.forEach((token, index) => {
+    const part = parseInt(match[index + 1], 10);
+    if (token === 'YYYY') year = part;
+    if (token === 'YY') year = part + (part < 70 ? 2000 : 1900);
+    if (token === 'MM' || token === 'M') month = part;
+    if (token === 'DD' || token === 'D') day = part;
+  });
+
+  if (!year || !month || !day) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  // Reject overflowed dates such as 31/02/2026
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date;
+};
+
+/**
+ * Normalize a description for fuzzy comparisons
+ * @param {string} description - Raw description
+ * @returns {string} Lowercased description without punctuation or extra whitespace
+ */
+export const normalizeDescription = (description) => {
+  return (description || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
@@ -0,0 +1,176 @@
+/**
+ * QIF Statement Parser
+ *
+ * Reads Quicken Interchange Format bank, cash and credit card registers.
+ * Investment registers use a different record layout and are not supported.
+ */
+import { createHash } from 'crypto';
+import { parseAmount, parseDate } from './parseHelpers.js';
+
+const SUPPORTED_SECTIONS = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Parse a QIF date. Quicken writes US dates with an apostrophe before
+ * two-digit years after 2000 ("1/5'26"); other tools use other separators.
+ */
+const parseQifDate = (value, dateFormat) => {
+  if (!value) {
+    return null;
+  }
+
+  if (dateFormat) {
+    return parseDate(value, dateFormat);
+  }
+
+  const normalized = value.replace(/\s/g, '').replace(/['.-]/g, '/');
+  return parseDate(normalized, 'M/D/YYYY') || parseDate(normalized, 'M/D/YY');
+};
+
+/**
+ * QIF has no transaction IDs, so derive a stable one from the record itself.
+ * Identical records are numbered by their position in the file so that two
+ * genuine same-day purchases keep distinct IDs.
+ */
+const buildExternalId = (accountKey, record, occurrence) => {
+  const hash = createHash('sha1')
+    .update([
+      accountKey,
+      record.date.toISOString().slice(0, 10),
+      Math.round(record.amount * 100),
+      record.payee || '',
+      record.memo || '',
+      record.checkNumber || '',
+      occurrence
+    ].join('|'))
+    .digest('hex');
+
+  return `qif:${hash}`;
+};
+
+/**
+ * Parse a QIF statement
+ * @param {string|Buffer} content - QIF file contents
+ * @param {Object} options - { dateFormat, decimalSeparator, accountKey }
+ * @returns {Object[]} Rows of { rowNumber, date, amount, type, description, notes, externalId, errors }
+ */
+export const parseQifStatement = (content, options = {}) => {
+  const text = typeof content === 'string' ? content : content.toString('utf8');
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const numberOptions = {
+    decimalSeparator: options.decimalSeparator || '.',
+    thousandsSeparator: options.thousandsSeparator
+  };
+  const accountKey = options.accountKey || 'default';
+
+  const records = [];
+  let section = null;
+  let current = {};
+  let sawTypeHeader = false;
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) {
+      return;
+    }
+
+    if (line.startsWith('!')) {
+      const header = line.toLowerCase();
+      if (header.startsWith('!type:')) {
+        sawTypeHeader = true;
+        section = header.slice('!type:'.length).trim();
+      } else if (header.startsWith('!account')) {
+        // Account list entries precede the register they describe
+        section = 'account';
+      }
+      current = {};
+      return;
+    }
+
+    if (!SUPPORTED_SECTIONS.includes(section)) {
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (current.line === undefined) {
+      current.line = index + 1;
+    }
+
+    switch (code) {
+      case 'D':
+        current.rawDate = value;
+        break;
+      case 'T':
+      case 'U':
+        current.rawAmount = current.rawAmount ?? value;
+        break;
+      case 'P':
+        current.payee = value;
+        break;
+      case 'M':
+        current.memo = value;
+        break;
+      case 'N':
+        current.checkNumber = value;
+        break;
+      case '^':
+        records.push(current);
+        current = {};
+        break;
+      default:
+        // Cleared status, address lines, categories and splits are ignored
+        break;
+    }
+  });
+
+  if (!sawTypeHeader) {
+    throw new Error('File is not a QIF document (missing !Type header)');
+  }
+
+  if (records.length === 0 && section && !SUPPORTED_SECTIONS.includes(section)) {
+    throw new Error(`Unsupported QIF register type: ${section}`);
+  }
+
+  const occurrences = new Map();
+
+  return records.map((record, index) => {
+    const errors = [];
+
+    const date = parseQifDate(record.rawDate, options.dateFormat);
+    if (!date) {
+      errors.push(`Invalid date: "${record.rawDate ?? ''}"`);
+    }
+
+    const amount = parseAmount(record.rawAmount, numberOptions);
+    if (amount === null || amount === 0) {
+      errors.push('Missing or invalid amount');
+    }
+
+    const description = record.payee || record.memo ||
+      (record.checkNumber ? `Check ${record.checkNumber}` : '');
+    if (!description) {
+      errors.push('Missing description');
+    }
+
+    let externalId = null;
+    if (errors.length === 0) {
+      const baseRecord = { ...record, date, amount };
+      const baseKey = buildExternalId(accountKey, baseRecord, 0);
+      const occurrence = occurrences.get(baseKey) || 0;
+      occurrences.set(baseKey, occurrence + 1);
+      externalId = occurrence === 0 ? baseKey : buildExternalId(accountKey, baseRecord, occurrence);
+    }
+
+    return {
+      rowNumber: record.line ?? index + 1,
+      date,
+      amount: amount !== null ? Math.abs(amount) : null,
+      type: amount !== null && amount > 0 ? 'INCOME' : 'EXPENSE',
+      description: description.slice(0, 100),
+      notes: record.payee && record.memo ? record.memo : null,
+      externalId,
+      errors
+    };
+  });
+};
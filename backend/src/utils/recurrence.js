@@ -0,0 +1,145 @@
+/**
+ * Recurrence Utility
+ *
+ * Date arithmetic for recurring transaction rules. All calculations are done
+ * in UTC so occurrences do not shift with the server's timezone.
+ */
+
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (may overflow; it is normalized)
+ * @returns {number} Days in the month
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Build a date on the given day of a month, clamping to the month's last day
+ * (e.g. day 31 in February becomes the 28th or 29th)
+ * @param {Date} reference - Date providing the time of day
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (may overflow; it is normalized)
+ * @param {number} day - Desired day of month
+ * @returns {Date} Clamped date
+ */
+const clampedDate = (reference, year, month, day) => {
+  const normalized = new Date(Date.UTC(year, month, 1));
+  const targetYear = normalized.getUTCFullYear();
+  const targetMonth = normalized.getUTCMonth();
+
+  return new Date(Date.UTC(
+    targetYear,
+    targetMonth,
+    Math.min(day, daysInMonth(targetYear, targetMonth)),
+    reference.getUTCHours(),
+    reference.getUTCMinutes(),
+    reference.getUTCSeconds()
+  ));
+};
+
+/**
+ * Day of month a rule should land on
+ * @param {Object} rule - Recurring rule
+ * @returns {number} Day of month
+ */
+const anchorDay = (rule) => rule.dayOfMonth || new Date(rule.startDate).getUTCDate();
+
+/**
+ * Get the first occurrence of a rule, on or after its start date
+ * @param {Object} rule - Recurring rule with frequency, dayOfMonth and startDate
+ * @returns {Date} First occurrence
+ */
+export const getFirstOccurrence = (rule) => {
+  const start = new Date(rule.startDate);
+
+  if (rule.frequency === 'MONTHLY' || rule.frequency === 'YEARLY') {
+    const candidate = clampedDate(start, start.getUTCFullYear(), start.getUTCMonth(), anchorDay(rule));
+
+    if (candidate >= start) {
+      return candidate;
+    }
+
+    const monthsAhead = rule.frequency === 'MONTHLY' ? 1 : 12;
+    return clampedDate(start, start.getUTCFullYear(), start.getUTCMonth() + monthsAhead, anchorDay(rule));
+  }
+
+  return start;
+};
+
+/**
+ * Get the occurrence that follows a previous one
+ * @param {Object} rule - Recurring rule with frequency, interval, dayOfMonth and startDate
+ * @param {Date} previous - Previous occurrence
+ * @returns {Date} Next occurrence
+ */
+export const getNextOccurrence = (rule, previous) => {
+  const date = new Date(previous);
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'DAILY':
+      return new Date(date.getTime() + interval * 24 * 60 * 60 * 1000);
+
+    case 'WEEKLY':
+      return new Date(date.getTime() + interval * 7 * 24 * 60 * 60 * 1000);
+
+    case 'MONTHLY':
+      return clampedDate(date, date.getUTCFullYear(), date.getUTCMonth() + interval, anchorDay(rule));
+
+    case 'YEARLY':
+      return clampedDate(date, date.getUTCFullYear() + interval, date.getUTCMonth(), anchorDay(rule));
+
+    default:
+      throw new Error(`Unsupported recurrence frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Whether a rule has run out of occurrences at the given date
+ * @param {Object} rule - Recurring rule with endDate, maxOccurrences and occurrenceCount
+ * @param {Date} occurrence - Candidate occurrence
+ * @param {number} occurrenceCount - Occurrences already generated
+ * @returns {boolean} True if the candidate must not be generated
+ */
+export const isRecurrenceFinished = (rule, occurrence, occurrenceCount = rule.occurrenceCount) => {
+  if (!occurrence) {
+    return true;
+  }
+
+  if (rule.endDate && occurrence > new Date(rule.endDate)) {
+    return true;
+  }
+
+  if (rule.maxOccurrences && occurrenceCount >= rule.maxOccurrences) {
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * List upcoming occurrences of a rule
+ * @param {Object} rule - Recurring rule
+ * @param {number} count - Maximum number of occurrences to return
+ * @param {Date} until - Optional date after which to stop
+ * @returns {Date[]} Upcoming occurrences
+ */
+export const getUpcomingOccurrences = (rule, count = 5, until = null) => {
+  const occurrences = [];
+  let next = rule.nextRunDate ? new Date(rule.nextRunDate) : null;
+  let generated = rule.occurrenceCount || 0;
+
+  while (next && occurrences.length < count && !isRecurrenceFinished(rule, next, generated)) {
+    if (until && next > until) {
+      break;
+    }
+
+    occurrences.push(next);
+    generated += 1;
+    next = getNextOccurrence(rule, next);
+  }
+
+  return occurrences;
+};
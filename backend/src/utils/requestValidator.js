@@ -17,7 +17,7 @@ export const validateRequest = (data, schema) => {
 
   // Check each field against the schema
   for (const [field, rules] of Object.entries(schema)) {
-    const value = data[field];
+    let value = data[field];
 
     // Check required fields
     if (rules.required && (value === undefined || value === null || value === '')) {
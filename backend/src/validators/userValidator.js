@@ -21,8 +21,9 @@ export function validateUserPreferences(data) {
       errors.currency = 'Currency cannot be empty if provided';
     } else if (typeof data.currency !== 'string') {
       errors.currency = 'Currency must be a string';
-    } else if (data.currency.trim().length > 3) {
-      errors.currency = 'Currency code must be 3 characters or less';
+    } else if (!/^[A-Za-z]{3}$/.test(data.currency.trim())) {
+      // Used as the base currency for conversions, so it must be an ISO 4217 code
+      errors.currency = 'Currency must be a 3-letter ISO 4217 code';
     } else {
       sanitized.currency = data.currency.trim().toUpperCase();
     }
@@ -1,37 +1,38 @@
 import React, { useState } from 'react';
+import { CreateGoal } from '../../types/goal.types';
 
 interface GoalFormProps {
-  onSubmit: (goal: { title: string; amount: number; deadline: string }) => void;
+  onSubmit: (goal: CreateGoal) => void;
 }
 
 const GoalForm: React.FC<GoalFormProps> = ({ onSubmit }) => {
-  const [title, setTitle] = useState('');
-  const [amount, setAmount] = useState(0);
+  const [name, setName] = useState('');
+  const [targetAmount, setTargetAmount] = useState(0);
   const [deadline, setDeadline] = useState('');
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
-    onSubmit({ title, amount, deadline });
+    onSubmit({ name, targetAmount, deadline });
   };
 
   return (
     <form onSubmit={handleSubmit}>
       <div>
-        <label htmlFor="title">Title</label>
+        <label htmlFor="name">Name</label>
         <input
           type="text"
-          id="title"
-          value={title}
-          onChange={(e) => setTitle(e.target.value)}
+          id="name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
         />
       </div>
       <div>
-        <label htmlFor="amount">Amount</label>
+        <label htmlFor="targetAmount">Target amount</label>
         <input
           type="number"
-          id="amount"
-          value={amount}
-          onChange={(e) => setAmount(Number(e.target.value))}
+          id="targetAmount"
+          value={targetAmount}
+          onChange={(e) => setTargetAmount(Number(e.target.value))}
         />
       </div>
       <div>
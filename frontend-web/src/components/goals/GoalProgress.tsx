@@ -1,31 +1,62 @@
 import React from 'react';
+import { Goal, GoalForecast } from '../../types/goal.types';
 
 interface GoalProgressProps {
-  title: string;
-  amount: number;
-  saved: number;
-  deadline: string;
+  goal: Goal;
+  forecast?: GoalForecast;
 }
 
-const GoalProgress: React.FC<GoalProgressProps> = ({ title, amount, saved, deadline }) => {
-  const progress = (saved / amount) * 100;
+const STATUS_LABELS: Record<GoalForecast['status'], string> = {
+  ACHIEVED: 'Achieved',
+  ON_TRACK: 'On track',
+  OFF_TRACK: 'Off track',
+  OVERDUE: 'Overdue',
+};
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString();
+
+const GoalProgress: React.FC<GoalProgressProps> = ({ goal, forecast }) => {
+  const { name, currency, deadline } = goal;
+  const targetAmount = Number(goal.targetAmount);
+  const currentAmount = Number(goal.currentAmount);
+  const progress = targetAmount > 0 ? Math.min((currentAmount / targetAmount) * 100, 100) : 0;
+
+  const formatMoney = (value: number) =>
+    new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value);
 
   return (
     <div>
-      <h3>{title}</h3>
-      <p>Amount: ${amount}</p>
-      <p>Saved: ${saved}</p>
-      <p>Deadline: {deadline}</p>
+      <h3>{name}</h3>
+      <p>Target: {formatMoney(targetAmount)}</p>
+      <p>Saved: {formatMoney(currentAmount)}</p>
+      <p>Deadline: {formatDate(deadline)}</p>
       <div style={{ width: '100%', backgroundColor: '#e0e0e0' }}>
         <div
           style={{
             width: `${progress}%`,
-            backgroundColor: progress >= 100 ? 'green' : 'blue',
+            backgroundColor: progress >= 100 ? 'green' : forecast?.isOffTrack ? 'orange' : 'blue',
             height: '24px',
           }}
         />
       </div>
       <p>{progress.toFixed(2)}% completed</p>
+      {forecast && (
+        <div>
+          <p>Status: {STATUS_LABELS[forecast.status]}</p>
+          {forecast.status !== 'ACHIEVED' && (
+            <>
+              <p>Needed per month: {formatMoney(forecast.requiredMonthlyAmount)}</p>
+              <p>Saving per month so far: {formatMoney(forecast.averageMonthlyContribution)}</p>
+              <p>
+                Projected completion:{' '}
+                {forecast.projectedCompletionDate
+                  ? formatDate(forecast.projectedCompletionDate)
+                  : 'not at the current rate'}
+              </p>
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 };
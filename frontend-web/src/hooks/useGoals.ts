@@ -1,9 +1,14 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import goalService from '../services/goalService';
-import { Goal, CreateGoal, UpdateGoal } from '../types/goal.types';
+import { Goal, CreateGoal, UpdateGoal, GoalForecast } from '../types/goal.types';
+
+// A forecast only changes with the amounts, deadline and achievement of its goal
+const forecastKey = (goal: Goal) =>
+  [goal.targetAmount, goal.currentAmount, goal.deadline, goal.isAchieved].join('|');
 
 const useGoals = () => {
   const [goals, setGoals] = useState<Goal[]>([]);
+  const [forecasts, setForecasts] = useState<Record<string, GoalForecast>>({});
   const [loading, setLoading] = useState<boolean>(false);
   const [error, setError] = useState<string | null>(null);
 
@@ -23,6 +28,24 @@ const useGoals = () => {
     fetchGoals();
   }, []);
 
+  // Goal ID -> forecastKey of the goal when its forecast was last requested
+  const forecastKeys = useRef<Record<string, string>>({});
+
+  // Request forecasts only for goals that are new or whose data changed
+  useEffect(() => {
+    const changedGoals = goals.filter((goal) => forecastKeys.current[goal.id] !== forecastKey(goal));
+
+    changedGoals.forEach(async (goal) => {
+      forecastKeys.current[goal.id] = forecastKey(goal);
+      try {
+        const forecast = await goalService.getGoalForecast(goal.id);
+        setForecasts((prevForecasts) => ({ ...prevForecasts, [goal.id]: forecast }));
+      } catch (err) {
+        // A missing forecast only hides the projection, the goal still shows
+      }
+    });
+  }, [goals]);
+
   const createGoal = async (goal: CreateGoal) => {
     setLoading(true);
     try {
@@ -54,6 +77,12 @@ const useGoals = () => {
     try {
       await goalService.deleteGoal(id);
       setGoals((prevGoals) => prevGoals.filter((g) => g.id !== id));
+      delete forecastKeys.current[id];
+      setForecasts((prevForecasts) => {
+        const nextForecasts = { ...prevForecasts };
+        delete nextForecasts[id];
+        return nextForecasts;
+      });
     } catch (err) {
       setError('Failed to delete goal');
     } finally {
@@ -63,6 +92,7 @@ const useGoals = () => {
 
   return {
     goals,
+    forecasts,
     loading,
     error,
     createGoal,
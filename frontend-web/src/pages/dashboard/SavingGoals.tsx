@@ -2,11 +2,12 @@ import React from 'react';
 import GoalForm from '../../components/goals/GoalForm';
 import GoalProgress from '../../components/goals/GoalProgress';
 import useGoals from '../../hooks/useGoals';
+import { CreateGoal } from '../../types/goal.types';
 
 const SavingGoals: React.FC = () => {
-  const { goals, createGoal, updateGoal, deleteGoal } = useGoals();
+  const { goals, forecasts, createGoal, updateGoal, deleteGoal } = useGoals();
 
-  const handleCreateGoal = (goal: { title: string; amount: number; deadline: string }) => {
+  const handleCreateGoal = (goal: CreateGoal) => {
     createGoal(goal);
   };
 
@@ -16,13 +17,7 @@ const SavingGoals: React.FC = () => {
       <GoalForm onSubmit={handleCreateGoal} />
       <div>
         {goals.map((goal) => (
-          <GoalProgress
-            key={goal.id}
-            title={goal.title}
-            amount={goal.amount}
-            saved={goal.saved}
-            deadline={goal.deadline}
-          />
+          <GoalProgress key={goal.id} goal={goal} forecast={forecasts[goal.id]} />
         ))}
       </div>
     </div>
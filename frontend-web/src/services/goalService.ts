@@ -1,32 +1,31 @@
 import api from './api';
+import { Goal, CreateGoal, UpdateGoal, GoalForecast } from '../types/goal.types';
 
-interface Goal {
-  id: string;
-  title: string;
-  amount: number;
-  deadline: string;
-  saved: number;
-}
-
+// The backend wraps payloads as { error, message, data }
 const goalService = {
   getGoals: async (): Promise<Goal[]> => {
     const response = await api.get('/goals');
-    return response.data;
+    return response.data.data;
   },
 
   getGoalById: async (id: string): Promise<Goal> => {
     const response = await api.get(`/goals/${id}`);
-    return response.data;
+    return response.data.data;
+  },
+
+  getGoalForecast: async (id: string): Promise<GoalForecast> => {
+    const response = await api.get(`/goals/${id}/forecast`);
+    return response.data.data;
   },
 
-  createGoal: async (goal: Omit<Goal, 'id' | 'saved'>): Promise<Goal> => {
+  createGoal: async (goal: CreateGoal): Promise<Goal> => {
     const response = await api.post('/goals', goal);
-    return response.data;
+    return response.data.data;
   },
 
-  updateGoal: async (id: string, goal: Partial<Omit<Goal, 'id'>>): Promise<Goal> => {
+  updateGoal: async (id: string, goal: UpdateGoal): Promise<Goal> => {
     const response = await api.put(`/goals/${id}`, goal);
-    return response.data;
+    return response.data.data;
   },
 
   deleteGoal: async (id: string): Promise<void> => {
@@ -1,20 +1,46 @@
 export interface Goal {
   id: string;
-  title: string;
-  amount: number;
+  name: string;
+  description?: string | null;
+  // Prisma decimals, which arrive as strings
+  targetAmount: string;
+  currentAmount: string;
+  currency: string;
   deadline: string;
-  saved: number;
+  isAchieved: boolean;
+  achievedAt?: string | null;
 }
 
 export interface CreateGoal {
-  title: string;
-  amount: number;
+  name: string;
+  targetAmount: number;
   deadline: string;
+  description?: string;
+  currency?: string;
 }
 
 export interface UpdateGoal {
-  title?: string;
-  amount?: number;
+  name?: string;
+  targetAmount?: number;
   deadline?: string;
-  saved?: number;
+  description?: string;
+  currency?: string;
+}
+
+export type GoalForecastStatus = 'ACHIEVED' | 'ON_TRACK' | 'OFF_TRACK' | 'OVERDUE';
+
+export interface GoalForecast {
+  goalId: string;
+  currency: string;
+  targetAmount: number;
+  currentAmount: number;
+  remainingAmount: number;
+  progressPercent: number;
+  deadline: string;
+  monthsRemaining: number;
+  requiredMonthlyAmount: number;
+  averageMonthlyContribution: number;
+  projectedCompletionDate: string | null;
+  status: GoalForecastStatus;
+  isOffTrack: boolean;
 }
@@ -1,16 +1,25 @@
+export type ReportType = 'INCOME_VS_EXPENSE' | 'CATEGORY_BREAKDOWN' | 'TREND';
+
 export interface Report {
   id: string;
   title: string;
   description: string;
+  type: ReportType;
+  filters: ReportFilter;
+  generatedAt: Date | null;
   createdAt: Date;
   updatedAt: Date;
   data: any;
 }
 
 export interface ReportFilter {
+  range?: 'THIS_MONTH' | 'LAST_MONTH' | 'LAST_30_DAYS' | 'LAST_90_DAYS' | 'THIS_YEAR' | 'LAST_12_MONTHS';
   startDate?: Date;
   endDate?: Date;
   type?: string;
+  categoryIds?: string[];
+  accountIds?: string[];
+  interval?: 'day' | 'week' | 'month' | 'quarter' | 'year';
 }
 
 export interface ReportGenerationOptions {